@@ -0,0 +1,58 @@
+// audit/log.js
+// Helpers for the audit trail: the actions recorded, which entries can be restored, and plain
+// before/after snapshots with the fields an update changed.
+const AUDIT_ACTIONS = ['create', 'update', 'delete', 'restore', 'simulate', 'apply', 'revert', 'import', 'reset'];
+
+// Entities whose deleted or updated records can be restored from their audit entry
+const RESTORABLE_ENTITIES = ['driver', 'route', 'order', 'shift'];
+
+// A restore that would overwrite records created since the entry was recorded
+class RestoreConflictError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'RestoreConflictError';
+  }
+}
+
+// Bookkeeping fields left out when comparing snapshots
+const IGNORED_FIELDS = ['_id', '__v', 'createdAt', 'updatedAt'];
+
+// A plain copy of a document for storing in the log; populated references are stored as ids
+const toAuditValue = (doc) => {
+  if (doc === undefined || doc === null) return undefined;
+  return typeof doc.toObject === 'function' ? doc.toObject({ depopulate: true }) : doc;
+};
+
+// How restoring an entry undoes it: 'recreate' a deleted record, 'revert' an updated record to
+// its before value, or 'reset' to put back what a data reset removed. null when it can't be undone.
+// Resets only keep a snapshot of what they removed since createdIds was recorded with them.
+const getRestoreKind = (entry) => {
+  if (entry.action === 'reset') {
+    return entry.details && entry.details.createdIds ? 'reset' : null;
+  }
+  if (!RESTORABLE_ENTITIES.includes(entry.entity) || !entry.before) return null;
+  if (entry.action === 'delete') return 'recreate';
+  if (entry.action === 'update') return 'revert';
+  return null;
+};
+
+// Top-level fields whose values differ between two snapshots
+const getChangedFields = (before, after) => {
+  const beforeValue = toAuditValue(before) || {};
+  const afterValue = toAuditValue(after) || {};
+  const fields = new Set([...Object.keys(beforeValue), ...Object.keys(afterValue)]);
+
+  return Array.from(fields)
+    .filter(field => !IGNORED_FIELDS.includes(field))
+    .filter(field => JSON.stringify(beforeValue[field]) !== JSON.stringify(afterValue[field]))
+    .sort();
+};
+
+module.exports = {
+  AUDIT_ACTIONS,
+  RESTORABLE_ENTITIES,
+  RestoreConflictError,
+  getRestoreKind,
+  toAuditValue,
+  getChangedFields
+};
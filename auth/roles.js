@@ -0,0 +1,46 @@
+// auth/roles.js
+// Roles and the permission matrix enforced by requirePermission in server.js
+const ROLES = ['admin', 'manager', 'dispatcher', 'viewer'];
+
+// Self-registered users can only look; admins grant more through PUT /api/users/:id/role
+const DEFAULT_ROLE = 'viewer';
+
+const PERMISSIONS = {
+  'drivers:read': ['admin', 'manager', 'dispatcher', 'viewer'],
+  'drivers:write': ['admin', 'manager', 'dispatcher'],
+  'drivers:delete': ['admin', 'manager'],
+  'routes:read': ['admin', 'manager', 'dispatcher', 'viewer'],
+  'routes:write': ['admin', 'manager'],
+  'routes:delete': ['admin', 'manager'],
+  'orders:read': ['admin', 'manager', 'dispatcher', 'viewer'],
+  'orders:write': ['admin', 'manager', 'dispatcher'],
+  'orders:delete': ['admin', 'manager'],
+  'rules:read': ['admin', 'manager', 'dispatcher', 'viewer'],
+  'rules:write': ['admin', 'manager'],
+  'simulation:run': ['admin', 'manager', 'dispatcher'],
+  'simulation:read': ['admin', 'manager', 'dispatcher', 'viewer'],
+  'simulation:apply': ['admin', 'manager'],
+  'dashboard:read': ['admin', 'manager', 'dispatcher', 'viewer'],
+  'data:init': ['admin', 'manager'],
+  'data:health': ['admin', 'manager'],
+  'users:manage': ['admin'],
+  'audit:read': ['admin'],
+  'audit:restore': ['admin']
+};
+
+const hasPermission = (role, permission) => {
+  const allowedRoles = PERMISSIONS[permission];
+  return Boolean(allowedRoles && allowedRoles.includes(role));
+};
+
+const getRolePermissions = (role) => {
+  return Object.keys(PERMISSIONS).filter(permission => hasPermission(role, permission));
+};
+
+module.exports = {
+  ROLES,
+  DEFAULT_ROLE,
+  PERMISSIONS,
+  hasPermission,
+  getRolePermissions
+};
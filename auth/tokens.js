@@ -0,0 +1,39 @@
+// auth/tokens.js
+// Helpers for JWT access tokens and server-side refresh tokens
+const crypto = require('crypto');
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 7;
+const REFRESH_TOKEN_TTL_MS = REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000;
+
+// Only local development and tests may run without a configured secret
+const INSECURE_ENVIRONMENTS = ['development', 'test'];
+const DEVELOPMENT_SECRET = 'development_only_secret';
+
+const resolveJwtSecret = (env = process.env) => {
+  if (env.JWT_SECRET) {
+    return env.JWT_SECRET;
+  }
+
+  if (INSECURE_ENVIRONMENTS.includes(env.NODE_ENV)) {
+    return DEVELOPMENT_SECRET;
+  }
+
+  throw new Error('JWT_SECRET must be set unless NODE_ENV is development or test');
+};
+
+// Refresh tokens are opaque random strings; only their hash is stored
+const generateRefreshToken = () => crypto.randomBytes(48).toString('hex');
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const generateTokenId = () => crypto.randomUUID();
+
+module.exports = {
+  ACCESS_TOKEN_TTL,
+  REFRESH_TOKEN_TTL_MS,
+  resolveJwtSecret,
+  generateRefreshToken,
+  hashToken,
+  generateTokenId
+};
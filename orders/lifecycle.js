@@ -0,0 +1,118 @@
+// orders/lifecycle.js
+// Order states and the changes allowed between them, and the real delivery outcome worked out
+// from recorded pickup and delivery times with the same rules the simulation uses.
+//   created -> assigned -> dispatched -> delivered
+//                               \-> failed -> returned, or assigned again for a retry
+const { DEFAULT_RULES, getTierRules } = require('../simulation/rules');
+const { calculateOrderOutcome, getOrderWindow } = require('../simulation/engine');
+
+const ORDER_STATUSES = ['created', 'assigned', 'dispatched', 'delivered', 'failed', 'returned'];
+
+const ORDER_TRANSITIONS = {
+  created: ['assigned'],
+  assigned: ['created', 'dispatched'], // back to created unassigns the driver
+  dispatched: ['delivered', 'failed'],
+  failed: ['assigned', 'returned'],
+  delivered: [],
+  returned: []
+};
+
+const canTransition = (from, to) => Boolean(ORDER_TRANSITIONS[from] && ORDER_TRANSITIONS[from].includes(to));
+
+// Returns an error message for a status change, or null when it is allowed
+const getTransitionError = (from, to) => {
+  if (!ORDER_STATUSES.includes(to)) {
+    return `Status must be one of: ${ORDER_STATUSES.join(', ')}`;
+  }
+
+  if (!canTransition(from, to)) {
+    const allowed = ORDER_TRANSITIONS[from] || [];
+    return allowed.length > 0
+      ? `Cannot change order from ${from} to ${to}. Allowed: ${allowed.join(', ')}`
+      : `Cannot change order from ${from}; it is final`;
+  }
+
+  return null;
+};
+
+// Outcome of a delivered order: minutes from pickup to delivery, judged against its delivery
+// window when it has one and otherwise against the route's base time, like the simulation.
+const calculateActualOutcome = (order, route, rules = DEFAULT_RULES) => {
+  const pickedUpMs = new Date(order.pickedUpAt).getTime();
+  const deliveredMs = new Date(order.deliveredAt).getTime();
+  const actualDeliveryTime = Math.round((deliveredMs - pickedUpMs) / 60000);
+
+  const outcome = calculateOrderOutcome(order, route, actualDeliveryTime, rules, {
+    arrival: deliveredMs / 60000,
+    window: getOrderWindow(order, 0)
+  });
+
+  return { actualDeliveryTime, ...outcome };
+};
+
+// A failed delivery counts as late
+const calculateFailedOutcome = (order, rules = DEFAULT_RULES) => ({
+  isOnTime: false,
+  penalty: getTierRules(rules, order.slaTier).latePenalty,
+  bonus: 0
+});
+
+const FINAL_OUTCOME_STATUSES = ['delivered', 'failed', 'returned'];
+
+// Simulated against real results for the orders of a simulation that have a real outcome
+const compareWithActual = (orderBreakdown, orders) => {
+  const ordersById = new Map(orders.map(order => [order.orderId, order]));
+  const totals = {
+    simulated: { deliveries: 0, onTimeDeliveries: 0, penalties: 0, bonuses: 0 },
+    actual: { deliveries: 0, onTimeDeliveries: 0, penalties: 0, bonuses: 0 }
+  };
+
+  const add = (target, outcome) => {
+    target.deliveries++;
+    if (outcome.isOnTime) target.onTimeDeliveries++;
+    target.penalties += outcome.penalty || 0;
+    target.bonuses += outcome.bonus || 0;
+  };
+
+  const compared = [];
+  orderBreakdown.forEach(simulated => {
+    const order = ordersById.get(simulated.orderId);
+    if (!order || !FINAL_OUTCOME_STATUSES.includes(order.status)) return;
+
+    const actual = {
+      status: order.status,
+      actualDeliveryTime: order.actualDeliveryTime,
+      isOnTime: order.isOnTime,
+      penalty: order.penalty,
+      bonus: order.bonus
+    };
+    add(totals.simulated, simulated);
+    add(totals.actual, actual);
+
+    compared.push({
+      orderId: simulated.orderId,
+      simulated: {
+        actualDeliveryTime: simulated.actualDeliveryTime,
+        isOnTime: simulated.isOnTime,
+        penalty: simulated.penalty,
+        bonus: simulated.bonus
+      },
+      actual,
+      deliveryTimeDifference: actual.actualDeliveryTime !== undefined && simulated.actualDeliveryTime !== undefined
+        ? actual.actualDeliveryTime - simulated.actualDeliveryTime
+        : null
+    });
+  });
+
+  return { orders: compared, totals };
+};
+
+module.exports = {
+  ORDER_STATUSES,
+  ORDER_TRANSITIONS,
+  canTransition,
+  getTransitionError,
+  calculateActualOutcome,
+  calculateFailedOutcome,
+  compareWithActual
+};
@@ -0,0 +1,46 @@
+// realtime/events.js
+// In-process event hub for the live dashboard stream. Events are numbered and the most
+// recent ones kept, so a reconnecting client can catch up from its Last-Event-ID.
+// Events only reach clients connected to the instance that published them.
+const { EventEmitter } = require('events');
+
+const DEFAULT_HISTORY_SIZE = 100;
+
+const createEventHub = ({ historySize = DEFAULT_HISTORY_SIZE } = {}) => {
+  const emitter = new EventEmitter();
+  emitter.setMaxListeners(0);
+  const history = [];
+  let lastId = 0;
+
+  const publish = (type, data) => {
+    const event = { id: ++lastId, type, data, timestamp: new Date().toISOString() };
+
+    history.push(event);
+    if (history.length > historySize) history.shift();
+
+    emitter.emit('event', event);
+    return event;
+  };
+
+  // Returns an unsubscribe function
+  const subscribe = (listener) => {
+    emitter.on('event', listener);
+    return () => emitter.off('event', listener);
+  };
+
+  // Kept events published after `id`, oldest first
+  const eventsSince = (id) => history.filter(event => event.id > id);
+
+  return { publish, subscribe, eventsSince };
+};
+
+// One event in text/event-stream format
+const formatSseEvent = (event) => {
+  const data = JSON.stringify({ ...event.data, timestamp: event.timestamp });
+  return `id: ${event.id}\nevent: ${event.type}\ndata: ${data}\n\n`;
+};
+
+module.exports = {
+  createEventHub,
+  formatSseEvent
+};
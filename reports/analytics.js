@@ -0,0 +1,177 @@
+// reports/analytics.js
+// Historical KPI trends over saved simulations. Builds a Mongo aggregation pipeline that
+// buckets runs by day, week or month, so the totals, averages, moving averages and the best
+// and worst run of each period are all computed by the database (needs MongoDB 5.0+).
+const KPI_INTERVALS = ['day', 'week', 'month'];
+const RANK_METRICS = ['totalProfit', 'efficiencyScore'];
+
+const DEFAULT_RANGE_DAYS = 30;
+const DEFAULT_MOVING_AVERAGE_WINDOW = 3;
+const MAX_MOVING_AVERAGE_WINDOW = 30;
+
+const DATE_ONLY_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// The query parameters, for validateRequest (see utils/validation.js). The filters match the
+// inputs each run was made with.
+const KPI_QUERY_SCHEMA = {
+  interval: { type: 'string', values: KPI_INTERVALS },
+  rankBy: { type: 'string', values: RANK_METRICS },
+  from: { type: 'date' },
+  to: { type: 'date' },
+  movingAverageWindow: { type: 'integer', min: 1, max: MAX_MOVING_AVERAGE_WINDOW },
+  availableDrivers: { type: 'number' },
+  maxHoursPerDay: { type: 'number' },
+  startTime: { type: 'time', message: 'Start time must be in HH:MM format' },
+  strategy: { type: 'string' },
+  ruleProfileId: { type: 'objectId' }
+};
+
+const FILTER_PARAMS = ['availableDrivers', 'maxHoursPerDay', 'startTime', 'strategy', 'ruleProfileId'];
+const NUMBER_FILTERS = ['availableDrivers', 'maxHoursPerDay'];
+
+// Turn a query that passed KPI_QUERY_SCHEMA into pipeline options. Returns { error, field }
+// when from is not before to. A date-only `to` includes that whole day.
+const parseKpiQuery = (query = {}, now = new Date()) => {
+  const isSet = (param) => query[param] !== undefined && query[param] !== '';
+
+  let to = now;
+  if (isSet('to')) {
+    to = new Date(query.to);
+    if (DATE_ONLY_REGEX.test(query.to)) to = new Date(to.getTime() + DAY_MS);
+  }
+
+  const from = isSet('from') ? new Date(query.from) : new Date(to.getTime() - DEFAULT_RANGE_DAYS * DAY_MS);
+  if (from >= to) {
+    return { error: 'from must be before to', field: 'from' };
+  }
+
+  const filters = {};
+  for (const param of FILTER_PARAMS.filter(isSet)) {
+    filters[param] = NUMBER_FILTERS.includes(param) ? Number(query[param]) : query[param];
+  }
+
+  return {
+    options: {
+      from,
+      to,
+      interval: query.interval || 'day',
+      rankBy: query.rankBy || 'totalProfit',
+      movingAverageWindow: isSet('movingAverageWindow') ? Number(query.movingAverageWindow) : DEFAULT_MOVING_AVERAGE_WINDOW,
+      filters
+    }
+  };
+};
+
+const ratio = (part, whole) => ({
+  $cond: [{ $gt: [whole, 0] }, { $multiply: [{ $divide: [part, whole] }, 100] }, 0]
+});
+
+const round = (expression) => ({ $round: [expression, 2] });
+
+const runSummary = (rankBy) => ({
+  simulationId: '$_id',
+  timestamp: '$timestamp',
+  scenarioName: '$scenarioName',
+  [rankBy]: `$results.${rankBy}`
+});
+
+// Accumulators shared by the per-period and whole-range groups. Input must be sorted
+// best run first so $first/$last pick the best and worst.
+const kpiAccumulators = (rankBy) => ({
+  runs: { $sum: 1 },
+  totalProfit: { $sum: '$results.totalProfit' },
+  averageProfit: { $avg: '$results.totalProfit' },
+  averageEfficiencyScore: { $avg: '$results.efficiencyScore' },
+  onTimeDeliveries: { $sum: '$results.onTimeDeliveries' },
+  totalDeliveries: { $sum: '$results.totalDeliveries' },
+  totalFuelCost: { $sum: '$results.fuelCost' },
+  averageFuelCost: { $avg: '$results.fuelCost' },
+  totalPenalties: { $sum: '$results.penalties' },
+  averagePenalties: { $avg: '$results.penalties' },
+  totalBonuses: { $sum: '$results.bonuses' },
+  averageBonuses: { $avg: '$results.bonuses' },
+  bestRun: { $first: runSummary(rankBy) },
+  worstRun: { $last: runSummary(rankBy) }
+});
+
+const kpiProjection = {
+  _id: 0,
+  runs: 1,
+  totalProfit: round('$totalProfit'),
+  averageProfit: round('$averageProfit'),
+  averageEfficiencyScore: round('$averageEfficiencyScore'),
+  onTimeRate: round(ratio('$onTimeDeliveries', '$totalDeliveries')),
+  totalFuelCost: round('$totalFuelCost'),
+  averageFuelCost: round('$averageFuelCost'),
+  totalPenalties: round('$totalPenalties'),
+  averagePenalties: round('$averagePenalties'),
+  totalBonuses: round('$totalBonuses'),
+  averageBonuses: round('$averageBonuses'),
+  bestRun: 1,
+  worstRun: 1
+};
+
+// One result document: { periods: [...], overall: [summary] } (overall is empty with no runs).
+// Filter values must already be the stored types, e.g. ruleProfileId as an ObjectId.
+const buildKpiPipeline = ({ from, to, interval, rankBy, movingAverageWindow, filters = {} }) => {
+  const match = { timestamp: { $gte: from, $lt: to } };
+  Object.entries(filters).forEach(([field, value]) => {
+    match[`inputs.${field}`] = value;
+  });
+
+  const window = { documents: [1 - movingAverageWindow, 0] };
+  const dateTrunc = { date: '$timestamp', unit: interval };
+  if (interval === 'week') dateTrunc.startOfWeek = 'monday';
+
+  return [
+    { $match: match },
+    { $sort: { [`results.${rankBy}`]: -1, timestamp: -1 } },
+    {
+      $facet: {
+        periods: [
+          {
+            $group: {
+              _id: { $dateTrunc: dateTrunc },
+              ...kpiAccumulators(rankBy)
+            }
+          },
+          { $project: { ...kpiProjection, period: '$_id' } },
+          {
+            $setWindowFields: {
+              sortBy: { period: 1 },
+              output: {
+                movingAverageProfit: { $avg: '$averageProfit', window },
+                movingAverageEfficiencyScore: { $avg: '$averageEfficiencyScore', window },
+                movingAverageOnTimeRate: { $avg: '$onTimeRate', window }
+              }
+            }
+          },
+          {
+            $set: {
+              movingAverage: {
+                averageProfit: round('$movingAverageProfit'),
+                averageEfficiencyScore: round('$movingAverageEfficiencyScore'),
+                onTimeRate: round('$movingAverageOnTimeRate')
+              }
+            }
+          },
+          { $unset: ['movingAverageProfit', 'movingAverageEfficiencyScore', 'movingAverageOnTimeRate'] },
+          { $sort: { period: 1 } }
+        ],
+        overall: [
+          { $group: { _id: null, ...kpiAccumulators(rankBy) } },
+          { $project: kpiProjection }
+        ]
+      }
+    }
+  ];
+};
+
+module.exports = {
+  KPI_INTERVALS,
+  RANK_METRICS,
+  KPI_QUERY_SCHEMA,
+  parseKpiQuery,
+  buildKpiPipeline
+};
@@ -0,0 +1,131 @@
+// reports/dataHealth.js
+// Consistency checks over orders, routes, drivers and shifts, each an aggregation pipeline that
+// returns { total, records } with at most `limit` of the offending records.
+const DEFAULT_RECORD_LIMIT = 100;
+
+// Statuses in which an order must have a driver
+const DRIVER_REQUIRED_STATUSES = ['assigned', 'dispatched'];
+
+const withTotal = (pipeline, limit) => [
+  ...pipeline,
+  {
+    $facet: {
+      total: [{ $count: 'count' }],
+      records: [{ $limit: limit }]
+    }
+  }
+];
+
+// Documents whose `localField` points at nothing in the `from` collection
+const missingReference = ({ localField, from, foreignField, project }) => [
+  { $match: { [localField]: { $exists: true, $ne: null } } },
+  { $lookup: { from, localField, foreignField, as: 'reference', pipeline: [{ $project: { _id: 1 } }] } },
+  { $match: { reference: { $size: 0 } } },
+  { $project: project }
+];
+
+// Values of `key` shared by more than one document
+const duplicates = (key) => [
+  { $group: { _id: key, count: { $sum: 1 }, ids: { $push: '$_id' } } },
+  { $match: { count: { $gt: 1 } } },
+  { $sort: { count: -1, _id: 1 } },
+  { $project: { _id: 0, value: '$_id', count: 1, ids: 1 } }
+];
+
+// `collections` gives the collection names to look references up in, keyed routes, drivers.
+// Each check names the model it runs on.
+const buildDataHealthChecks = (collections, limit = DEFAULT_RECORD_LIMIT) => [
+  {
+    name: 'ordersWithUnknownRoute',
+    model: 'order',
+    description: 'Orders whose assignedRoute matches no route; simulations skip them',
+    pipeline: withTotal(missingReference({
+      localField: 'assignedRoute',
+      from: collections.routes,
+      foreignField: 'routeId',
+      project: { orderId: 1, assignedRoute: 1, status: 1 }
+    }), limit)
+  },
+  {
+    name: 'ordersWithMissingDriver',
+    model: 'order',
+    description: 'Orders assigned to a driver that no longer exists',
+    pipeline: withTotal(missingReference({
+      localField: 'assignedDriver',
+      from: collections.drivers,
+      foreignField: '_id',
+      project: { orderId: 1, assignedDriver: 1, status: 1 }
+    }), limit)
+  },
+  {
+    name: 'ordersWithoutDriver',
+    model: 'order',
+    description: `Orders ${DRIVER_REQUIRED_STATUSES.join(' or ')} without a driver`,
+    pipeline: withTotal([
+      { $match: { status: { $in: DRIVER_REQUIRED_STATUSES }, assignedDriver: null } },
+      { $project: { orderId: 1, status: 1 } }
+    ], limit)
+  },
+  {
+    name: 'deliveredOrdersWithoutTimes',
+    model: 'order',
+    description: 'Delivered orders missing their pickup or delivery time',
+    pipeline: withTotal([
+      { $match: { status: 'delivered', $or: [{ pickedUpAt: null }, { deliveredAt: null }] } },
+      { $project: { orderId: 1, pickedUpAt: 1, deliveredAt: 1 } }
+    ], limit)
+  },
+  {
+    name: 'duplicateOrderIds',
+    model: 'order',
+    description: 'Order IDs used by more than one order',
+    pipeline: withTotal(duplicates('$orderId'), limit)
+  },
+  {
+    name: 'duplicateRouteIds',
+    model: 'route',
+    description: 'Route IDs used by more than one route',
+    pipeline: withTotal(duplicates('$routeId'), limit)
+  },
+  {
+    name: 'duplicateDriverNames',
+    model: 'driver',
+    description: 'Driver names used more than once, ignoring case and spacing; driver imports match on name',
+    pipeline: withTotal(duplicates({ $toLower: { $trim: { input: '$name' } } }), limit)
+  },
+  {
+    name: 'shiftsWithMissingDriver',
+    model: 'shift',
+    description: 'Shifts of drivers that no longer exist',
+    pipeline: withTotal(missingReference({
+      localField: 'driver',
+      from: collections.drivers,
+      foreignField: '_id',
+      project: { driver: 1, start: 1, end: 1 }
+    }), limit)
+  }
+];
+
+// Turn each check's aggregation output into { name, description, count, records }
+const summarizeDataHealth = (checks, outputs) => {
+  const results = checks.map((check, index) => {
+    const [{ total, records }] = outputs[index];
+    return {
+      name: check.name,
+      description: check.description,
+      count: total.length > 0 ? total[0].count : 0,
+      records
+    };
+  });
+
+  return {
+    healthy: results.every(result => result.count === 0),
+    checks: results
+  };
+};
+
+module.exports = {
+  DEFAULT_RECORD_LIMIT,
+  buildDataHealthChecks,
+  summarizeDataHealth
+};
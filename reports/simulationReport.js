@@ -0,0 +1,161 @@
+// reports/simulationReport.js
+// Turns a saved SimulationResult into summary, per-order, per-driver and per-trip rows,
+// and formats them as CSV, JSON or a self-contained printable HTML page.
+const { toCsv } = require('../utils/csv');
+
+const REPORT_FORMATS = ['csv', 'json', 'html'];
+const REPORT_SECTIONS = ['summary', 'orders', 'drivers', 'trips'];
+
+const ORDER_COLUMNS = [
+  'orderId', 'assignedRoute', 'driverName', 'tripId', 'stop', 'valueRs', 'slaTier', 'scheduledStart', 'scheduledEnd',
+  'actualDeliveryTime', 'isOnTime', 'penalty', 'bonus', 'fuelCost', 'profit', 'co2Kg'
+];
+
+const DRIVER_COLUMNS = [
+  'name', 'shiftStart', 'shiftEnd', 'hoursWorked', 'trips', 'deliveries', 'onTimeDeliveries',
+  'lateDeliveries', 'fuelCost', 'penalties', 'bonuses', 'profit', 'co2Kg'
+];
+
+const TRIP_COLUMNS = [
+  'tripId', 'driverName', 'routes', 'stops', 'start', 'end', 'durationMinutes', 'distanceKm',
+  'fuelCost', 'co2Kg', 'loadKg', 'loadM3', 'capacityUtilization'
+];
+
+const buildReportData = (simulation) => {
+  const inputs = simulation.inputs || {};
+  const results = simulation.results || {};
+
+  const summary = [
+    { metric: 'simulationId', value: String(simulation._id) },
+    { metric: 'timestamp', value: simulation.timestamp ? new Date(simulation.timestamp).toISOString() : '' },
+    { metric: 'availableDrivers', value: inputs.availableDrivers },
+    { metric: 'startTime', value: inputs.startTime },
+    { metric: 'maxHoursPerDay', value: inputs.maxHoursPerDay },
+    { metric: 'strategy', value: inputs.strategy },
+    { metric: 'ruleProfile', value: simulation.ruleProfileName },
+    ...Object.entries(results).map(([metric, value]) => ({ metric, value }))
+  ];
+
+  const orders = (simulation.orderBreakdown || []).map(order => {
+    const row = {};
+    ORDER_COLUMNS.forEach(column => {
+      row[column] = order[column];
+    });
+    return row;
+  });
+
+  const drivers = (simulation.driverBreakdown || []).map(driver => {
+    const row = {};
+    DRIVER_COLUMNS.forEach(column => {
+      row[column] = driver[column];
+    });
+    return row;
+  });
+
+  // Lists are joined with ';', the same separator the bulk import splits on
+  const trips = (simulation.trips || []).map(trip => {
+    const row = {};
+    TRIP_COLUMNS.forEach(column => {
+      row[column] = Array.isArray(trip[column]) ? trip[column].join(';') : trip[column];
+    });
+    return row;
+  });
+
+  return {
+    summary,
+    orders,
+    drivers,
+    trips,
+    unassigned: simulation.unassigned || [],
+    skipped: simulation.skipped || []
+  };
+};
+
+// One section as a plain CSV, or every section one after another separated by a blank line
+const toReportCsv = (data, section) => {
+  const sections = {
+    summary: toCsv(data.summary, ['metric', 'value']),
+    orders: toCsv(data.orders, ORDER_COLUMNS),
+    drivers: toCsv(data.drivers, DRIVER_COLUMNS),
+    trips: toCsv(data.trips, TRIP_COLUMNS)
+  };
+
+  if (section) {
+    return sections[section];
+  }
+
+  return REPORT_SECTIONS.map(name => sections[name]).join('\r\n');
+};
+
+const escapeHtml = (value) => {
+  if (value === undefined || value === null) return '';
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+};
+
+const renderTable = (rows, columns) => {
+  if (rows.length === 0) {
+    return '<p class="empty">No rows</p>';
+  }
+
+  const head = columns.map(column => `<th>${escapeHtml(column)}</th>`).join('');
+  const body = rows.map(row =>
+    `<tr>${columns.map(column => `<td>${escapeHtml(row[column])}</td>`).join('')}</tr>`
+  ).join('\n');
+
+  return `<table>\n<thead><tr>${head}</tr></thead>\n<tbody>\n${body}\n</tbody>\n</table>`;
+};
+
+const toReportHtml = (data) => {
+  const title = `GreenCart Simulation Report ${escapeHtml(data.summary[0].value)}`;
+  const unassigned = data.unassigned.length > 0
+    ? `<h2>Unassigned Orders</h2>\n${renderTable(data.unassigned, ['orderId', 'assignedRoute', 'reason'])}`
+    : '';
+  const skipped = data.skipped.length > 0
+    ? `<h2>Skipped Orders</h2>\n${renderTable(data.skipped, ['orderId', 'assignedRoute', 'reason'])}`
+    : '';
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${title}</title>
+<style>
+  body { font-family: Arial, Helvetica, sans-serif; color: #222; margin: 24px; }
+  h1 { color: #2e7d32; font-size: 22px; }
+  h2 { font-size: 16px; margin-top: 28px; border-bottom: 2px solid #2e7d32; padding-bottom: 4px; }
+  table { border-collapse: collapse; width: 100%; font-size: 12px; }
+  th, td { border: 1px solid #ccc; padding: 4px 6px; text-align: left; }
+  th { background: #e8f5e9; }
+  tr:nth-child(even) td { background: #fafafa; }
+  .empty { color: #777; font-style: italic; }
+  @media print { body { margin: 0; } h2 { page-break-after: avoid; } tr { page-break-inside: avoid; } }
+</style>
+</head>
+<body>
+<h1>${title}</h1>
+<h2>Summary</h2>
+${renderTable(data.summary, ['metric', 'value'])}
+<h2>Drivers</h2>
+${renderTable(data.drivers, DRIVER_COLUMNS)}
+<h2>Trips</h2>
+${renderTable(data.trips, TRIP_COLUMNS)}
+<h2>Orders</h2>
+${renderTable(data.orders, ORDER_COLUMNS)}
+${unassigned}
+${skipped}
+</body>
+</html>
+`;
+};
+
+module.exports = {
+  REPORT_FORMATS,
+  REPORT_SECTIONS,
+  buildReportData,
+  toReportCsv,
+  toReportHtml
+};
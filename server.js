@@ -5,10 +5,89 @@ const cors = require('cors');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 require('dotenv').config();
+const { DEFAULT_STRATEGY, getStrategy, listStrategies } = require('./simulation/strategies');
+const { runSimulation, getDayStart, parseTimeToMinutes } = require('./simulation/engine');
+const { TRAFFIC_LEVELS, SLA_TIERS, FUEL_TYPES, DEFAULT_RULES, validateRules, resolveRules } = require('./simulation/rules');
+const { compareScenarios } = require('./simulation/compare');
+const { JOB_STATUSES, FINISHED_STATUSES, createJobQueue } = require('./simulation/jobs');
+const {
+  PLAN_STATUSES,
+  PlanConflictError,
+  getPlanAssignments,
+  getPlannedShiftHours,
+  getDataLoadedAt,
+  findPlanConflicts,
+  findRevertConflicts
+} = require('./simulation/plan');
+const { DAYS, VEHICLE_TYPES } = require('./simulation/availability');
+const {
+  getRoutePoints,
+  hasGeometry,
+  deriveRouteMetrics,
+  deriveRouteUpdate,
+  buildDistanceMatrix,
+  routeToGeoJSON
+} = require('./simulation/geometry');
+const {
+  summarizeDriverHours,
+  getComplianceStatus,
+  buildDailyHours
+} = require('./simulation/hoursOfService');
+const { ROLES, DEFAULT_ROLE, hasPermission, getRolePermissions } = require('./auth/roles');
+const {
+  ACCESS_TOKEN_TTL,
+  REFRESH_TOKEN_TTL_MS,
+  resolveJwtSecret,
+  generateRefreshToken,
+  hashToken,
+  generateTokenId
+} = require('./auth/tokens');
+const { parseCsv } = require('./utils/csv');
+const { escapeRegex, listQuerySchema, parseListQuery } = require('./utils/listQuery');
+const { validateRequest } = require('./utils/validation');
+const {
+  validationFailed,
+  invalidField,
+  fromMongooseError,
+  sendError,
+  normalizeErrorResponses,
+  notFoundHandler,
+  errorHandler
+} = require('./utils/errors');
+const { createEventHub, formatSseEvent } = require('./realtime/events');
+const {
+  AUDIT_ACTIONS,
+  RESTORABLE_ENTITIES,
+  RestoreConflictError,
+  getRestoreKind,
+  toAuditValue,
+  getChangedFields
+} = require('./audit/log');
+const { KPI_QUERY_SCHEMA, parseKpiQuery, buildKpiPipeline } = require('./reports/analytics');
+const { buildDataHealthChecks, summarizeDataHealth } = require('./reports/dataHealth');
+const {
+  ORDER_STATUSES,
+  getTransitionError,
+  calculateActualOutcome,
+  calculateFailedOutcome,
+  compareWithActual
+} = require('./orders/lifecycle');
+const {
+  REPORT_FORMATS,
+  REPORT_SECTIONS,
+  buildReportData,
+  toReportCsv,
+  toReportHtml
+} = require('./reports/simulationReport');
+
+// Throws without a configured secret outside of development, so the server refuses to start
+// and anything requiring the app gets the error instead of a process exit
+const JWT_SECRET = resolveJwtSecret();
 
 const app = express();
 
 // Middleware
+app.use(normalizeErrorResponses); // every error response is { error, code, details }
 app.use(express.json());
 // app.use(cors({
 //   origin: process.env.FRONTEND_URL || 'http://localhost:3000',
@@ -25,60 +104,222 @@ app.use(
 );
 
 
-// MongoDB Connection
-// mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/greencart', {
-//   useNewUrlParser: true,
-//   useUnifiedTopology: true,
-// });
-  mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/greencart');
 // Models
 const UserSchema = new mongoose.Schema({
   email: { type: String, required: true, unique: true },
   password: { type: String, required: true },
-  role: { type: String, default: 'manager' }
+  role: { type: String, enum: ROLES, default: DEFAULT_ROLE },
+  tokenVersion: { type: Number, default: 0 } // bumped to log out all sessions
+});
+
+const RefreshTokenSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  tokenHash: { type: String, required: true, unique: true },
+  family: { type: String, required: true, index: true }, // shared by every rotation of one login
+  createdAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date, required: true, index: { expires: 0 } },
+  revokedAt: { type: Date, default: null },
+  replacedBy: { type: String }
+});
+
+// Access tokens revoked before they expire, kept until their expiry
+const RevokedTokenSchema = new mongoose.Schema({
+  jti: { type: String, required: true, unique: true },
+  expiresAt: { type: Date, required: true, index: { expires: 0 } }
 });
 
+const TIME_OF_DAY = /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/;
+
 const DriverSchema = new mongoose.Schema({
   name: { type: String, required: true },
   currentShiftHours: { type: Number, default: 0 },
   past7DayWorkHours: { type: Number, default: 0 },
-  isFatigued: { type: Boolean, default: false }
+  isFatigued: { type: Boolean, default: false },
+  // Weekly on-duty windows; a window whose end is before its start runs overnight.
+  // No windows means always available.
+  availability: [{
+    _id: false,
+    day: { type: String, enum: DAYS, required: true },
+    start: { type: String, match: TIME_OF_DAY, required: true },
+    end: { type: String, match: TIME_OF_DAY, required: true }
+  }],
+  leave: [{
+    _id: false,
+    start: { type: Date, required: true },
+    end: { type: Date, required: true },
+    reason: String
+  }],
+  vehicleType: { type: String, enum: VEHICLE_TYPES },
+  vehicleCapacityKg: { type: Number, min: 0 },
+  vehicleCapacityM3: { type: Number, min: 0 },
+  fuelType: { type: String, enum: FUEL_TYPES, default: 'diesel' },
+  plannedShiftHours: { type: Number, min: 0 }, // set by the last applied simulation plan
+  // Empty lists mean the driver is cleared for every route / zone
+  clearedRoutes: [String],
+  clearedZones: [String]
 });
+DriverSchema.index({ name: 1 });
+
+// Worked shifts; a driver's hours and fatigue are derived from these
+const DriverShiftSchema = new mongoose.Schema({
+  driver: { type: mongoose.Schema.Types.ObjectId, ref: 'Driver', required: true },
+  start: { type: Date, required: true },
+  end: { type: Date, default: null }, // null while the shift is still open
+  orders: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Order' }]
+});
+DriverShiftSchema.index({ driver: 1, start: -1 });
+
+const LocationSchema = new mongoose.Schema({
+  name: String,
+  lat: { type: Number, required: true, min: -90, max: 90 },
+  lng: { type: Number, required: true, min: -180, max: 180 }
+}, { _id: false });
 
+// Distance and baseTime may be left out when the route has a depot and stops to derive them from
 const RouteSchema = new mongoose.Schema({
   routeId: { type: String, required: true, unique: true },
-  distance: { type: Number, required: true },
+  distance: { type: Number, required: function () { return !hasGeometry(this); } }, // in km
   trafficLevel: { type: String, enum: ['Low', 'Medium', 'High'], required: true },
-  baseTime: { type: Number, required: true } // in minutes
+  baseTime: { type: Number, required: function () { return !hasGeometry(this); } }, // in minutes
+  zone: { type: String },
+  allowedVehicleTypes: [{ type: String, enum: VEHICLE_TYPES }], // empty means any vehicle
+  depot: LocationSchema,
+  stops: [LocationSchema] // in visiting order
 });
+RouteSchema.index({ trafficLevel: 1, routeId: 1 });
+RouteSchema.index({ zone: 1 });
+
+// One status change in an order's history; `at` is when it happened, recordedAt when it was entered
+const OrderEventSchema = new mongoose.Schema({
+  status: { type: String, enum: ORDER_STATUSES, required: true },
+  at: { type: Date, required: true },
+  recordedAt: { type: Date, default: Date.now },
+  recordedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  driver: { type: mongoose.Schema.Types.ObjectId, ref: 'Driver' },
+  note: String
+}, { _id: false });
 
 const OrderSchema = new mongoose.Schema({
   orderId: { type: String, required: true, unique: true },
   valueRs: { type: Number, required: true },
   assignedRoute: { type: String, required: true },
   deliveryTimestamp: { type: Date, required: true },
+  weightKg: { type: Number, min: 0 },
+  volumeM3: { type: Number, min: 0 },
+  // Promised delivery window; an order delivered after its end (plus the tier's grace) is late
+  deliveryWindowStart: { type: Date },
+  deliveryWindowEnd: {
+    type: Date,
+    validate: {
+      validator: function (value) {
+        return !this.deliveryWindowStart || value > this.deliveryWindowStart;
+      },
+      message: 'deliveryWindowEnd must be after deliveryWindowStart'
+    }
+  },
+  slaTier: { type: String, enum: SLA_TIERS, default: 'standard' },
   assignedDriver: { type: mongoose.Schema.Types.ObjectId, ref: 'Driver' },
+  // Lifecycle (see orders/lifecycle.js); changed only through POST /api/orders/:id/status
+  status: { type: String, enum: ORDER_STATUSES, default: 'created' },
+  events: { type: [OrderEventSchema], default: () => [{ status: 'created', at: new Date() }] },
+  pickedUpAt: { type: Date },
+  deliveredAt: { type: Date },
+  failureReason: { type: String },
+  // Real outcome, worked out from pickedUpAt and deliveredAt once the order is delivered or fails
   actualDeliveryTime: { type: Number }, // in minutes
   isOnTime: { type: Boolean, default: true },
   penalty: { type: Number, default: 0 },
   bonus: { type: Number, default: 0 }
+}, { timestamps: true }); // updatedAt lets an applied simulation plan detect changed orders
+OrderSchema.index({ status: 1, deliveryTimestamp: -1 });
+OrderSchema.index({ deliveryTimestamp: -1 });
+OrderSchema.index({ assignedRoute: 1, deliveryTimestamp: -1 });
+OrderSchema.index({ assignedDriver: 1, deliveryTimestamp: -1 });
+OrderSchema.index({ isOnTime: 1, deliveryTimestamp: -1 });
+OrderSchema.index({ valueRs: 1 });
+
+const TrafficMultipliersSchema = new mongoose.Schema({
+  Low: { type: Number, min: 0 },
+  Medium: { type: Number, min: 0 },
+  High: { type: Number, min: 0 }
+}, { _id: false });
+
+const EmissionFactorsSchema = new mongoose.Schema({
+  diesel: { type: Number, min: 0 },
+  cng: { type: Number, min: 0 },
+  ev: { type: Number, min: 0 }
+}, { _id: false });
+
+const TimeBandSchema = new mongoose.Schema({
+  name: String,
+  start: { type: String, required: true }, // HH:MM
+  end: { type: String, required: true }, // HH:MM, exclusive
+  multipliers: TrafficMultipliersSchema
+}, { _id: false });
+
+const RulesSchema = new mongoose.Schema({
+  latePenalty: { type: Number, min: 0 },
+  gracePeriodMinutes: { type: Number, min: 0 },
+  highValueThreshold: { type: Number, min: 0 },
+  highValueBonusRate: { type: Number, min: 0, max: 1 },
+  fuelCostPerKm: { type: Number, min: 0 },
+  highTrafficSurchargePerKm: { type: Number, min: 0 },
+  fatigueThresholdHours: { type: Number, min: 0, max: 24 },
+  fatigueSlowdown: { type: Number, min: 1 },
+  dailyHoursLimit: { type: Number, min: 1, max: 24 },
+  weeklyHoursLimit: { type: Number, min: 1, max: 168 },
+  hoursOfServicePolicy: { type: String, enum: ['exclude', 'penalize'] },
+  hoursOfServicePenalty: { type: Number, min: 0 },
+  maxStopsPerTrip: { type: Number, min: 1, max: 50 },
+  stopTimeMinutes: { type: Number, min: 0 },
+  carbonCostPerKg: { type: Number, min: 0 },
+  emissionFactors: EmissionFactorsSchema,
+  idleFactors: TrafficMultipliersSchema,
+  slaTiers: { type: mongoose.Schema.Types.Mixed },
+  trafficMultipliers: TrafficMultipliersSchema,
+  timeBands: { type: [TimeBandSchema], default: undefined }
+}, { _id: false });
+
+const RuleProfileSchema = new mongoose.Schema({
+  name: { type: String, required: true, unique: true },
+  description: { type: String, default: '' },
+  rules: { type: RulesSchema, default: () => ({ ...DEFAULT_RULES }) },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
 });
 
 const SimulationResultSchema = new mongoose.Schema({
   timestamp: { type: Date, default: Date.now },
+  dataLoadedAt: Date, // when the run read drivers, routes and orders; applying checks changes since
+  scenarioGroup: { type: mongoose.Schema.Types.ObjectId, ref: 'ScenarioGroup' },
+  scenarioName: String,
   inputs: {
     availableDrivers: Number,
+    date: String, // YYYY-MM-DD the simulated day falls on
     startTime: String,
-    maxHoursPerDay: Number
+    maxHoursPerDay: Number,
+    strategy: { type: String, default: DEFAULT_STRATEGY },
+    ruleProfileId: { type: mongoose.Schema.Types.ObjectId, ref: 'RuleProfile' }
   },
+  // Snapshot of the rules used, so old results can be explained after a profile changes
+  ruleProfileName: String,
+  rules: RulesSchema,
   results: {
     totalProfit: Number,
     efficiencyScore: Number,
     onTimeDeliveries: Number,
     totalDeliveries: Number,
+    unassignedOrders: Number,
+    skippedOrders: Number, // orders on routes that don't exist; not counted as deliveries
+    hoursOfServiceViolations: Number,
     fuelCost: Number,
     penalties: Number,
-    bonuses: Number
+    bonuses: Number,
+    co2Kg: Number,
+    carbonCost: Number,
+    trips: Number,
+    averageStopsPerTrip: Number,
+    averageCapacityUtilization: Number // % of vehicle capacity used, over trips with a known capacity
   },
   deliveryBreakdown: [{
     onTime: Number,
@@ -87,487 +328,2514 @@ const SimulationResultSchema = new mongoose.Schema({
   fuelCostBreakdown: [{
     routeType: String,
     cost: Number
-  }]
+  }],
+  emissionsBreakdown: [{
+    _id: false,
+    routeId: String,
+    co2Kg: Number,
+    deliveries: Number
+  }],
+  tierBreakdown: [{
+    _id: false,
+    tier: String,
+    deliveries: Number,
+    onTimeDeliveries: Number,
+    onTimeRate: Number,
+    penalties: Number,
+    bonuses: Number
+  }],
+  orderBreakdown: [{
+    _id: false,
+    orderId: String,
+    assignedRoute: String,
+    assignedDriver: { type: mongoose.Schema.Types.ObjectId, ref: 'Driver' },
+    driverName: String,
+    tripId: String,
+    stop: Number,
+    valueRs: Number,
+    scheduledStart: String,
+    scheduledEnd: String,
+    waitMinutes: Number,
+    slaTier: String,
+    actualDeliveryTime: Number,
+    isOnTime: Boolean,
+    penalty: Number,
+    bonus: Number,
+    fuelCost: Number,
+    co2Kg: Number,
+    carbonCost: Number,
+    profit: Number,
+    hoursOfServiceViolation: Boolean
+  }],
+  driverBreakdown: [{
+    _id: false,
+    driverId: { type: mongoose.Schema.Types.ObjectId, ref: 'Driver' },
+    name: String,
+    shiftStart: String,
+    shiftEnd: String,
+    hoursWorked: Number,
+    weeklyHoursWorked: Number,
+    trips: Number,
+    deliveries: Number,
+    onTimeDeliveries: Number,
+    lateDeliveries: Number,
+    fuelCost: Number,
+    co2Kg: Number,
+    penalties: Number,
+    bonuses: Number,
+    profit: Number
+  }],
+  trips: [{
+    _id: false,
+    tripId: String,
+    driverId: { type: mongoose.Schema.Types.ObjectId, ref: 'Driver' },
+    driverName: String,
+    routes: [String],
+    zone: String,
+    stops: [String],
+    start: String,
+    end: String,
+    durationMinutes: Number,
+    distanceKm: Number,
+    fuelCost: Number,
+    co2Kg: Number,
+    loadKg: Number,
+    loadM3: Number,
+    capacityKg: Number,
+    capacityM3: Number,
+    capacityUtilization: Number
+  }],
+  unassigned: [{
+    _id: false,
+    orderId: String,
+    assignedRoute: String,
+    reason: String
+  }],
+  skipped: [{
+    _id: false,
+    orderId: String,
+    assignedRoute: String,
+    reason: String
+  }],
+  // Set once the simulation is applied as the real plan; keeps what is needed to revert it
+  plan: {
+    status: { type: String, enum: PLAN_STATUSES },
+    appliedAt: Date,
+    appliedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    revertedAt: Date,
+    revertedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    orders: [{
+      _id: false,
+      order: { type: mongoose.Schema.Types.ObjectId, ref: 'Order' },
+      orderId: String,
+      driver: { type: mongoose.Schema.Types.ObjectId, ref: 'Driver' }
+    }],
+    drivers: [{
+      _id: false,
+      driver: { type: mongoose.Schema.Types.ObjectId, ref: 'Driver' },
+      previousPlannedShiftHours: Number,
+      plannedShiftHours: Number
+    }]
+  }
+});
+// KPI analytics match on a date range, optionally narrowed by inputs
+SimulationResultSchema.index({ timestamp: -1 });
+SimulationResultSchema.index({ 'inputs.availableDrivers': 1, timestamp: -1 });
+SimulationResultSchema.index({ 'inputs.strategy': 1, timestamp: -1 });
+
+const ScenarioGroupSchema = new mongoose.Schema({
+  name: { type: String, required: true },
+  timestamp: { type: Date, default: Date.now },
+  baseline: String,
+  simulations: [{ type: mongoose.Schema.Types.ObjectId, ref: 'SimulationResult' }]
+});
+
+// Queued simulation runs, worked through by the job queue (see simulation/jobs.js)
+const SimulationJobSchema = new mongoose.Schema({
+  status: { type: String, enum: JOB_STATUSES, default: 'queued' },
+  progress: { type: Number, default: 0 }, // percent of orders worked through
+  inputs: { type: mongoose.Schema.Types.Mixed, required: true },
+  requestedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  cancelRequested: { type: Boolean, default: false },
+  simulation: { type: mongoose.Schema.Types.ObjectId, ref: 'SimulationResult' },
+  error: String,
+  createdAt: { type: Date, default: Date.now },
+  startedAt: Date,
+  heartbeatAt: Date,
+  finishedAt: Date
 });
+SimulationJobSchema.index({ status: 1, createdAt: 1 });
+
+// Who changed what and when: data changes, simulation runs, plans, imports and resets
+const AuditLogSchema = new mongoose.Schema({
+  timestamp: { type: Date, default: Date.now },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  userEmail: String,
+  action: { type: String, enum: AUDIT_ACTIONS, required: true },
+  entity: { type: String, required: true }, // e.g. driver, route, order, simulation
+  entityId: String,
+  before: mongoose.Schema.Types.Mixed,
+  after: mongoose.Schema.Types.Mixed,
+  changedFields: { type: [String], default: undefined },
+  details: mongoose.Schema.Types.Mixed
+});
+AuditLogSchema.index({ timestamp: -1 });
+AuditLogSchema.index({ user: 1, timestamp: -1 });
+AuditLogSchema.index({ entity: 1, entityId: 1, timestamp: -1 });
 
 const User = mongoose.model('User', UserSchema);
+const RefreshToken = mongoose.model('RefreshToken', RefreshTokenSchema);
+const RevokedToken = mongoose.model('RevokedToken', RevokedTokenSchema);
 const Driver = mongoose.model('Driver', DriverSchema);
+const DriverShift = mongoose.model('DriverShift', DriverShiftSchema);
 const Route = mongoose.model('Route', RouteSchema);
 const Order = mongoose.model('Order', OrderSchema);
+const RuleProfile = mongoose.model('RuleProfile', RuleProfileSchema);
 const SimulationResult = mongoose.model('SimulationResult', SimulationResultSchema);
+const AuditLog = mongoose.model('AuditLog', AuditLogSchema);
+const ScenarioGroup = mongoose.model('ScenarioGroup', ScenarioGroupSchema);
+const SimulationJob = mongoose.model('SimulationJob', SimulationJobSchema);
 
 // Auth Middleware
-const authenticateToken = (req, res, next) => {
+const authenticateToken = async (req, res, next) => {
   const authHeader = req.headers['authorization'];
   const token = authHeader && authHeader.split(' ')[1];
 
   if (!token) {
-    return res.status(401).json({ error: 'Access token required' });
+    return res.status(401).json({ error: 'Access token required', code: 'TOKEN_REQUIRED' });
+  }
+
+  let payload;
+  try {
+    payload = jwt.verify(token, JWT_SECRET);
+  } catch (err) {
+    return res.status(403).json({ error: 'Invalid or expired token', code: 'TOKEN_INVALID' });
   }
 
-  jwt.verify(token, process.env.JWT_SECRET || 'fallback_secret', (err, user) => {
-    if (err) {
-      return res.status(403).json({ error: 'Invalid or expired token' });
+  try {
+    const [user, revoked] = await Promise.all([
+      User.findById(payload.userId).select('email role tokenVersion'),
+      payload.jti ? RevokedToken.exists({ jti: payload.jti }) : null
+    ]);
+
+    if (!user || revoked || (payload.tokenVersion || 0) !== user.tokenVersion) {
+      return res.status(401).json({ error: 'Token has been revoked', code: 'TOKEN_REVOKED' });
     }
-    req.user = user;
+
+    // The role comes from the database so role changes apply immediately
+    req.user = { ...payload, role: user.role };
     next();
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to authenticate token' });
+  }
+};
+
+// Role Middleware, runs after authenticateToken
+const requirePermission = (permission) => (req, res, next) => {
+  if (!hasPermission(req.user.role, permission)) {
+    return res.status(403).json({ error: 'Insufficient permissions', code: 'PERMISSION_DENIED' });
+  }
+
+  next();
+};
+
+// Live events pushed to open dashboards over /api/dashboard/stream
+const liveEvents = createEventHub();
+
+// e.g. driver.created, route.updated, order.deleted
+const publishDataChange = (entity, action, doc) => {
+  liveEvents.publish(`${entity}.${action}`, action === 'deleted'
+    ? { id: doc._id }
+    : { id: doc._id, [entity]: doc });
+};
+
+const publishSimulationCompleted = (simulationResult) => {
+  liveEvents.publish('simulation.completed', {
+    simulationId: simulationResult._id,
+    scenarioName: simulationResult.scenarioName,
+    strategy: simulationResult.inputs.strategy,
+    results: simulationResult.results
   });
 };
 
-// Validation Middleware
-const validateSimulationInputs = (req, res, next) => {
-  const { availableDrivers, startTime, maxHoursPerDay } = req.body;
+const buildAuditEntry = (user, { action, entity, entityId, before, after, details }) => ({
+  user: user && user.userId,
+  userEmail: user && user.email,
+  action,
+  entity,
+  entityId: entityId === undefined ? undefined : String(entityId),
+  before: toAuditValue(before),
+  after: toAuditValue(after),
+  changedFields: action === 'update' ? getChangedFields(before, after) : undefined,
+  details
+});
 
-  if (!availableDrivers || !startTime || !maxHoursPerDay) {
-    return res.status(400).json({ 
-      error: 'Missing required parameters: availableDrivers, startTime, maxHoursPerDay' 
-    });
+// Record an audit entry for `user` (req.user, or { userId } outside a request) and return it.
+// A failed write is logged and never fails the change it describes.
+const recordAudit = async (user, entry) => {
+  try {
+    return await AuditLog.create(buildAuditEntry(user, entry));
+  } catch (error) {
+    console.error('Audit log error:', error);
+    return null;
   }
+};
 
-  if (availableDrivers < 1 || availableDrivers > 50) {
-    return res.status(400).json({ 
-      error: 'Available drivers must be between 1 and 50' 
-    });
+// One entry per record a bulk change touched, so each can be restored on its own
+const recordAuditEntries = async (user, entries) => {
+  if (entries.length === 0) return;
+
+  try {
+    await AuditLog.insertMany(entries.map(entry => buildAuditEntry(user, entry)));
+  } catch (error) {
+    console.error('Audit log error:', error);
   }
+};
 
-  if (maxHoursPerDay < 1 || maxHoursPerDay > 24) {
-    return res.status(400).json({ 
-      error: 'Max hours per day must be between 1 and 24' 
-    });
+// Update entries for orders a bulk change rewrote, from their documents before and after it
+const recordOrderUpdates = async (user, before, details) => {
+  const after = await Order.find({ _id: { $in: before.map(order => order._id) } }).lean();
+  const afterById = new Map(after.map(order => [String(order._id), order]));
+
+  await recordAuditEntries(user, before
+    .filter(order => afterById.has(String(order._id)))
+    .map(order => ({
+      action: 'update',
+      entity: 'order',
+      entityId: order._id,
+      before: order,
+      after: afterById.get(String(order._id)),
+      details
+    })));
+};
+
+const auditSimulationRun = (user, simulationResult) => recordAudit(user, {
+  action: 'simulate',
+  entity: 'simulation',
+  entityId: simulationResult._id,
+  details: {
+    inputs: simulationResult.inputs,
+    scenarioName: simulationResult.scenarioName,
+    results: simulationResult.results
   }
+});
 
-  const timeRegex = /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/;
-  if (!timeRegex.test(startTime)) {
-    return res.status(400).json({ 
-      error: 'Start time must be in HH:MM format' 
-    });
+// Issue a short-lived access token and a rotating refresh token
+const issueTokens = async (user, family = generateTokenId()) => {
+  const token = jwt.sign(
+    { userId: user._id, email: user.email, role: user.role, tokenVersion: user.tokenVersion },
+    JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL, jwtid: generateTokenId() }
+  );
+
+  const refreshToken = generateRefreshToken();
+  await RefreshToken.create({
+    user: user._id,
+    tokenHash: hashToken(refreshToken),
+    family,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS)
+  });
+
+  return { token, refreshToken, expiresIn: ACCESS_TOKEN_TTL };
+};
+
+const revokeAccessToken = async (payload) => {
+  if (!payload.jti) return;
+
+  await RevokedToken.updateOne(
+    { jti: payload.jti },
+    { $setOnInsert: { expiresAt: new Date(payload.exp * 1000) } },
+    { upsert: true }
+  );
+};
+
+// Request Schemas (see utils/validation.js)
+const ID_PARAMS = { id: { type: 'objectId', required: true } };
+const SHIFT_PARAMS = { ...ID_PARAMS, shiftId: { type: 'objectId', required: true } };
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const DATE_ONLY_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+const CREDENTIALS_SCHEMA = {
+  email: { type: 'string', required: true },
+  password: { type: 'string', required: true }
+};
+
+const REGISTER_SCHEMA = {
+  ...CREDENTIALS_SCHEMA,
+  email: { type: 'string', required: true, maxLength: 254, pattern: EMAIL_REGEX, message: 'email must be a valid email address' }
+};
+
+const REFRESH_SCHEMA = { refreshToken: { type: 'string', required: true } };
+const LOGOUT_SCHEMA = { refreshToken: { type: 'string' } };
+const USER_ROLE_SCHEMA = { role: { type: 'string', required: true, values: ROLES } };
+
+const SIMULATION_INPUT_SCHEMA = {
+  availableDrivers: { type: 'integer', required: true, min: 1, max: 50, message: 'Available drivers must be between 1 and 50' },
+  startTime: { type: 'time', required: true, message: 'Start time must be in HH:MM format' },
+  maxHoursPerDay: { type: 'number', required: true, min: 1, max: 24, message: 'Max hours per day must be between 1 and 24' },
+  date: {
+    type: 'string',
+    pattern: DATE_ONLY_REGEX,
+    message: 'Date must be in YYYY-MM-DD format',
+    custom: date => (isNaN(new Date(date)) ? 'Date must be in YYYY-MM-DD format' : null)
+  },
+  strategy: {
+    type: 'string',
+    custom: strategy => (getStrategy(strategy)
+      ? null
+      : `Unknown strategy. Available strategies: ${listStrategies().map(s => s.name).join(', ')}`)
+  },
+  ruleProfileId: { type: 'objectId' }
+};
+
+const MAX_COMPARED_SCENARIOS = 10;
+
+const SCENARIO_COMPARISON_SCHEMA = {
+  scenarios: {
+    type: 'array',
+    required: true,
+    minItems: 2,
+    maxItems: MAX_COMPARED_SCENARIOS,
+    items: { type: 'object', fields: { ...SIMULATION_INPUT_SCHEMA, name: { type: 'string' } } }
+  },
+  baseline: { type: 'any' },
+  save: { type: 'boolean' },
+  groupName: { type: 'string' }
+};
+
+// What the comparison schema can't express: unique names, the baseline and a group name to save under
+const validateScenarioComparison = (req, res, next) => {
+  const { scenarios, baseline, save, groupName } = req.body;
+
+  const names = scenarios.map((scenario, index) => scenario.name || `Scenario ${index + 1}`);
+  if (new Set(names).size !== names.length) {
+    return next(invalidField('body', 'scenarios', 'Scenario names must be unique'));
+  }
+
+  if (baseline !== undefined && !names.includes(baseline) &&
+      !(Number.isInteger(baseline) && baseline >= 0 && baseline < scenarios.length)) {
+    return next(invalidField('body', 'baseline', 'Baseline must be a scenario name or index'));
+  }
+
+  if (save && !groupName) {
+    return next(invalidField('body', 'groupName', 'Group name is required to save a scenario group', 'REQUIRED'));
   }
 
   next();
 };
 
+const RULE_PROFILE_SCHEMA = {
+  name: { type: 'string', required: true },
+  description: { type: 'string', allowEmpty: true },
+  rules: { type: 'object', custom: validateRules }
+};
+
+// Which rule profile to judge hours against, e.g. ?ruleProfileId=
+const RULE_PROFILE_QUERY = { ruleProfileId: { type: 'objectId' } };
+
 // Auth Routes
-app.post('/api/auth/login', async (req, res) => {
+app.post('/api/auth/login', validateRequest({ body: CREDENTIALS_SCHEMA }), async (req, res) => {
   try {
     const { email, password } = req.body;
 
-    if (!email || !password) {
-      return res.status(400).json({ error: 'Email and password required' });
-    }
-
     const user = await User.findOne({ email });
     if (!user) {
-      return res.status(401).json({ error: 'Invalid credentials' });
+      return res.status(401).json({ error: 'Invalid credentials', code: 'INVALID_CREDENTIALS' });
     }
 
     const validPassword = await bcrypt.compare(password, user.password);
     if (!validPassword) {
-      return res.status(401).json({ error: 'Invalid credentials' });
+      return res.status(401).json({ error: 'Invalid credentials', code: 'INVALID_CREDENTIALS' });
     }
 
-    const token = jwt.sign(
-      { userId: user._id, email: user.email }, 
-      process.env.JWT_SECRET || 'fallback_secret',
-      { expiresIn: '24h' }
-    );
+    const tokens = await issueTokens(user);
 
-    res.json({ token, user: { email: user.email, role: user.role } });
+    res.json({ ...tokens, user: { email: user.email, role: user.role } });
   } catch (error) {
     res.status(500).json({ error: 'Server error during login' });
   }
 });
 
-app.post('/api/auth/register', async (req, res) => {
+app.post('/api/auth/register', validateRequest({ body: REGISTER_SCHEMA }), async (req, res) => {
   try {
     const { email, password } = req.body;
 
-    if (!email || !password) {
-      return res.status(400).json({ error: 'Email and password required' });
-    }
-
     const existingUser = await User.findOne({ email });
     if (existingUser) {
-      return res.status(400).json({ error: 'User already exists' });
+      return res.status(409).json({ error: 'User already exists', code: 'DUPLICATE_KEY' });
     }
 
     const hashedPassword = await bcrypt.hash(password, 12);
-    const user = new User({ email, password: hashedPassword });
+    // ADMIN_EMAIL bootstraps the first admin while there is none; after that every new user
+    // starts with the default role and is promoted by an admin
+    const isBootstrapAdmin = Boolean(process.env.ADMIN_EMAIL) && email === process.env.ADMIN_EMAIL &&
+      !(await User.exists({ role: 'admin' }));
+    const role = isBootstrapAdmin ? 'admin' : DEFAULT_ROLE;
+    const user = new User({ email, password: hashedPassword, role });
     await user.save();
 
-    const token = jwt.sign(
-      { userId: user._id, email: user.email }, 
-      process.env.JWT_SECRET || 'fallback_secret',
-      { expiresIn: '24h' }
-    );
+    const tokens = await issueTokens(user);
 
-    res.status(201).json({ token, user: { email: user.email, role: user.role } });
+    res.status(201).json({ ...tokens, user: { email: user.email, role: user.role } });
   } catch (error) {
     res.status(500).json({ error: 'Server error during registration' });
   }
 });
 
-// Driver CRUD Routes
-app.get('/api/drivers', authenticateToken, async (req, res) => {
+// Exchange a refresh token for a new access token; the refresh token is rotated
+app.post('/api/auth/refresh', validateRequest({ body: REFRESH_SCHEMA }), async (req, res) => {
   try {
-    const drivers = await Driver.find();
-    res.json(drivers);
-  } catch (error) {
-    res.status(500).json({ error: 'Failed to fetch drivers' });
-  }
-});
+    const { refreshToken } = req.body;
 
-app.post('/api/drivers', authenticateToken, async (req, res) => {
-  try {
-    const { name, currentShiftHours, past7DayWorkHours } = req.body;
+    const tokenHash = hashToken(refreshToken);
+    const now = new Date();
+
+    // Claim the token atomically so it can only be used once
+    const stored = await RefreshToken.findOneAndUpdate(
+      { tokenHash, revokedAt: null, expiresAt: { $gt: now } },
+      { revokedAt: now }
+    );
 
-    if (!name) {
-      return res.status(400).json({ error: 'Driver name is required' });
+    if (!stored) {
+      // A rotated token being replayed means it leaked: revoke the whole login
+      const reused = await RefreshToken.findOne({ tokenHash, revokedAt: { $ne: null } });
+      if (reused) {
+        await RefreshToken.updateMany(
+          { family: reused.family, revokedAt: null },
+          { revokedAt: now }
+        );
+      }
+      return res.status(401).json({ error: 'Invalid or expired refresh token', code: 'REFRESH_TOKEN_INVALID' });
     }
 
-    const driver = new Driver({
-      name,
-      currentShiftHours: currentShiftHours || 0,
-      past7DayWorkHours: past7DayWorkHours || 0
-    });
+    const user = await User.findById(stored.user);
+    if (!user) {
+      return res.status(401).json({ error: 'Invalid or expired refresh token', code: 'REFRESH_TOKEN_INVALID' });
+    }
 
-    await driver.save();
-    res.status(201).json(driver);
+    const tokens = await issueTokens(user, stored.family);
+    stored.replacedBy = hashToken(tokens.refreshToken);
+    await stored.save();
+
+    res.json({ ...tokens, user: { email: user.email, role: user.role } });
   } catch (error) {
-    res.status(500).json({ error: 'Failed to create driver' });
+    res.status(500).json({ error: 'Server error during token refresh' });
   }
 });
 
-app.put('/api/drivers/:id', authenticateToken, async (req, res) => {
+app.post('/api/auth/logout', authenticateToken, validateRequest({ body: LOGOUT_SCHEMA }), async (req, res) => {
   try {
-    const { name, currentShiftHours, past7DayWorkHours } = req.body;
-    
-    const driver = await Driver.findByIdAndUpdate(
-      req.params.id,
-      { name, currentShiftHours, past7DayWorkHours },
-      { new: true }
-    );
-
-    if (!driver) {
-      return res.status(404).json({ error: 'Driver not found' });
-    }
+    const { refreshToken } = req.body;
 
-    res.json(driver);
-  } catch (error) {
-    res.status(500).json({ error: 'Failed to update driver' });
-  }
-});
+    await revokeAccessToken(req.user);
 
-app.delete('/api/drivers/:id', authenticateToken, async (req, res) => {
-  try {
-    const driver = await Driver.findByIdAndDelete(req.params.id);
-    
-    if (!driver) {
-      return res.status(404).json({ error: 'Driver not found' });
+    if (refreshToken) {
+      await RefreshToken.updateOne(
+        { tokenHash: hashToken(refreshToken), user: req.user.userId, revokedAt: null },
+        { revokedAt: new Date() }
+      );
     }
 
-    res.json({ message: 'Driver deleted successfully' });
+    res.json({ message: 'Logged out successfully' });
   } catch (error) {
-    res.status(500).json({ error: 'Failed to delete driver' });
+    res.status(500).json({ error: 'Server error during logout' });
   }
 });
 
-// Route CRUD Routes
-app.get('/api/routes', authenticateToken, async (req, res) => {
+// Revoke every refresh token and invalidate every access token of a user
+const logoutAllSessions = async (userId) => {
+  await User.updateOne({ _id: userId }, { $inc: { tokenVersion: 1 } });
+  await RefreshToken.updateMany({ user: userId, revokedAt: null }, { revokedAt: new Date() });
+};
+
+app.post('/api/auth/logout-all', authenticateToken, async (req, res) => {
   try {
-    const routes = await Route.find();
-    res.json(routes);
+    await logoutAllSessions(req.user.userId);
+    res.json({ message: 'Logged out of all sessions' });
   } catch (error) {
-    res.status(500).json({ error: 'Failed to fetch routes' });
+    res.status(500).json({ error: 'Server error during logout' });
   }
 });
 
-app.post('/api/routes', authenticateToken, async (req, res) => {
+// User Management Routes
+app.get('/api/auth/me', authenticateToken, async (req, res) => {
   try {
-    const { routeId, distance, trafficLevel, baseTime } = req.body;
+    const user = await User.findById(req.user.userId).select('email role');
 
-    if (!routeId || !distance || !trafficLevel || !baseTime) {
-      return res.status(400).json({ 
-        error: 'All fields required: routeId, distance, trafficLevel, baseTime' 
-      });
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
     }
 
-    const route = new Route({ routeId, distance, trafficLevel, baseTime });
-    await route.save();
-    res.status(201).json(route);
+    res.json({ email: user.email, role: user.role, permissions: getRolePermissions(user.role) });
   } catch (error) {
-    if (error.code === 11000) {
-      res.status(400).json({ error: 'Route ID already exists' });
-    } else {
-      res.status(500).json({ error: 'Failed to create route' });
-    }
+    res.status(500).json({ error: 'Failed to fetch user' });
   }
 });
 
-app.put('/api/routes/:id', authenticateToken, async (req, res) => {
+app.get('/api/users', authenticateToken, requirePermission('users:manage'), async (req, res) => {
   try {
-    const { routeId, distance, trafficLevel, baseTime } = req.body;
-    
-    const route = await Route.findByIdAndUpdate(
-      req.params.id,
-      { routeId, distance, trafficLevel, baseTime },
-      { new: true }
-    );
-
-    if (!route) {
-      return res.status(404).json({ error: 'Route not found' });
-    }
-
-    res.json(route);
+    const users = await User.find().select('email role');
+    res.json(users);
   } catch (error) {
-    res.status(500).json({ error: 'Failed to update route' });
+    res.status(500).json({ error: 'Failed to fetch users' });
   }
 });
 
-app.delete('/api/routes/:id', authenticateToken, async (req, res) => {
+app.put('/api/users/:id/role', authenticateToken, requirePermission('users:manage'), validateRequest({ params: ID_PARAMS, body: USER_ROLE_SCHEMA }), async (req, res) => {
   try {
-    const route = await Route.findByIdAndDelete(req.params.id);
-    
-    if (!route) {
-      return res.status(404).json({ error: 'Route not found' });
+    const { role } = req.body;
+
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
     }
 
-    res.json({ message: 'Route deleted successfully' });
-  } catch (error) {
-    res.status(500).json({ error: 'Failed to delete route' });
-  }
-});
+    // Never leave the system without an admin
+    if (user.role === 'admin' && role !== 'admin') {
+      const adminCount = await User.countDocuments({ role: 'admin' });
+      if (adminCount <= 1) {
+        return res.status(400).json({ error: 'Cannot remove the last admin', code: 'LAST_ADMIN' });
+      }
+    }
 
-// Order CRUD Routes
-app.get('/api/orders', authenticateToken, async (req, res) => {
-  try {
-    const orders = await Order.find().populate('assignedDriver');
-    res.json(orders);
+    const previousRole = user.role;
+    user.role = role;
+    await user.save();
+    await recordAudit(req.user, {
+      action: 'update',
+      entity: 'user',
+      entityId: user._id,
+      before: { role: previousRole },
+      after: { role }
+    });
+
+    res.json({ _id: user._id, email: user.email, role: user.role });
   } catch (error) {
-    res.status(500).json({ error: 'Failed to fetch orders' });
+    res.status(500).json({ error: 'Failed to update user role' });
   }
 });
 
-app.post('/api/orders', authenticateToken, async (req, res) => {
+app.post('/api/users/:id/logout-all', authenticateToken, requirePermission('users:manage'), validateRequest({ params: ID_PARAMS }), async (req, res) => {
   try {
-    const { orderId, valueRs, assignedRoute, deliveryTimestamp } = req.body;
-
-    if (!orderId || !valueRs || !assignedRoute || !deliveryTimestamp) {
-      return res.status(400).json({ 
-        error: 'All fields required: orderId, valueRs, assignedRoute, deliveryTimestamp' 
-      });
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
     }
 
-    const order = new Order({ orderId, valueRs, assignedRoute, deliveryTimestamp });
-    await order.save();
-    res.status(201).json(order);
+    await logoutAllSessions(user._id);
+    res.json({ message: 'User logged out of all sessions' });
   } catch (error) {
-    if (error.code === 11000) {
-      res.status(400).json({ error: 'Order ID already exists' });
-    } else {
-      res.status(500).json({ error: 'Failed to create order' });
-    }
+    res.status(500).json({ error: 'Failed to log out user' });
   }
 });
 
-app.put('/api/orders/:id', authenticateToken, async (req, res) => {
-  try {
-    const { orderId, valueRs, assignedRoute, deliveryTimestamp } = req.body;
-    
-    const order = await Order.findByIdAndUpdate(
-      req.params.id,
-      { orderId, valueRs, assignedRoute, deliveryTimestamp },
-      { new: true }
-    );
+// Driver, route and order bodies. POST and PUT send a whole record and PATCH any of its
+// fields; updates only change the fields sent.
+const AVAILABILITY_WINDOW_SCHEMA = {
+  day: { type: 'string', required: true, values: DAYS },
+  start: { type: 'time', required: true },
+  end: { type: 'time', required: true }
+};
 
-    if (!order) {
-      return res.status(404).json({ error: 'Order not found' });
-    }
+const LEAVE_SCHEMA = {
+  start: { type: 'date', required: true },
+  end: { type: 'date', required: true },
+  reason: { type: 'string', allowEmpty: true }
+};
 
-    res.json(order);
-  } catch (error) {
-    res.status(500).json({ error: 'Failed to update order' });
-  }
-});
+const DRIVER_SCHEMA = {
+  name: { type: 'string', required: true },
+  currentShiftHours: { type: 'number', min: 0, max: 24 },
+  past7DayWorkHours: { type: 'number', min: 0, max: 168 },
+  availability: { type: 'array', items: { type: 'object', fields: AVAILABILITY_WINDOW_SCHEMA } },
+  leave: { type: 'array', items: { type: 'object', fields: LEAVE_SCHEMA } },
+  vehicleType: { type: 'string', values: VEHICLE_TYPES },
+  vehicleCapacityKg: { type: 'number', min: 0 },
+  vehicleCapacityM3: { type: 'number', min: 0 },
+  fuelType: { type: 'string', values: FUEL_TYPES },
+  clearedRoutes: { type: 'array', items: { type: 'string' } },
+  clearedZones: { type: 'array', items: { type: 'string' } }
+};
 
-app.delete('/api/orders/:id', authenticateToken, async (req, res) => {
-  try {
-    const order = await Order.findByIdAndDelete(req.params.id);
-    
-    if (!order) {
-      return res.status(404).json({ error: 'Order not found' });
-    }
+const LOCATION_SCHEMA = {
+  name: { type: 'string', allowEmpty: true },
+  lat: { type: 'number', required: true, min: -90, max: 90 },
+  lng: { type: 'number', required: true, min: -180, max: 180 }
+};
 
-    res.json({ message: 'Order deleted successfully' });
-  } catch (error) {
-    res.status(500).json({ error: 'Failed to delete order' });
+// Distance and baseTime may be left out when depot and stops are given
+const ROUTE_SCHEMA = {
+  routeId: { type: 'string', required: true },
+  distance: { type: 'number', min: 0 },
+  trafficLevel: { type: 'string', required: true, values: TRAFFIC_LEVELS },
+  baseTime: { type: 'number', min: 0 },
+  zone: { type: 'string' },
+  allowedVehicleTypes: { type: 'array', items: { type: 'string', values: VEHICLE_TYPES } },
+  depot: { type: 'object', fields: LOCATION_SCHEMA },
+  stops: { type: 'array', items: { type: 'object', fields: LOCATION_SCHEMA } }
+};
+
+const ORDER_SCHEMA = {
+  orderId: { type: 'string', required: true },
+  valueRs: { type: 'number', required: true, min: 0 },
+  assignedRoute: { type: 'string', required: true },
+  deliveryTimestamp: { type: 'date', required: true },
+  weightKg: { type: 'number', min: 0 },
+  volumeM3: { type: 'number', min: 0 },
+  deliveryWindowStart: { type: 'date' },
+  deliveryWindowEnd: { type: 'date' },
+  slaTier: { type: 'string', values: SLA_TIERS }
+};
+
+const ORDER_STATUS_SCHEMA = {
+  status: { type: 'string', required: true, values: ORDER_STATUSES },
+  at: { type: 'date' },
+  note: { type: 'string' },
+  driverId: { type: 'objectId' },
+  ruleProfileId: { type: 'objectId' }
+};
+
+// A shift's end is null while it is still open
+const SHIFT_SCHEMA = {
+  start: { type: 'date', required: true },
+  end: { type: 'date', nullable: true },
+  orders: { type: 'array', items: { type: 'string' } }
+};
+
+// Windows are set as a pair and must end after they start
+const getDeliveryWindowError = (body) => {
+  const { deliveryWindowStart, deliveryWindowEnd } = body;
+  if (deliveryWindowStart === undefined && deliveryWindowEnd === undefined) return null;
+
+  if (!deliveryWindowStart || !deliveryWindowEnd) {
+    return invalidField('body', 'deliveryWindowEnd', 'deliveryWindowStart and deliveryWindowEnd must be set together', 'REQUIRED');
   }
-});
 
-// Simulation Logic
-const calculateDeliveryTime = (route, driver, baseTime) => {
-  let deliveryTime = baseTime;
-  
-  // Apply fatigue penalty if driver worked > 8 hours
-  if (driver.isFatigued) {
-    deliveryTime *= 1.3; // 30% slower
+  if (new Date(deliveryWindowEnd) <= new Date(deliveryWindowStart)) {
+    return invalidField('body', 'deliveryWindowEnd', 'deliveryWindowEnd must be after deliveryWindowStart');
   }
-  
-  return Math.round(deliveryTime);
+
+  return null;
 };
 
-const calculateFuelCost = (route) => {
-  let baseCost = 5 * route.distance; // ₹5/km
-  
-  if (route.trafficLevel === 'High') {
-    baseCost += 2 * route.distance; // +₹2/km surcharge
+// List endpoints share paging, sorting and filter parameters (see utils/listQuery.js)
+const DRIVER_LIST_SPEC = {
+  sortable: { name: 'name', currentShiftHours: 'currentShiftHours', past7DayWorkHours: 'past7DayWorkHours' },
+  defaultSort: 'name',
+  searchFields: ['name'],
+  filters: {
+    isFatigued: { type: 'boolean' },
+    vehicleType: { type: 'enum', values: VEHICLE_TYPES },
+    fuelType: { type: 'enum', values: FUEL_TYPES },
+    past7DayWorkHours: { type: 'numberRange' }
   }
-  
-  return baseCost;
 };
 
-// Simulation Route
-app.post('/api/simulation', authenticateToken, validateSimulationInputs, async (req, res) => {
-  try {
-    const { availableDrivers, startTime, maxHoursPerDay } = req.body;
+const ROUTE_LIST_SPEC = {
+  sortable: { routeId: 'routeId', distance: 'distance', baseTime: 'baseTime', trafficLevel: 'trafficLevel', zone: 'zone' },
+  defaultSort: 'routeId',
+  searchFields: ['routeId'],
+  filters: {
+    trafficLevel: { type: 'enum', values: TRAFFIC_LEVELS },
+    zone: { type: 'string' },
+    distance: { type: 'numberRange' },
+    baseTime: { type: 'numberRange' }
+  }
+};
 
-    // Fetch drivers, routes, and orders
-    const drivers = await Driver.find().limit(availableDrivers);
-    const routes = await Route.find();
-    const orders = await Order.find();
+const ORDER_LIST_SPEC = {
+  sortable: {
+    orderId: 'orderId',
+    valueRs: 'valueRs',
+    deliveryTimestamp: 'deliveryTimestamp',
+    assignedRoute: 'assignedRoute',
+    slaTier: 'slaTier',
+    status: 'status'
+  },
+  defaultSort: '-deliveryTimestamp',
+  searchFields: ['orderId'],
+  filters: {
+    assignedRoute: { type: 'string' },
+    assignedDriver: { type: 'objectId' },
+    status: { type: 'enum', values: ORDER_STATUSES },
+    slaTier: { type: 'enum', values: SLA_TIERS },
+    isOnTime: { type: 'boolean' },
+    valueRs: { type: 'numberRange' },
+    deliveryTimestamp: { type: 'dateRange' }
+  }
+};
 
-    if (drivers.length < availableDrivers) {
-      return res.status(400).json({ 
-        error: `Not enough drivers available. Found ${drivers.length}, requested ${availableDrivers}` 
-      });
-    }
+const SIMULATION_LIST_SPEC = {
+  sortable: { timestamp: 'timestamp', totalProfit: 'results.totalProfit', efficiencyScore: 'results.efficiencyScore' },
+  defaultSort: '-timestamp',
+  searchFields: ['scenarioName'],
+  filters: {
+    strategy: { type: 'string', path: 'inputs.strategy' },
+    availableDrivers: { type: 'number', path: 'inputs.availableDrivers' },
+    scenarioGroup: { type: 'objectId' },
+    timestamp: { type: 'dateRange' }
+  }
+};
 
-    // Check for driver fatigue (worked > 8 hours)
-    drivers.forEach(driver => {
-      driver.isFatigued = driver.currentShiftHours > 8;
-    });
+// Check a list endpoint's query against its spec, then parse it into req.listQuery
+// (see utils/listQuery.js)
+const validateListQuery = (spec) => [
+  validateRequest({ query: listQuerySchema(spec) }),
+  (req, res, next) => {
+    req.listQuery = parseListQuery(req.query, spec);
+    next();
+  }
+];
 
-    // Create route lookup
-    const routeMap = {};
-    routes.forEach(route => {
-      routeMap[route.routeId] = route;
-    });
+// One page of a list query as { data, total, page, limit, totalPages }
+const findPage = async (Model, { filter, sort, skip, limit, page }, configure = query => query) => {
+  const [data, total] = await Promise.all([
+    configure(Model.find(filter).sort(sort).skip(skip).limit(limit)),
+    Model.countDocuments(filter)
+  ]);
 
-    let totalProfit = 0;
-    let totalFuelCost = 0;
-    let totalPenalties = 0;
-    let totalBonuses = 0;
-    let onTimeDeliveries = 0;
-    const fuelCostByTraffic = { Low: 0, Medium: 0, High: 0 };
-
-    // Process each order
-    const processedOrders = orders.map((order, index) => {
-      const route = routeMap[order.assignedRoute];
-      if (!route) return order;
-
-      const driverIndex = index % availableDrivers;
-      const assignedDriver = drivers[driverIndex];
-      
-      // Calculate delivery time
-      const actualDeliveryTime = calculateDeliveryTime(assignedDriver, route, route.baseTime);
-      
-      // Check if delivery is late
-      const isLate = actualDeliveryTime > (route.baseTime + 10);
-      let penalty = 0;
-      let bonus = 0;
-
-      if (isLate) {
-        penalty = 50; // ₹50 penalty for late delivery
-      } else {
-        onTimeDeliveries++;
-        // High-value bonus for on-time deliveries
-        if (order.valueRs > 1000) {
-          bonus = order.valueRs * 0.1; // 10% bonus
-        }
-      }
+  return { data, total, page, limit, totalPages: Math.ceil(total / limit) };
+};
 
-      // Calculate fuel cost
-      const fuelCost = calculateFuelCost(route);
-      totalFuelCost += fuelCost;
-      fuelCostByTraffic[route.trafficLevel] += fuelCost;
+// An order's assignedRoute must name an existing route
+const getUnknownRouteError = async (assignedRoute) => {
+  if (await Route.exists({ routeId: assignedRoute })) return null;
+  return invalidField('body', 'assignedRoute', `Route ${assignedRoute} does not exist`, 'UNKNOWN_REFERENCE');
+};
 
-      totalPenalties += penalty;
-      totalBonuses += bonus;
-      
-      // Calculate order profit
-      const orderProfit = order.valueRs + bonus - penalty - fuelCost;
-      totalProfit += orderProfit;
+// Deleting a route or driver that orders still use: ?onDelete=block (the default) refuses,
+// cascade deletes the route's orders or unassigns the driver's, and reassign moves them to
+// ?reassignTo= (a routeId or a driver _id)
+const DELETE_POLICIES = ['block', 'cascade', 'reassign'];
 
-      return {
-        ...order.toObject(),
-        assignedDriver: assignedDriver._id,
-        actualDeliveryTime,
-        isOnTime: !isLate,
-        penalty,
-        bonus,
-        fuelCost
-      };
-    });
+const DELETE_QUERY = {
+  onDelete: { type: 'string', values: DELETE_POLICIES },
+  reassignTo: { type: 'string' }
+};
 
-    // Calculate efficiency score
-    const efficiencyScore = orders.length > 0 ? (onTimeDeliveries / orders.length) * 100 : 0;
-
-    // Prepare results
-    const results = {
-      totalProfit: Math.round(totalProfit),
-      efficiencyScore: Math.round(efficiencyScore * 100) / 100,
-      onTimeDeliveries,
-      totalDeliveries: orders.length,
-      fuelCost: Math.round(totalFuelCost),
-      penalties: totalPenalties,
-      bonuses: Math.round(totalBonuses)
-    };
+// Runs after DELETE_QUERY is validated; returns { error } or { policy, reassignTo }
+const parseDeletePolicy = (query) => {
+  const policy = query.onDelete || 'block';
 
-    const deliveryBreakdown = [
-      { label: 'On Time', value: onTimeDeliveries },
-      { label: 'Late', value: orders.length - onTimeDeliveries }
-    ];
+  if (policy === 'reassign' && !query.reassignTo) {
+    return { error: invalidField('query', 'reassignTo', 'reassignTo is required when onDelete is reassign', 'REQUIRED') };
+  }
 
-    const fuelCostBreakdown = Object.entries(fuelCostByTraffic).map(([traffic, cost]) => ({
-      label: `${traffic} Traffic`,
-      value: Math.round(cost)
-    }));
+  return { policy, reassignTo: policy === 'reassign' ? query.reassignTo : undefined };
+};
+
+const pickDefined = (body, fields) => {
+  const picked = {};
+  fields.forEach(field => {
+    if (body[field] !== undefined) picked[field] = body[field];
+  });
+  return picked;
+};
+
+// Driver CRUD Routes
+app.get('/api/drivers', authenticateToken, requirePermission('drivers:read'), validateListQuery(DRIVER_LIST_SPEC), async (req, res) => {
+  try {
+    res.json(await findPage(Driver, req.listQuery));
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch drivers' });
+  }
+});
+
+app.post('/api/drivers', authenticateToken, requirePermission('drivers:write'), validateRequest({ body: DRIVER_SCHEMA }), async (req, res) => {
+  try {
+    const driver = new Driver(pickDefined(req.body, Object.keys(DRIVER_SCHEMA)));
+
+    await driver.save();
+    await recordAudit(req.user, { action: 'create', entity: 'driver', entityId: driver._id, after: driver });
+    publishDataChange('driver', 'created', driver);
+    res.status(201).json(driver);
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      sendError(res, fromMongooseError(error));
+    } else {
+      res.status(500).json({ error: 'Failed to create driver' });
+    }
+  }
+});
+
+// PUT and PATCH share this handler; they differ only in which fields the body must have
+const updateDriver = async (req, res) => {
+  try {
+    const before = await Driver.findById(req.params.id).lean();
+    if (!before) {
+      return res.status(404).json({ error: 'Driver not found' });
+    }
+
+    const driver = await Driver.findByIdAndUpdate(
+      req.params.id,
+      { $set: pickDefined(req.body, Object.keys(DRIVER_SCHEMA)) },
+      { new: true, runValidators: true }
+    );
+
+    if (!driver) {
+      return res.status(404).json({ error: 'Driver not found' });
+    }
+
+    await recordAudit(req.user, { action: 'update', entity: 'driver', entityId: driver._id, before, after: driver });
+    publishDataChange('driver', 'updated', driver);
+    res.json(driver);
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      sendError(res, fromMongooseError(error));
+    } else {
+      res.status(500).json({ error: 'Failed to update driver' });
+    }
+  }
+};
+
+app.put('/api/drivers/:id', authenticateToken, requirePermission('drivers:write'), validateRequest({ params: ID_PARAMS, body: DRIVER_SCHEMA }), updateDriver);
+app.patch('/api/drivers/:id', authenticateToken, requirePermission('drivers:write'), validateRequest({ params: ID_PARAMS, body: DRIVER_SCHEMA, partial: true }), updateDriver);
+
+// Orders out on a delivery always block the delete. Otherwise assigned orders follow onDelete,
+// finished orders drop the driver (their event history keeps it) and the driver's shifts go too.
+app.delete('/api/drivers/:id', authenticateToken, requirePermission('drivers:delete'), validateRequest({ params: ID_PARAMS, query: DELETE_QUERY }), async (req, res) => {
+  const { error: policyError, policy, reassignTo } = parseDeletePolicy(req.query);
+  if (policyError) {
+    return sendError(res, policyError);
+  }
+
+  try {
+    const driver = await Driver.findById(req.params.id);
+    if (!driver) {
+      return res.status(404).json({ error: 'Driver not found' });
+    }
+
+    const dispatchedOrders = await Order.countDocuments({ assignedDriver: driver._id, status: 'dispatched' });
+    if (dispatchedOrders > 0) {
+      return res.status(409).json({
+        error: `Driver has ${dispatchedOrders} dispatched orders; record their delivery or failure first`,
+        code: 'IN_USE'
+      });
+    }
+
+    const orderCount = await Order.countDocuments({ assignedDriver: driver._id });
+    const details = {};
+
+    if (orderCount > 0) {
+      if (policy === 'block') {
+        return res.status(409).json({
+          error: `Driver is assigned to ${orderCount} orders. Delete with onDelete=cascade to unassign them or onDelete=reassign&reassignTo=<driverId>`,
+          code: 'IN_USE'
+        });
+      }
+
+      if (policy === 'reassign' &&
+          (!mongoose.Types.ObjectId.isValid(reassignTo) || reassignTo === String(driver._id) || !(await Driver.exists({ _id: reassignTo })))) {
+        return sendError(res, invalidField('query', 'reassignTo', 'reassignTo must be another existing driver'));
+      }
+
+      // Every order changed below gets its own update entry so it can be restored
+      const affectedOrders = await Order.find({ assignedDriver: driver._id }).lean();
+      const now = new Date();
+
+      if (policy === 'reassign') {
+        const reassigned = await Order.updateMany({ assignedDriver: driver._id, status: 'assigned' }, {
+          $set: { assignedDriver: reassignTo },
+          $push: {
+            events: { status: 'assigned', at: now, recordedBy: req.user.userId, driver: reassignTo, note: `Driver ${driver.name} deleted` }
+          }
+        });
+        details.reassignedOrders = reassigned.modifiedCount;
+        details.reassignTo = reassignTo;
+      } else {
+        const unassigned = await Order.updateMany({ assignedDriver: driver._id, status: 'assigned' }, {
+          $set: { status: 'created' },
+          $unset: { assignedDriver: 1 },
+          $push: { events: { status: 'created', at: now, recordedBy: req.user.userId, note: `Driver ${driver.name} deleted` } }
+        });
+        details.unassignedOrders = unassigned.modifiedCount;
+      }
+
+      const released = await Order.updateMany({ assignedDriver: driver._id }, { $unset: { assignedDriver: 1 } });
+      details.releasedOrders = released.modifiedCount;
+      await recordOrderUpdates(req.user, affectedOrders, { cascadedFromDriver: String(driver._id) });
+    }
+
+    const shifts = await DriverShift.find({ driver: driver._id }).lean();
+    await DriverShift.deleteMany({ _id: { $in: shifts.map(shift => shift._id) } });
+    await recordAuditEntries(req.user, shifts.map(shift => ({
+      action: 'delete',
+      entity: 'shift',
+      entityId: shift._id,
+      before: shift,
+      details: { cascadedFromDriver: String(driver._id) }
+    })));
+    details.deletedShifts = shifts.length;
+    await Driver.deleteOne({ _id: driver._id });
+
+    await recordAudit(req.user, { action: 'delete', entity: 'driver', entityId: driver._id, before: driver, details });
+    publishDataChange('driver', 'deleted', driver);
+    res.json({ message: 'Driver deleted successfully', ...details });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to delete driver' });
+  }
+});
+
+// Driver Shift Routes
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Shifts that overlap the window from `since` to `until`, grouped by driver id. Every driver
+// with a shift before `until` has an entry, empty when none of their shifts is in the window.
+const findShiftsByDriver = async (driverIds, since, until = new Date()) => {
+  const [shifts, loggedDriverIds] = await Promise.all([
+    DriverShift.find({
+      driver: { $in: driverIds },
+      start: { $lt: until },
+      $or: [{ end: null }, { end: { $gt: since } }]
+    }).lean(),
+    DriverShift.distinct('driver', { driver: { $in: driverIds }, start: { $lt: until } })
+  ]);
+
+  const shiftsByDriver = {};
+  loggedDriverIds.forEach(driverId => {
+    shiftsByDriver[driverId.toString()] = [];
+  });
+  shifts.forEach(shift => shiftsByDriver[shift.driver.toString()].push(shift));
+  return shiftsByDriver;
+};
+
+// Drivers with a shift log get their hours from it, so no recent shifts means no hours; others
+// keep the hours typed in by hand. `now` is when the hours are counted up to.
+const applyShiftHours = async (drivers, now = new Date()) => {
+  const shiftsByDriver = await findShiftsByDriver(drivers.map(driver => driver._id), new Date(now - WEEK_MS), now);
+
+  return drivers.map(driver => {
+    const shifts = shiftsByDriver[driver._id.toString()];
+    if (!shifts) return driver;
+
+    const { currentShiftHours, past7DayWorkHours } = summarizeDriverHours(shifts, { now });
+    return { ...driver, currentShiftHours, past7DayWorkHours };
+  });
+};
+
+// Persist the derived hours so the driver list shows them, and tell live clients the driver changed
+const syncDriverHours = async (driverId) => {
+  const now = new Date();
+  const shiftsByDriver = await findShiftsByDriver([driverId], new Date(now - WEEK_MS));
+  const hours = summarizeDriverHours(shiftsByDriver[driverId.toString()] || [], { now });
+
+  const driver = await Driver.findByIdAndUpdate(driverId, {
+    currentShiftHours: hours.currentShiftHours,
+    past7DayWorkHours: hours.past7DayWorkHours,
+    isFatigued: hours.isFatigued
+  }, { new: true });
+  if (driver) publishDataChange('driver', 'updated', driver);
+};
+
+const loadRulesForRequest = async (ruleProfileId) => {
+  if (!ruleProfileId) return resolveRules();
+
+  const profile = mongoose.Types.ObjectId.isValid(ruleProfileId)
+    ? await RuleProfile.findById(ruleProfileId).lean()
+    : null;
+  return profile ? resolveRules(profile.rules) : null;
+};
+
+// Check a shift body against its existing values and resolve its orderIds; returns { error } or
+// { values }. Field types are already checked by SHIFT_SCHEMA.
+const parseShiftBody = async (body, existing = {}) => {
+  const values = {};
+
+  if (body.start !== undefined) values.start = new Date(body.start);
+  if (body.end !== undefined) values.end = body.end === null ? null : new Date(body.end);
+
+  const start = values.start || existing.start;
+  const end = values.end !== undefined ? values.end : existing.end;
+
+  if (end && end <= start) {
+    return { error: invalidField('body', 'end', 'Shift end must be after its start') };
+  }
+  if (start > new Date()) {
+    return { error: invalidField('body', 'start', 'Shift start cannot be in the future') };
+  }
+
+  if (body.orders !== undefined) {
+    const orders = await Order.find({ orderId: { $in: body.orders } }).select('orderId');
+    if (orders.length !== new Set(body.orders).size) {
+      const found = new Set(orders.map(order => order.orderId));
+      const missing = body.orders.filter(orderId => !found.has(orderId));
+      return { error: invalidField('body', 'orders', `Unknown orders: ${missing.join(', ')}`) };
+    }
+    values.orders = orders.map(order => order._id);
+  }
+
+  return { values, start, end };
+};
+
+const findOverlappingShift = (driverId, start, end, excludeId) => {
+  const query = {
+    driver: driverId,
+    $or: [{ end: null }, { end: { $gt: start } }]
+  };
+  if (end) query.start = { $lt: end };
+  if (excludeId) query._id = { $ne: excludeId };
+
+  return DriverShift.findOne(query);
+};
+
+app.get('/api/drivers/compliance', authenticateToken, requirePermission('drivers:read'), validateRequest({ query: RULE_PROFILE_QUERY }), async (req, res) => {
+  try {
+    const rules = await loadRulesForRequest(req.query.ruleProfileId);
+    if (!rules) {
+      return res.status(404).json({ error: 'Rule profile not found' });
+    }
+
+    const now = new Date();
+    const drivers = await Driver.find().lean();
+    const shiftsByDriver = await findShiftsByDriver(drivers.map(driver => driver._id), new Date(now - WEEK_MS));
+
+    res.json(drivers.map(driver => {
+      const shifts = shiftsByDriver[driver._id.toString()];
+      const hours = shifts
+        ? summarizeDriverHours(shifts, { now, rules })
+        : {
+          currentShiftHours: driver.currentShiftHours,
+          past7DayWorkHours: driver.past7DayWorkHours,
+          isFatigued: driver.currentShiftHours > rules.fatigueThresholdHours,
+          onShift: false
+        };
+
+      return {
+        driverId: driver._id,
+        name: driver.name,
+        source: shifts ? 'shift-log' : 'manual',
+        ...hours,
+        ...getComplianceStatus(hours, rules)
+      };
+    }));
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch driver compliance' });
+  }
+});
+
+const DRIVER_HOURS_QUERY = {
+  ...RULE_PROFILE_QUERY,
+  days: { type: 'integer', min: 1, max: 90 } // of daily history, 7 by default
+};
+
+app.get('/api/drivers/:id/hours', authenticateToken, requirePermission('drivers:read'), validateRequest({ params: ID_PARAMS, query: DRIVER_HOURS_QUERY }), async (req, res) => {
+  try {
+    const days = req.query.days === undefined ? 7 : Number(req.query.days);
+    const rules = await loadRulesForRequest(req.query.ruleProfileId);
+    if (!rules) {
+      return res.status(404).json({ error: 'Rule profile not found' });
+    }
+
+    const driver = await Driver.findById(req.params.id).lean();
+    if (!driver) {
+      return res.status(404).json({ error: 'Driver not found' });
+    }
+
+    const now = new Date();
+    const since = new Date(now - Math.max(days, 7) * 24 * 60 * 60 * 1000);
+    const shiftsByDriver = await findShiftsByDriver([driver._id], since);
+    const shifts = shiftsByDriver[driver._id.toString()] || [];
+    const hours = summarizeDriverHours(shifts, { now, rules });
+
+    res.json({
+      driverId: driver._id,
+      name: driver.name,
+      ...hours,
+      ...getComplianceStatus(hours, rules),
+      history: buildDailyHours(shifts, { now, days })
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch driver hours' });
+  }
+});
+
+const SHIFT_LIST_QUERY = {
+  from: { type: 'date' },
+  to: { type: 'date' }
+};
+
+app.get('/api/drivers/:id/shifts', authenticateToken, requirePermission('drivers:read'), validateRequest({ params: ID_PARAMS, query: SHIFT_LIST_QUERY }), async (req, res) => {
+  try {
+    const query = { driver: req.params.id };
+    if (req.query.from || req.query.to) {
+      query.start = {};
+      if (req.query.from) query.start.$gte = new Date(req.query.from);
+      if (req.query.to) query.start.$lte = new Date(req.query.to);
+    }
+
+    const shifts = await DriverShift.find(query)
+      .sort({ start: -1 })
+      .populate('orders', 'orderId valueRs assignedRoute');
+    res.json(shifts);
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch shifts' });
+  }
+});
+
+app.post('/api/drivers/:id/shifts', authenticateToken, requirePermission('drivers:write'), validateRequest({ params: ID_PARAMS, body: SHIFT_SCHEMA }), async (req, res) => {
+  try {
+    const driver = await Driver.findById(req.params.id);
+    if (!driver) {
+      return res.status(404).json({ error: 'Driver not found' });
+    }
+
+    const { error, values, start, end } = await parseShiftBody(req.body);
+    if (error) {
+      return sendError(res, error);
+    }
+
+    if (await findOverlappingShift(driver._id, start, end)) {
+      return res.status(409).json({ error: 'Shift overlaps another shift for this driver', code: 'SHIFT_OVERLAP' });
+    }
+
+    const shift = new DriverShift({ driver: driver._id, ...values });
+    await shift.save();
+    await syncDriverHours(driver._id);
+    await recordAudit(req.user, { action: 'create', entity: 'shift', entityId: shift._id, after: shift });
+
+    res.status(201).json(shift);
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to create shift' });
+  }
+});
+
+// PUT and PATCH share this handler; unsent fields keep the shift's current values
+const updateShift = async (req, res) => {
+  try {
+    const shift = await DriverShift.findOne({ _id: req.params.shiftId, driver: req.params.id });
+    if (!shift) {
+      return res.status(404).json({ error: 'Shift not found' });
+    }
+
+    const { error, values, start, end } = await parseShiftBody(req.body, shift);
+    if (error) {
+      return sendError(res, error);
+    }
+
+    if (await findOverlappingShift(shift.driver, start, end, shift._id)) {
+      return res.status(409).json({ error: 'Shift overlaps another shift for this driver', code: 'SHIFT_OVERLAP' });
+    }
+
+    const before = shift.toObject();
+    Object.assign(shift, values);
+    await shift.save();
+    await syncDriverHours(shift.driver);
+    await recordAudit(req.user, { action: 'update', entity: 'shift', entityId: shift._id, before, after: shift });
+
+    res.json(shift);
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to update shift' });
+  }
+};
+
+app.put('/api/drivers/:id/shifts/:shiftId', authenticateToken, requirePermission('drivers:write'), validateRequest({ params: SHIFT_PARAMS, body: SHIFT_SCHEMA }), updateShift);
+app.patch('/api/drivers/:id/shifts/:shiftId', authenticateToken, requirePermission('drivers:write'), validateRequest({ params: SHIFT_PARAMS, body: SHIFT_SCHEMA, partial: true }), updateShift);
+
+app.delete('/api/drivers/:id/shifts/:shiftId', authenticateToken, requirePermission('drivers:write'), validateRequest({ params: SHIFT_PARAMS }), async (req, res) => {
+  try {
+    const shift = await DriverShift.findOneAndDelete({ _id: req.params.shiftId, driver: req.params.id });
+    if (!shift) {
+      return res.status(404).json({ error: 'Shift not found' });
+    }
+
+    await syncDriverHours(shift.driver);
+    await recordAudit(req.user, { action: 'delete', entity: 'shift', entityId: shift._id, before: shift });
+    res.json({ message: 'Shift deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to delete shift' });
+  }
+});
+
+// Route CRUD Routes
+app.get('/api/routes', authenticateToken, requirePermission('routes:read'), validateListQuery(ROUTE_LIST_SPEC), async (req, res) => {
+  try {
+    res.json(await findPage(Route, req.listQuery));
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch routes' });
+  }
+});
+
+// Distance matrix between the depots and stops of stored routes, optionally only ?routeIds=RT001,RT002.
+// Locations shared by several routes appear once.
+const MAX_MATRIX_LOCATIONS = 200;
+
+const DISTANCE_MATRIX_QUERY = { routeIds: { type: 'array', items: { type: 'string' } } };
+
+app.get('/api/routes/distance-matrix', authenticateToken, requirePermission('routes:read'), validateRequest({ query: DISTANCE_MATRIX_QUERY }), async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.routeIds) {
+      filter.routeId = { $in: String(req.query.routeIds).split(',').map(id => id.trim()).filter(Boolean) };
+    }
+
+    const routes = await Route.find(filter).sort({ routeId: 1 }).lean();
+    const locations = [];
+    const byPosition = new Map();
+
+    routes.forEach(route => {
+      getRoutePoints(route).forEach((point, index) => {
+        const position = `${point.lat},${point.lng}`;
+        const existing = byPosition.get(position);
+        if (existing) {
+          if (!existing.routeIds.includes(route.routeId)) existing.routeIds.push(route.routeId);
+          return;
+        }
+
+        const location = {
+          id: index === 0 ? `${route.routeId}:depot` : `${route.routeId}:stop-${index}`,
+          name: point.name,
+          lat: point.lat,
+          lng: point.lng,
+          routeIds: [route.routeId]
+        };
+        byPosition.set(position, location);
+        locations.push(location);
+      });
+    });
+
+    if (locations.length > MAX_MATRIX_LOCATIONS) {
+      return res.status(400).json({
+        error: `Too many locations (${locations.length}), at most ${MAX_MATRIX_LOCATIONS}. Filter with routeIds`,
+        code: 'TOO_MANY_LOCATIONS'
+      });
+    }
+
+    res.json({ locations, ...buildDistanceMatrix(locations) });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to build distance matrix' });
+  }
+});
+
+app.get('/api/routes/:id/geojson', authenticateToken, requirePermission('routes:read'), validateRequest({ params: ID_PARAMS }), async (req, res) => {
+  try {
+    const route = await Route.findById(req.params.id).lean();
+
+    if (!route) {
+      return res.status(404).json({ error: 'Route not found' });
+    }
+    if (!hasGeometry(route)) {
+      return res.status(400).json({ error: 'Route has no depot and stop coordinates', code: 'NO_GEOMETRY' });
+    }
+
+    res.type('application/geo+json');
+    res.send(JSON.stringify(routeToGeoJSON(route)));
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to build route GeoJSON' });
+  }
+});
+
+// Without depot and stops to measure, a route must be given its distance and baseTime
+const getRouteMetricsError = (body) => {
+  if (hasGeometry(body)) return null;
+
+  const missing = ['distance', 'baseTime'].filter(field => body[field] === undefined);
+  if (missing.length === 0) return null;
+
+  return validationFailed(missing.map(field => ({
+    field,
+    location: 'body',
+    code: 'REQUIRED',
+    message: `${field} is required unless depot and stops are given`
+  })));
+};
+
+app.post('/api/routes', authenticateToken, requirePermission('routes:write'), validateRequest({ body: ROUTE_SCHEMA }), async (req, res) => {
+  try {
+    const metricsError = getRouteMetricsError(req.body);
+    if (metricsError) {
+      return sendError(res, metricsError);
+    }
+
+    const route = new Route(deriveRouteMetrics(pickDefined(req.body, Object.keys(ROUTE_SCHEMA))));
+    await route.save();
+    await recordAudit(req.user, { action: 'create', entity: 'route', entityId: route._id, after: route });
+    publishDataChange('route', 'created', route);
+    res.status(201).json(route);
+  } catch (error) {
+    if (error.code === 11000) {
+      res.status(409).json({ error: 'Route ID already exists', code: 'DUPLICATE_KEY' });
+    } else if (error.name === 'ValidationError') {
+      sendError(res, fromMongooseError(error));
+    } else {
+      res.status(500).json({ error: 'Failed to create route' });
+    }
+  }
+});
+
+// PUT and PATCH share this handler; they differ only in which fields the body must have
+const updateRoute = async (req, res) => {
+  try {
+    if (req.method === 'PUT') {
+      const metricsError = getRouteMetricsError(req.body);
+      if (metricsError) {
+        return sendError(res, metricsError);
+      }
+    }
+
+    const before = await Route.findById(req.params.id).lean();
+    if (!before) {
+      return res.status(404).json({ error: 'Route not found' });
+    }
+
+    // New coordinates re-derive whatever distance and baseTime the update leaves out, measured
+    // with the stored depot or stops the update keeps
+    const route = await Route.findByIdAndUpdate(
+      req.params.id,
+      { $set: deriveRouteUpdate(before, pickDefined(req.body, Object.keys(ROUTE_SCHEMA))) },
+      { new: true, runValidators: true }
+    );
+
+    if (!route) {
+      return res.status(404).json({ error: 'Route not found' });
+    }
+
+    // Orders follow a renamed route, each with its own update entry so it can be restored. The
+    // orders keep their updatedAt: they still belong to the same route, so a plan read before
+    // the rename doesn't conflict with it.
+    if (route.routeId !== before.routeId) {
+      const affectedOrders = await Order.find({ assignedRoute: before.routeId }).lean();
+      await Order.updateMany(
+        { _id: { $in: affectedOrders.map(order => order._id) } },
+        { $set: { assignedRoute: route.routeId } },
+        { timestamps: false }
+      );
+      await recordOrderUpdates(req.user, affectedOrders, { cascadedFromRoute: before.routeId });
+    }
+
+    await recordAudit(req.user, { action: 'update', entity: 'route', entityId: route._id, before, after: route });
+    publishDataChange('route', 'updated', route);
+    res.json(route);
+  } catch (error) {
+    if (error.code === 11000) {
+      res.status(409).json({ error: 'Route ID already exists', code: 'DUPLICATE_KEY' });
+    } else if (error.name === 'ValidationError') {
+      sendError(res, fromMongooseError(error));
+    } else {
+      res.status(500).json({ error: 'Failed to update route' });
+    }
+  }
+};
+
+app.put('/api/routes/:id', authenticateToken, requirePermission('routes:write'), validateRequest({ params: ID_PARAMS, body: ROUTE_SCHEMA }), updateRoute);
+app.patch('/api/routes/:id', authenticateToken, requirePermission('routes:write'), validateRequest({ params: ID_PARAMS, body: ROUTE_SCHEMA, partial: true }), updateRoute);
+
+app.delete('/api/routes/:id', authenticateToken, requirePermission('routes:delete'), validateRequest({ params: ID_PARAMS, query: DELETE_QUERY }), async (req, res) => {
+  const { error: policyError, policy, reassignTo } = parseDeletePolicy(req.query);
+  if (policyError) {
+    return sendError(res, policyError);
+  }
+
+  try {
+    const route = await Route.findById(req.params.id);
+    if (!route) {
+      return res.status(404).json({ error: 'Route not found' });
+    }
+
+    const orderCount = await Order.countDocuments({ assignedRoute: route.routeId });
+    const details = {};
+
+    if (orderCount > 0) {
+      if (policy === 'block') {
+        return res.status(409).json({
+          error: `Route ${route.routeId} is used by ${orderCount} orders. Delete with onDelete=cascade to delete them or onDelete=reassign&reassignTo=<routeId>`,
+          code: 'IN_USE'
+        });
+      }
+
+      if (policy === 'reassign') {
+        if (reassignTo === route.routeId || !(await Route.exists({ routeId: reassignTo }))) {
+          return sendError(res, invalidField('query', 'reassignTo', 'reassignTo must be another existing route'));
+        }
+
+        // Each order gets its own update entry so it can be restored
+        const affectedOrders = await Order.find({ assignedRoute: route.routeId }).lean();
+        const reassigned = await Order.updateMany({ assignedRoute: route.routeId }, { $set: { assignedRoute: reassignTo } });
+        await recordOrderUpdates(req.user, affectedOrders, { cascadedFromRoute: route.routeId });
+        details.reassignedOrders = reassigned.modifiedCount;
+        details.reassignTo = reassignTo;
+      } else {
+        // Each order gets its own delete entry so it can be restored
+        const orders = await Order.find({ assignedRoute: route.routeId }).lean();
+        await Order.deleteMany({ _id: { $in: orders.map(order => order._id) } });
+        await recordAuditEntries(req.user, orders.map(order => ({
+          action: 'delete',
+          entity: 'order',
+          entityId: order._id,
+          before: order,
+          details: { cascadedFromRoute: route.routeId }
+        })));
+        orders.forEach(order => publishDataChange('order', 'deleted', order));
+        details.deletedOrders = orders.length;
+      }
+    }
+
+    await Route.deleteOne({ _id: route._id });
+
+    await recordAudit(req.user, { action: 'delete', entity: 'route', entityId: route._id, before: route, details });
+    publishDataChange('route', 'deleted', route);
+    res.json({ message: 'Route deleted successfully', ...details });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to delete route' });
+  }
+});
+
+// Order CRUD Routes
+// ?driverName= matches orders whose assigned driver's name contains the text
+app.get('/api/orders', authenticateToken, requirePermission('orders:read'), validateListQuery(ORDER_LIST_SPEC), async (req, res) => {
+  try {
+    const list = req.listQuery;
+    if (req.query.driverName !== undefined) {
+      const drivers = await Driver.find({ name: { $regex: escapeRegex(String(req.query.driverName)), $options: 'i' } })
+        .select('_id');
+      list.filter.$and = [{ assignedDriver: { $in: drivers.map(driver => driver._id) } }];
+    }
+
+    res.json(await findPage(Order, list, query => query.populate('assignedDriver')));
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch orders' });
+  }
+});
+
+app.post('/api/orders', authenticateToken, requirePermission('orders:write'), validateRequest({ body: ORDER_SCHEMA }), async (req, res) => {
+  try {
+    const windowError = getDeliveryWindowError(req.body);
+    if (windowError) {
+      return sendError(res, windowError);
+    }
+
+    const routeError = await getUnknownRouteError(req.body.assignedRoute);
+    if (routeError) {
+      return sendError(res, routeError);
+    }
+
+    const order = new Order(pickDefined(req.body, Object.keys(ORDER_SCHEMA)));
+    await order.save();
+    await recordAudit(req.user, { action: 'create', entity: 'order', entityId: order._id, after: order });
+    publishDataChange('order', 'created', order);
+    res.status(201).json(order);
+  } catch (error) {
+    if (error.code === 11000) {
+      res.status(409).json({ error: 'Order ID already exists', code: 'DUPLICATE_KEY' });
+    } else if (error.name === 'ValidationError') {
+      sendError(res, fromMongooseError(error));
+    } else {
+      res.status(500).json({ error: 'Failed to create order' });
+    }
+  }
+});
+
+// PUT and PATCH share this handler; they differ only in which fields the body must have.
+// Status and driver change only through POST /api/orders/:id/status.
+const updateOrder = async (req, res) => {
+  try {
+    const { assignedRoute } = req.body;
+
+    const windowError = getDeliveryWindowError(req.body);
+    if (windowError) {
+      return sendError(res, windowError);
+    }
+
+    const before = await Order.findById(req.params.id).lean();
+    if (!before) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    if (assignedRoute !== undefined && assignedRoute !== before.assignedRoute) {
+      const routeError = await getUnknownRouteError(assignedRoute);
+      if (routeError) {
+        return sendError(res, routeError);
+      }
+    }
+
+    const order = await Order.findByIdAndUpdate(
+      req.params.id,
+      { $set: pickDefined(req.body, Object.keys(ORDER_SCHEMA)) },
+      { new: true, runValidators: true }
+    );
+
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    await recordAudit(req.user, { action: 'update', entity: 'order', entityId: order._id, before, after: order });
+    publishDataChange('order', 'updated', order);
+    res.json(order);
+  } catch (error) {
+    if (error.code === 11000) {
+      res.status(409).json({ error: 'Order ID already exists', code: 'DUPLICATE_KEY' });
+    } else if (error.name === 'ValidationError') {
+      sendError(res, fromMongooseError(error));
+    } else {
+      res.status(500).json({ error: 'Failed to update order' });
+    }
+  }
+};
+
+app.put('/api/orders/:id', authenticateToken, requirePermission('orders:write'), validateRequest({ params: ID_PARAMS, body: ORDER_SCHEMA }), updateOrder);
+app.patch('/api/orders/:id', authenticateToken, requirePermission('orders:write'), validateRequest({ params: ID_PARAMS, body: ORDER_SCHEMA, partial: true }), updateOrder);
+
+// Move an order to its next status: { status, at, note, driverId, ruleProfileId }.
+//   assigned    needs driverId
+//   dispatched  records `at` as the pickup time
+//   delivered   records `at` as the delivery time and works out the real outcome
+//   failed      needs a note with the reason; counts as late
+// `at` defaults to now and may not be before the order's last event.
+app.post('/api/orders/:id/status', authenticateToken, requirePermission('orders:write'), validateRequest({ params: ID_PARAMS, body: ORDER_STATUS_SCHEMA }), async (req, res) => {
+  try {
+    const { status, note, driverId, ruleProfileId } = req.body;
+
+    const order = await Order.findById(req.params.id);
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    const transitionError = getTransitionError(order.status, status);
+    if (transitionError) {
+      return res.status(409).json({ error: transitionError, code: 'INVALID_TRANSITION' });
+    }
+
+    const at = req.body.at === undefined ? new Date() : new Date(req.body.at);
+
+    // Orders saved before statuses existed have no history of their own
+    const lastEvent = order.$isDefault('events') ? null : order.events[order.events.length - 1];
+    if (lastEvent && at < lastEvent.at) {
+      return sendError(res, invalidField('body', 'at', `at must not be before the order's last event (${lastEvent.at.toISOString()})`));
+    }
+
+    const event = { status, at, recordedBy: req.user.userId, note };
+    const set = { status };
+    const unset = {};
+
+    if (status === 'assigned') {
+      if (!driverId || !(await Driver.exists({ _id: driverId }))) {
+        return sendError(res, invalidField('body', 'driverId', 'A valid driverId is required to assign an order', driverId ? 'INVALID_VALUE' : 'REQUIRED'));
+      }
+      event.driver = driverId;
+      set.assignedDriver = driverId;
+      Object.assign(set, { isOnTime: true, penalty: 0, bonus: 0 });
+      Object.assign(unset, { pickedUpAt: 1, deliveredAt: 1, failureReason: 1, actualDeliveryTime: 1 });
+    } else if (status === 'created') {
+      unset.assignedDriver = 1;
+    } else if (status === 'dispatched') {
+      set.pickedUpAt = at;
+    } else if (status === 'delivered' || status === 'failed') {
+      if (status === 'failed' && !note) {
+        return sendError(res, invalidField('body', 'note', 'A note with the failure reason is required', 'REQUIRED'));
+      }
+
+      const rules = await loadRulesForRequest(ruleProfileId);
+      if (!rules) {
+        return res.status(404).json({ error: 'Rule profile not found' });
+      }
+
+      if (status === 'delivered') {
+        const route = await Route.findOne({ routeId: order.assignedRoute }).lean();
+        if (!route) {
+          return res.status(400).json({ error: `Route ${order.assignedRoute} not found`, code: 'UNKNOWN_REFERENCE' });
+        }
+        set.deliveredAt = at;
+        Object.assign(set, calculateActualOutcome({ ...order.toObject(), deliveredAt: at }, route, rules));
+      } else {
+        set.failureReason = note;
+        Object.assign(set, calculateFailedOutcome(order, rules));
+      }
+    }
+
+    // Only apply the change if nobody moved the order on in the meantime. A null status
+    // matches orders saved before statuses existed.
+    const update = { $set: set, $push: { events: event } };
+    if (Object.keys(unset).length > 0) update.$unset = unset;
+
+    const updated = await Order.findOneAndUpdate(
+      { _id: order._id, status: order.$isDefault('status') ? null : order.status },
+      update,
+      { new: true, runValidators: true }
+    );
+
+    if (!updated) {
+      return res.status(409).json({ error: 'Order status changed while updating; reload and try again', code: 'CONCURRENT_UPDATE' });
+    }
+
+    await recordAudit(req.user, {
+      action: 'update',
+      entity: 'order',
+      entityId: updated._id,
+      before: order,
+      after: updated,
+      details: { status }
+    });
+    publishDataChange('order', 'updated', updated);
+    res.json(updated);
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      sendError(res, fromMongooseError(error));
+    } else {
+      res.status(500).json({ error: 'Failed to update order status' });
+    }
+  }
+});
+
+app.delete('/api/orders/:id', authenticateToken, requirePermission('orders:delete'), validateRequest({ params: ID_PARAMS }), async (req, res) => {
+  try {
+    const order = await Order.findByIdAndDelete(req.params.id);
+    
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    await recordAudit(req.user, { action: 'delete', entity: 'order', entityId: order._id, before: order });
+    publishDataChange('order', 'deleted', order);
+    res.json({ message: 'Order deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to delete order' });
+  }
+});
+
+// Rule Profile CRUD Routes
+app.get('/api/rule-profiles', authenticateToken, requirePermission('rules:read'), async (req, res) => {
+  try {
+    const profiles = await RuleProfile.find().sort({ name: 1 });
+    res.json(profiles);
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch rule profiles' });
+  }
+});
+
+app.get('/api/rule-profiles/defaults', authenticateToken, requirePermission('rules:read'), (req, res) => {
+  res.json(DEFAULT_RULES);
+});
+
+app.get('/api/rule-profiles/:id', authenticateToken, requirePermission('rules:read'), validateRequest({ params: ID_PARAMS }), async (req, res) => {
+  try {
+    const profile = await RuleProfile.findById(req.params.id);
+
+    if (!profile) {
+      return res.status(404).json({ error: 'Rule profile not found' });
+    }
+
+    res.json(profile);
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch rule profile' });
+  }
+});
+
+app.post('/api/rule-profiles', authenticateToken, requirePermission('rules:write'), validateRequest({ body: RULE_PROFILE_SCHEMA }), async (req, res) => {
+  try {
+    const { name, description, rules } = req.body;
+
+    const profile = new RuleProfile({
+      name: name.trim(),
+      description,
+      rules: resolveRules(rules)
+    });
+
+    await profile.save();
+    await recordAudit(req.user, { action: 'create', entity: 'ruleProfile', entityId: profile._id, after: profile });
+    res.status(201).json(profile);
+  } catch (error) {
+    if (error.code === 11000) {
+      res.status(409).json({ error: 'Rule profile name already exists', code: 'DUPLICATE_KEY' });
+    } else {
+      res.status(500).json({ error: 'Failed to create rule profile' });
+    }
+  }
+});
+
+// PUT and PATCH share this handler; sent rules are merged into the profile's current rules
+const updateRuleProfile = async (req, res) => {
+  try {
+    const { name, description, rules } = req.body;
+
+    const profile = await RuleProfile.findById(req.params.id);
+    if (!profile) {
+      return res.status(404).json({ error: 'Rule profile not found' });
+    }
+
+    const before = profile.toObject();
+    if (name !== undefined) profile.name = name.trim();
+    if (description !== undefined) profile.description = description;
+    if (rules !== undefined) {
+      profile.rules = resolveRules({ ...profile.rules.toObject(), ...rules });
+    }
+    profile.updatedAt = Date.now();
+
+    await profile.save();
+    await recordAudit(req.user, { action: 'update', entity: 'ruleProfile', entityId: profile._id, before, after: profile });
+    res.json(profile);
+  } catch (error) {
+    if (error.code === 11000) {
+      res.status(409).json({ error: 'Rule profile name already exists', code: 'DUPLICATE_KEY' });
+    } else {
+      res.status(500).json({ error: 'Failed to update rule profile' });
+    }
+  }
+};
+
+app.put('/api/rule-profiles/:id', authenticateToken, requirePermission('rules:write'), validateRequest({ params: ID_PARAMS, body: RULE_PROFILE_SCHEMA }), updateRuleProfile);
+app.patch('/api/rule-profiles/:id', authenticateToken, requirePermission('rules:write'), validateRequest({ params: ID_PARAMS, body: RULE_PROFILE_SCHEMA, partial: true }), updateRuleProfile);
+
+app.delete('/api/rule-profiles/:id', authenticateToken, requirePermission('rules:write'), validateRequest({ params: ID_PARAMS }), async (req, res) => {
+  try {
+    const profile = await RuleProfile.findByIdAndDelete(req.params.id);
+
+    if (!profile) {
+      return res.status(404).json({ error: 'Rule profile not found' });
+    }
+
+    await recordAudit(req.user, { action: 'delete', entity: 'ruleProfile', entityId: profile._id, before: profile });
+    res.json({ message: 'Rule profile deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to delete rule profile' });
+  }
+});
+
+// Offset of the simulated depot's local time from UTC, used to place order delivery windows
+// on the simulated day's timeline
+const SIMULATION_UTC_OFFSET_MINUTES = Number(process.env.SIMULATION_UTC_OFFSET_MINUTES) || 0;
+
+// Engine settings for one set of inputs
+const buildSimulationSettings = (inputs, ruleProfile) => ({
+  availableDrivers: inputs.availableDrivers,
+  date: inputs.date,
+  startTime: inputs.startTime,
+  maxHoursPerDay: inputs.maxHoursPerDay,
+  strategy: inputs.strategy || DEFAULT_STRATEGY,
+  utcOffsetMinutes: SIMULATION_UTC_OFFSET_MINUTES,
+  rules: ruleProfile ? ruleProfile.rules : undefined
+});
+
+// Run the engine for one set of inputs against already loaded data
+const simulateScenario = ({ inputs, drivers, routes, orders, ruleProfile }) => {
+  return runSimulation({
+    drivers,
+    routes,
+    orders,
+    settings: buildSimulationSettings(inputs, ruleProfile)
+  });
+};
+
+// Simulations without a date run for today
+const withSimulationDate = (inputs) => ({
+  ...inputs,
+  date: inputs.date || new Date().toISOString().slice(0, 10)
+});
+
+// The moment the simulated day starts; driver hours are counted up to it
+const getSimulationStart = (inputs) => new Date(
+  getDayStart(inputs.date, SIMULATION_UTC_OFFSET_MINUTES) + parseTimeToMinutes(inputs.startTime) * 60000
+);
+
+const notEnoughDriversError = (simulation, availableDrivers) => ({
+  error: `Not enough drivers available. Found ${simulation.driverSchedules.length}, requested ${availableDrivers}`,
+  code: 'NOT_ENOUGH_DRIVERS',
+  skippedDrivers: simulation.skippedDrivers
+});
+
+const buildSimulationResult = ({ inputs, simulation, ruleProfile, scenarioName, scenarioGroup, dataLoadedAt }) => {
+  return new SimulationResult({
+    dataLoadedAt,
+    inputs: {
+      availableDrivers: inputs.availableDrivers,
+      date: inputs.date,
+      startTime: inputs.startTime,
+      maxHoursPerDay: inputs.maxHoursPerDay,
+      strategy: simulation.strategy,
+      ruleProfileId: ruleProfile ? ruleProfile._id : undefined
+    },
+    scenarioName,
+    scenarioGroup,
+    ruleProfileName: ruleProfile ? ruleProfile.name : 'Default',
+    rules: simulation.rules,
+    results: simulation.results,
+    deliveryBreakdown: simulation.deliveryBreakdown,
+    fuelCostBreakdown: simulation.fuelCostBreakdown,
+    emissionsBreakdown: simulation.emissionsBreakdown,
+    tierBreakdown: simulation.tierBreakdown,
+    orderBreakdown: simulation.processedOrders
+      .filter(order => order.scheduledStart !== undefined)
+      .map(order => ({
+        orderId: order.orderId,
+        assignedRoute: order.assignedRoute,
+        assignedDriver: order.assignedDriver,
+        driverName: order.driverName,
+        tripId: order.tripId,
+        stop: order.stop,
+        valueRs: order.valueRs,
+        scheduledStart: order.scheduledStart,
+        scheduledEnd: order.scheduledEnd,
+        waitMinutes: order.waitMinutes,
+        slaTier: order.slaTier,
+        actualDeliveryTime: order.actualDeliveryTime,
+        isOnTime: order.isOnTime,
+        penalty: order.penalty,
+        bonus: order.bonus,
+        fuelCost: order.fuelCost,
+        co2Kg: order.co2Kg,
+        carbonCost: order.carbonCost,
+        profit: order.profit,
+        hoursOfServiceViolation: order.hoursOfServiceViolation
+      })),
+    driverBreakdown: simulation.driverSchedules.map(schedule => ({
+      ...schedule,
+      deliveries: schedule.deliveries.length
+    })),
+    trips: simulation.trips,
+    unassigned: simulation.unassignedOrders,
+    skipped: simulation.skippedOrders
+  });
+};
+
+// Simulation Route
+app.post('/api/simulation', authenticateToken, requirePermission('simulation:run'), validateRequest({ body: SIMULATION_INPUT_SCHEMA }), async (req, res) => {
+  try {
+    const inputs = withSimulationDate(req.body);
+    const { availableDrivers, ruleProfileId } = inputs;
+
+    let ruleProfile = null;
+    if (ruleProfileId) {
+      ruleProfile = await RuleProfile.findById(ruleProfileId).lean();
+      if (!ruleProfile) {
+        return res.status(404).json({ error: 'Rule profile not found' });
+      }
+    }
+
+    // Fetch drivers, routes, and orders; the engine picks the drivers on duty
+    const dataLoadedAt = new Date();
+    const drivers = await applyShiftHours(await Driver.find().lean(), getSimulationStart(inputs));
+    const routes = await Route.find().lean();
+    const orders = await Order.find().lean();
+
+    const simulation = simulateScenario({ inputs, drivers, routes, orders, ruleProfile });
+    const { results, deliveryBreakdown, fuelCostBreakdown, emissionsBreakdown, tierBreakdown } = simulation;
+
+    if (simulation.driverSchedules.length < availableDrivers) {
+      return res.status(400).json(notEnoughDriversError(simulation, availableDrivers));
+    }
 
     // Save simulation result
-    const simulationResult = new SimulationResult({
-      inputs: { availableDrivers, startTime, maxHoursPerDay },
+    const simulationResult = buildSimulationResult({ inputs, simulation, ruleProfile, dataLoadedAt });
+    await simulationResult.save();
+    await auditSimulationRun(req.user, simulationResult);
+    publishSimulationCompleted(simulationResult);
+
+    res.json({
       results,
       deliveryBreakdown,
-      fuelCostBreakdown
+      fuelCostBreakdown,
+      emissionsBreakdown,
+      tierBreakdown,
+      rules: simulation.rules,
+      trips: simulation.trips,
+      driverSchedules: simulation.driverSchedules,
+      unassignedOrders: simulation.unassignedOrders,
+      skippedOrders: simulation.skippedOrders,
+      excludedDrivers: simulation.excludedDrivers,
+      skippedDrivers: simulation.skippedDrivers,
+      simulationId: simulationResult._id
+    });
+
+  } catch (error) {
+    console.error('Simulation error:', error);
+    res.status(500).json({ error: 'Simulation failed' });
+  }
+});
+
+// Simulation Jobs
+// Large runs are submitted as jobs and polled, instead of holding the request open
+const SIMULATION_CONCURRENCY = Number(process.env.SIMULATION_CONCURRENCY) || 2;
+
+const loadJobRuleProfile = async (job) => {
+  if (!job.inputs.ruleProfileId) return null;
+
+  const ruleProfile = await RuleProfile.findById(job.inputs.ruleProfileId).lean();
+  if (!ruleProfile) {
+    throw new Error('Rule profile not found');
+  }
+  return ruleProfile;
+};
+
+const simulationQueue = createJobQueue({
+  Job: SimulationJob,
+  concurrency: SIMULATION_CONCURRENCY,
+  loadPayload: async (job) => {
+    const ruleProfile = await loadJobRuleProfile(job);
+
+    return {
+      drivers: await applyShiftHours(await Driver.find().lean(), getSimulationStart(job.inputs)),
+      routes: await Route.find().lean(),
+      orders: await Order.find().lean(),
+      settings: buildSimulationSettings(job.inputs, ruleProfile)
+    };
+  },
+  saveResult: async (job, simulation, { loadedAt }) => {
+    if (simulation.driverSchedules.length < job.inputs.availableDrivers) {
+      throw new Error(notEnoughDriversError(simulation, job.inputs.availableDrivers).error);
+    }
+
+    const ruleProfile = await loadJobRuleProfile(job);
+    const simulationResult = buildSimulationResult({ inputs: job.inputs, simulation, ruleProfile, dataLoadedAt: loadedAt });
+    await simulationResult.save();
+    await auditSimulationRun({ userId: job.requestedBy }, simulationResult);
+    publishSimulationCompleted(simulationResult);
+    return simulationResult._id;
+  }
+});
+
+const serializeJob = (job) => ({
+  jobId: job._id,
+  status: job.status,
+  progress: job.progress,
+  inputs: job.inputs,
+  cancelRequested: job.cancelRequested,
+  simulationId: job.simulation,
+  error: job.error,
+  createdAt: job.createdAt,
+  startedAt: job.startedAt,
+  finishedAt: job.finishedAt
+});
+
+app.post('/api/simulation/jobs', authenticateToken, requirePermission('simulation:run'), validateRequest({ body: SIMULATION_INPUT_SCHEMA }), async (req, res) => {
+  try {
+    const inputs = withSimulationDate(req.body);
+
+    if (inputs.ruleProfileId && !(await RuleProfile.exists({ _id: inputs.ruleProfileId }))) {
+      return res.status(404).json({ error: 'Rule profile not found' });
+    }
+
+    const job = new SimulationJob({
+      inputs: {
+        availableDrivers: inputs.availableDrivers,
+        date: inputs.date,
+        startTime: inputs.startTime,
+        maxHoursPerDay: inputs.maxHoursPerDay,
+        strategy: inputs.strategy || DEFAULT_STRATEGY,
+        ruleProfileId: inputs.ruleProfileId
+      },
+      requestedBy: req.user.userId
+    });
+    await job.save();
+    simulationQueue.poke();
+
+    res.status(202).location(`/api/simulation/jobs/${job._id}`).json(serializeJob(job));
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to submit simulation job' });
+  }
+});
+
+const SIMULATION_JOB_LIST_QUERY = { status: { type: 'string', values: JOB_STATUSES } };
+
+app.get('/api/simulation/jobs', authenticateToken, requirePermission('simulation:read'), validateRequest({ query: SIMULATION_JOB_LIST_QUERY }), async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.status !== undefined) {
+      filter.status = req.query.status;
+    }
+
+    const jobs = await SimulationJob.find(filter).sort({ createdAt: -1 }).limit(50);
+    res.json(jobs.map(serializeJob));
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch simulation jobs' });
+  }
+});
+
+app.get('/api/simulation/jobs/:id', authenticateToken, requirePermission('simulation:read'), validateRequest({ params: ID_PARAMS }), async (req, res) => {
+  try {
+    const job = await SimulationJob.findById(req.params.id);
+
+    if (!job) {
+      return res.status(404).json({ error: 'Simulation job not found' });
+    }
+
+    res.json(serializeJob(job));
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch simulation job' });
+  }
+});
+
+// Queued jobs are cancelled straight away; running ones stop at the queue's next check
+app.post('/api/simulation/jobs/:id/cancel', authenticateToken, requirePermission('simulation:run'), validateRequest({ params: ID_PARAMS }), async (req, res) => {
+  try {
+    const job = await SimulationJob.findById(req.params.id);
+
+    if (!job) {
+      return res.status(404).json({ error: 'Simulation job not found' });
+    }
+    if (FINISHED_STATUSES.includes(job.status)) {
+      return res.status(409).json({ error: `Simulation job already ${job.status}`, code: 'JOB_FINISHED' });
+    }
+
+    const cancelled = await SimulationJob.findOneAndUpdate(
+      { _id: job._id, status: 'queued' },
+      { $set: { status: 'cancelled', cancelRequested: true, finishedAt: new Date() } },
+      { new: true }
+    ) || await SimulationJob.findByIdAndUpdate(job._id, { $set: { cancelRequested: true } }, { new: true });
+    simulationQueue.poke();
+
+    res.status(202).json(serializeJob(cancelled));
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to cancel simulation job' });
+  }
+});
+
+// Compare several what-if scenarios against a baseline
+app.post('/api/simulation/compare', authenticateToken, requirePermission('simulation:run'), validateRequest({ body: SCENARIO_COMPARISON_SCHEMA }), validateScenarioComparison, async (req, res) => {
+  try {
+    const { save, groupName } = req.body;
+    const scenarios = req.body.scenarios.map(withSimulationDate);
+    const names = scenarios.map((scenario, index) => scenario.name || `Scenario ${index + 1}`);
+    const baselineIndex = req.body.baseline === undefined
+      ? 0
+      : (typeof req.body.baseline === 'string' ? names.indexOf(req.body.baseline) : req.body.baseline);
+
+    // Load each referenced rule profile once
+    const ruleProfileIds = [...new Set(scenarios.map(s => s.ruleProfileId).filter(Boolean).map(String))];
+    const ruleProfiles = await RuleProfile.find({ _id: { $in: ruleProfileIds } }).lean();
+    if (ruleProfiles.length !== ruleProfileIds.length) {
+      return res.status(404).json({ error: 'Rule profile not found' });
+    }
+    const ruleProfileMap = {};
+    ruleProfiles.forEach(profile => {
+      ruleProfileMap[profile._id.toString()] = profile;
+    });
+
+    // Fetch data once; every scenario runs in isolation on its own copy, with driver hours
+    // counted up to its own start
+    const dataLoadedAt = new Date();
+    const allDrivers = await Driver.find().lean();
+    const routes = await Route.find().lean();
+    const orders = await Order.find().lean();
+    const scenarioDrivers = await Promise.all(scenarios.map(inputs => applyShiftHours(allDrivers, getSimulationStart(inputs))));
+
+    const runs = scenarios.map((inputs, index) => {
+      const ruleProfile = inputs.ruleProfileId ? ruleProfileMap[String(inputs.ruleProfileId)] : null;
+      const simulation = simulateScenario({ inputs, drivers: scenarioDrivers[index], routes, orders, ruleProfile });
+
+      return { name: names[index], inputs, ruleProfile, simulation };
+    });
+
+    const shortRun = runs.find(run => run.simulation.driverSchedules.length < run.inputs.availableDrivers);
+    if (shortRun) {
+      return res.status(400).json({
+        ...notEnoughDriversError(shortRun.simulation, shortRun.inputs.availableDrivers),
+        scenario: shortRun.name
+      });
+    }
+
+    let scenarioGroup = null;
+    const simulationIds = [];
+    if (save) {
+      scenarioGroup = new ScenarioGroup({ name: groupName, baseline: names[baselineIndex] });
+
+      for (const run of runs) {
+        const simulationResult = buildSimulationResult({
+          inputs: run.inputs,
+          simulation: run.simulation,
+          ruleProfile: run.ruleProfile,
+          scenarioName: run.name,
+          scenarioGroup: scenarioGroup._id,
+          dataLoadedAt
+        });
+        await simulationResult.save();
+        simulationIds.push(simulationResult._id);
+        await auditSimulationRun(req.user, simulationResult);
+        publishSimulationCompleted(simulationResult);
+      }
+
+      scenarioGroup.simulations = simulationIds;
+      await scenarioGroup.save();
+    }
+
+    const compared = compareScenarios(runs.map((run, index) => ({
+      name: run.name,
+      inputs: {
+        availableDrivers: run.inputs.availableDrivers,
+        startTime: run.inputs.startTime,
+        maxHoursPerDay: run.inputs.maxHoursPerDay,
+        date: run.inputs.date,
+        strategy: run.simulation.strategy,
+        ruleProfileId: run.ruleProfile ? run.ruleProfile._id : undefined
+      },
+      results: run.simulation.results,
+      deliveryBreakdown: run.simulation.deliveryBreakdown,
+      fuelCostBreakdown: run.simulation.fuelCostBreakdown,
+      emissionsBreakdown: run.simulation.emissionsBreakdown,
+      tierBreakdown: run.simulation.tierBreakdown,
+      trips: run.simulation.trips,
+      unassignedOrders: run.simulation.unassignedOrders,
+      skippedOrders: run.simulation.skippedOrders,
+      excludedDrivers: run.simulation.excludedDrivers,
+      skippedDrivers: run.simulation.skippedDrivers,
+      simulationId: simulationIds[index]
+    })), baselineIndex);
+
+    res.json({
+      baseline: names[baselineIndex],
+      scenarios: compared,
+      scenarioGroupId: scenarioGroup ? scenarioGroup._id : undefined
+    });
+
+  } catch (error) {
+    console.error('Scenario comparison error:', error);
+    res.status(500).json({ error: 'Scenario comparison failed' });
+  }
+});
+
+// Saved scenario groups
+app.get('/api/scenario-groups', authenticateToken, requirePermission('simulation:read'), async (req, res) => {
+  try {
+    const groups = await ScenarioGroup.find()
+      .sort({ timestamp: -1 })
+      .limit(10);
+    res.json(groups);
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch scenario groups' });
+  }
+});
+
+app.get('/api/scenario-groups/:id', authenticateToken, requirePermission('simulation:read'), validateRequest({ params: ID_PARAMS }), async (req, res) => {
+  try {
+    const group = await ScenarioGroup.findById(req.params.id).populate('simulations').lean();
+
+    if (!group) {
+      return res.status(404).json({ error: 'Scenario group not found' });
+    }
+
+    const baselineIndex = Math.max(
+      group.simulations.findIndex(simulation => simulation.scenarioName === group.baseline),
+      0
+    );
+
+    res.json({
+      ...group,
+      simulations: compareScenarios(group.simulations, baselineIndex)
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch scenario group' });
+  }
+});
+
+// List available assignment strategies
+app.get('/api/simulation/strategies', authenticateToken, requirePermission('simulation:read'), (req, res) => {
+  res.json(listStrategies());
+});
+
+// Get simulation history
+app.get('/api/simulations', authenticateToken, requirePermission('simulation:read'), validateListQuery(SIMULATION_LIST_SPEC), async (req, res) => {
+  try {
+    res.json(await findPage(SimulationResult, req.listQuery, query => query.select('-orderBreakdown -driverBreakdown -trips')));
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch simulation history' });
+  }
+});
+
+app.get('/api/simulations/:id', authenticateToken, requirePermission('simulation:read'), validateRequest({ params: ID_PARAMS }), async (req, res) => {
+  try {
+    const simulation = await SimulationResult.findById(req.params.id);
+
+    if (!simulation) {
+      return res.status(404).json({ error: 'Simulation not found' });
+    }
+
+    res.json(simulation);
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch simulation' });
+  }
+});
+
+// Multi-document transactions need MongoDB running as a replica set or a sharded cluster; a
+// standalone server, the default local setup, has neither. Checked once.
+let transactionSupport;
+
+const supportsTransactions = async () => {
+  if (transactionSupport === undefined) {
+    const hello = await mongoose.connection.db.admin().command({ hello: 1 });
+    transactionSupport = Boolean(hello.setName) || hello.msg === 'isdbgrid';
+  }
+  return transactionSupport;
+};
+
+const requireTransactions = async (req, res, next) => {
+  try {
+    if (await supportsTransactions()) {
+      return next();
+    }
+    res.status(503).json({
+      error: 'Applying and reverting simulation plans needs MongoDB running as a replica set',
+      code: 'TRANSACTIONS_UNSUPPORTED'
     });
-    await simulationResult.save();
+  } catch (error) {
+    next(error);
+  }
+};
 
-    res.json({
-      results,
-      deliveryBreakdown,
-      fuelCostBreakdown,
-      simulationId: simulationResult._id
+// Apply a simulation as the real plan: assign its orders to the simulated drivers and set each
+// driver's planned shift hours, all in one transaction. Refused when any planned order changed
+// after the simulation read it.
+const sendPlanConflict = (res, error) => res.status(409).json({ error: error.message, code: 'PLAN_CONFLICT', conflicts: error.conflicts });
+
+app.post('/api/simulations/:id/apply', authenticateToken, requirePermission('simulation:apply'), validateRequest({ params: ID_PARAMS }), requireTransactions, async (req, res) => {
+  let session;
+  try {
+    const simulation = await SimulationResult.findById(req.params.id).select('timestamp dataLoadedAt orderBreakdown driverBreakdown plan').lean();
+    if (!simulation) {
+      return res.status(404).json({ error: 'Simulation not found' });
+    }
+    if (simulation.plan && simulation.plan.status === 'applied') {
+      return res.status(409).json({ error: 'Simulation plan is already applied', code: 'PLAN_ALREADY_APPLIED' });
+    }
+
+    const assignments = getPlanAssignments(simulation);
+    if (assignments.length === 0) {
+      return res.status(400).json({ error: 'Simulation has no assigned orders to apply', code: 'EMPTY_PLAN' });
+    }
+
+    const plannedHours = getPlannedShiftHours(simulation);
+    const now = new Date();
+    let plan;
+
+    session = await mongoose.startSession();
+    await session.withTransaction(async () => {
+      const orders = await Order.find({ orderId: { $in: assignments.map(assignment => assignment.orderId) } }).session(session);
+      const conflicts = findPlanConflicts(assignments, orders, getDataLoadedAt(simulation));
+      if (conflicts.length > 0) {
+        throw new PlanConflictError('Orders changed since the simulation ran', conflicts);
+      }
+
+      const ordersById = new Map(orders.map(order => [order.orderId, order]));
+      const planOrders = assignments.map(({ orderId, driver }) => ({ order: ordersById.get(orderId)._id, orderId, driver }));
+
+      const orderWrite = await Order.bulkWrite(planOrders.map(({ order, driver }) => ({
+        updateOne: {
+          filter: { _id: order, status: { $in: ['created', null] } },
+          update: {
+            $set: { status: 'assigned', assignedDriver: driver },
+            $push: {
+              events: { status: 'assigned', at: now, recordedBy: req.user.userId, driver, note: `Applied simulation ${req.params.id}` }
+            }
+          }
+        }
+      })), { session });
+      if (orderWrite.matchedCount !== planOrders.length) {
+        throw new PlanConflictError('Orders changed while the plan was being applied');
+      }
+
+      const drivers = await Driver.find({ _id: { $in: plannedHours.map(entry => entry.driver) } })
+        .select('plannedShiftHours')
+        .session(session);
+      const previousHours = new Map(drivers.map(driver => [String(driver._id), driver.plannedShiftHours]));
+      const planDrivers = plannedHours
+        .filter(entry => previousHours.has(String(entry.driver)))
+        .map(entry => ({ ...entry, previousPlannedShiftHours: previousHours.get(String(entry.driver)) }));
+
+      if (planDrivers.length > 0) {
+        await Driver.bulkWrite(planDrivers.map(({ driver, plannedShiftHours }) => ({
+          updateOne: { filter: { _id: driver }, update: { $set: { plannedShiftHours } } }
+        })), { session });
+      }
+
+      plan = { status: 'applied', appliedAt: now, appliedBy: req.user.userId, orders: planOrders, drivers: planDrivers };
+      const simulationWrite = await SimulationResult.updateOne(
+        { _id: simulation._id, 'plan.status': { $ne: 'applied' } },
+        { $set: { plan } },
+        { session }
+      );
+      if (simulationWrite.modifiedCount !== 1) {
+        throw new PlanConflictError('Simulation plan is already applied');
+      }
     });
 
+    await recordAudit(req.user, { action: 'apply', entity: 'simulation', entityId: simulation._id, after: plan });
+    publishDataChange('simulation', 'applied', { _id: simulation._id, plan });
+    res.json(plan);
   } catch (error) {
-    console.error('Simulation error:', error);
-    res.status(500).json({ error: 'Simulation failed' });
+    if (error instanceof PlanConflictError) {
+      sendPlanConflict(res, error);
+    } else {
+      res.status(500).json({ error: 'Failed to apply simulation plan' });
+    }
+  } finally {
+    if (session) await session.endSession();
   }
 });
 
-// Get simulation history
-app.get('/api/simulations', authenticateToken, async (req, res) => {
+// Undo an applied plan: its orders go back to unassigned and drivers get their previous planned
+// hours. Refused when any of its orders moved on since, e.g. was dispatched or reassigned.
+app.post('/api/simulations/:id/revert', authenticateToken, requirePermission('simulation:apply'), validateRequest({ params: ID_PARAMS }), requireTransactions, async (req, res) => {
+  let session;
   try {
-    const simulations = await SimulationResult.find()
-      .sort({ timestamp: -1 })
-      .limit(10);
-    res.json(simulations);
+    const simulation = await SimulationResult.findById(req.params.id).select('plan').lean();
+    if (!simulation) {
+      return res.status(404).json({ error: 'Simulation not found' });
+    }
+    if (!simulation.plan || simulation.plan.status !== 'applied') {
+      return res.status(409).json({ error: 'Simulation plan is not applied', code: 'PLAN_NOT_APPLIED' });
+    }
+
+    const { orders: planOrders, drivers: planDrivers } = simulation.plan;
+    const now = new Date();
+
+    session = await mongoose.startSession();
+    await session.withTransaction(async () => {
+      const orders = await Order.find({ _id: { $in: planOrders.map(entry => entry.order) } })
+        .select('status assignedDriver')
+        .session(session);
+      const conflicts = findRevertConflicts(planOrders, orders);
+      if (conflicts.length > 0) {
+        throw new PlanConflictError('Orders changed since the plan was applied', conflicts);
+      }
+
+      const orderWrite = await Order.bulkWrite(planOrders.map(({ order, driver }) => ({
+        updateOne: {
+          filter: { _id: order, status: 'assigned', assignedDriver: driver },
+          update: {
+            $set: { status: 'created' },
+            $unset: { assignedDriver: 1 },
+            $push: { events: { status: 'created', at: now, recordedBy: req.user.userId, note: `Reverted simulation ${req.params.id}` } }
+          }
+        }
+      })), { session });
+      if (orderWrite.matchedCount !== planOrders.length) {
+        throw new PlanConflictError('Orders changed while the plan was being reverted');
+      }
+
+      // Drivers a later plan has already replanned keep their newer hours
+      if (planDrivers.length > 0) {
+        await Driver.bulkWrite(planDrivers.map(({ driver, plannedShiftHours, previousPlannedShiftHours }) => ({
+          updateOne: {
+            filter: { _id: driver, plannedShiftHours },
+            update: previousPlannedShiftHours === undefined || previousPlannedShiftHours === null
+              ? { $unset: { plannedShiftHours: 1 } }
+              : { $set: { plannedShiftHours: previousPlannedShiftHours } }
+          }
+        })), { session });
+      }
+
+      const simulationWrite = await SimulationResult.updateOne(
+        { _id: simulation._id, 'plan.status': 'applied' },
+        { $set: { 'plan.status': 'reverted', 'plan.revertedAt': now, 'plan.revertedBy': req.user.userId } },
+        { session }
+      );
+      if (simulationWrite.modifiedCount !== 1) {
+        throw new PlanConflictError('Simulation plan is not applied');
+      }
+    });
+
+    await recordAudit(req.user, { action: 'revert', entity: 'simulation', entityId: simulation._id, before: simulation.plan });
+    publishDataChange('simulation', 'reverted', { _id: simulation._id });
+    res.json({ message: 'Simulation plan reverted' });
   } catch (error) {
-    res.status(500).json({ error: 'Failed to fetch simulation history' });
+    if (error instanceof PlanConflictError) {
+      sendPlanConflict(res, error);
+    } else {
+      res.status(500).json({ error: 'Failed to revert simulation plan' });
+    }
+  } finally {
+    if (session) await session.endSession();
+  }
+});
+
+// Simulated against real outcomes for the simulation's orders that have been delivered or failed
+app.get('/api/simulations/:id/actuals', authenticateToken, requirePermission('simulation:read'), validateRequest({ params: ID_PARAMS }), async (req, res) => {
+  try {
+    const simulation = await SimulationResult.findById(req.params.id).select('orderBreakdown').lean();
+
+    if (!simulation) {
+      return res.status(404).json({ error: 'Simulation not found' });
+    }
+
+    const orders = await Order.find({ orderId: { $in: simulation.orderBreakdown.map(order => order.orderId) } })
+      .select('orderId status actualDeliveryTime isOnTime penalty bonus')
+      .lean();
+
+    res.json(compareWithActual(simulation.orderBreakdown, orders));
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to compare simulation with actual deliveries' });
+  }
+});
+
+// Export a simulation's summary, per-order and per-driver rows
+const SIMULATION_EXPORT_QUERY = {
+  format: { type: 'string', values: REPORT_FORMATS },
+  section: { type: 'string', values: REPORT_SECTIONS }
+};
+
+app.get('/api/simulations/:id/export', authenticateToken, requirePermission('simulation:read'), validateRequest({ params: ID_PARAMS, query: SIMULATION_EXPORT_QUERY }), async (req, res) => {
+  try {
+    const format = req.query.format || 'json';
+    const { section } = req.query;
+
+    const simulation = await SimulationResult.findById(req.params.id).lean();
+    if (!simulation) {
+      return res.status(404).json({ error: 'Simulation not found' });
+    }
+
+    const data = buildReportData(simulation);
+    const filename = `simulation-${simulation._id}${section ? `-${section}` : ''}`;
+
+    if (format === 'csv') {
+      res.attachment(`${filename}.csv`);
+      res.type('text/csv');
+      return res.send(toReportCsv(data, section));
+    }
+
+    if (format === 'html') {
+      res.type('html');
+      return res.send(toReportHtml(data));
+    }
+
+    res.attachment(`${filename}.json`);
+    res.json(section ? { [section]: data[section] } : data);
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to export simulation' });
+  }
+});
+
+// Live dashboard stream (Server-Sent Events). EventSource can't send headers, so the access
+// token may also come as ?access_token=. The stream closes when the token expires and the
+// client reconnects with a fresh one, sending Last-Event-ID to catch up on missed events.
+const SSE_HEARTBEAT_MS = 25000;
+
+const acceptQueryToken = (req, res, next) => {
+  if (!req.headers['authorization'] && typeof req.query.access_token === 'string') {
+    req.headers['authorization'] = `Bearer ${req.query.access_token}`;
+  }
+  next();
+};
+
+app.get('/api/dashboard/stream', acceptQueryToken, authenticateToken, requirePermission('dashboard:read'), (req, res) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write('retry: 5000\n\n');
+
+  const lastEventId = Number(req.get('Last-Event-ID'));
+  if (lastEventId > 0) {
+    liveEvents.eventsSince(lastEventId).forEach(event => res.write(formatSseEvent(event)));
   }
+
+  const unsubscribe = liveEvents.subscribe(event => res.write(formatSseEvent(event)));
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), SSE_HEARTBEAT_MS);
+  const expiry = req.user.exp
+    ? setTimeout(() => {
+      res.write('event: token-expired\ndata: {}\n\n');
+      res.end();
+    }, Math.max(0, req.user.exp * 1000 - Date.now()))
+    : null;
+
+  res.on('close', () => {
+    unsubscribe();
+    clearInterval(heartbeat);
+    clearTimeout(expiry);
+  });
 });
 
 // Dashboard stats
-app.get('/api/dashboard', authenticateToken, async (req, res) => {
+app.get('/api/dashboard', authenticateToken, requirePermission('dashboard:read'), async (req, res) => {
   try {
     const latestSimulation = await SimulationResult.findOne()
       .sort({ timestamp: -1 });
@@ -578,15 +2846,20 @@ app.get('/api/dashboard', authenticateToken, async (req, res) => {
         efficiencyScore: 0,
         onTimeDeliveries: 0,
         totalDeliveries: 0,
+        co2Kg: 0,
         deliveryBreakdown: [],
-        fuelCostBreakdown: []
+        fuelCostBreakdown: [],
+        emissionsBreakdown: [],
+        tierBreakdown: []
       });
     }
 
     res.json({
       ...latestSimulation.results,
       deliveryBreakdown: latestSimulation.deliveryBreakdown,
-      fuelCostBreakdown: latestSimulation.fuelCostBreakdown
+      fuelCostBreakdown: latestSimulation.fuelCostBreakdown,
+      emissionsBreakdown: latestSimulation.emissionsBreakdown,
+      tierBreakdown: latestSimulation.tierBreakdown
     });
 
   } catch (error) {
@@ -594,13 +2867,491 @@ app.get('/api/dashboard', authenticateToken, async (req, res) => {
   }
 });
 
+// KPI analytics over saved simulations, bucketed by day, week or month
+app.get('/api/analytics/kpis', authenticateToken, requirePermission('simulation:read'), validateRequest({ query: KPI_QUERY_SCHEMA }), async (req, res) => {
+  const { error: queryError, field, options } = parseKpiQuery(req.query);
+  if (queryError) {
+    return sendError(res, invalidField('query', field, queryError));
+  }
+
+  if (options.filters.ruleProfileId !== undefined) {
+    options.filters.ruleProfileId = new mongoose.Types.ObjectId(options.filters.ruleProfileId);
+  }
+
+  try {
+    const [{ periods, overall }] = await SimulationResult.aggregate(buildKpiPipeline(options));
+
+    res.json({
+      from: options.from,
+      to: options.to,
+      interval: options.interval,
+      rankBy: options.rankBy,
+      movingAverageWindow: options.movingAverageWindow,
+      filters: options.filters,
+      overall: overall[0] || null,
+      periods
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch KPI analytics' });
+  }
+});
+
+// Data health: orphaned references, duplicates and inconsistent records
+app.get('/api/data-health', authenticateToken, requirePermission('data:health'), async (req, res) => {
+  try {
+    const models = { order: Order, route: Route, driver: Driver, shift: DriverShift };
+    const checks = buildDataHealthChecks({ routes: Route.collection.name, drivers: Driver.collection.name });
+    const outputs = await Promise.all(checks.map(check => models[check.model].aggregate(check.pipeline)));
+
+    res.json(summarizeDataHealth(checks, outputs));
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to check data health' });
+  }
+});
+
+// Audit Log Routes
+const AUDIT_LIST_SPEC = {
+  sortable: { timestamp: 'timestamp' },
+  defaultSort: '-timestamp',
+  filters: {
+    user: { type: 'objectId' },
+    userEmail: { type: 'string' },
+    action: { type: 'enum', values: AUDIT_ACTIONS },
+    entity: { type: 'string' },
+    entityId: { type: 'string' },
+    timestamp: { type: 'dateRange' }
+  }
+};
+
+const RESTORE_MODELS = {
+  driver: () => Driver,
+  route: () => Route,
+  order: () => Order,
+  shift: () => DriverShift
+};
+
+// What a data reset deleted, per entity in the order it is put back, and the key each entity's
+// records must keep unique
+const RESET_ENTITIES = [
+  { entity: 'route', collection: 'routes', key: 'routeId' },
+  { entity: 'driver', collection: 'drivers' },
+  { entity: 'order', collection: 'orders', key: 'orderId' },
+  { entity: 'shift', collection: 'shifts' }
+];
+
+// Undo a data reset: remove the sample records it created, if still there, and put back every
+// record it deleted from their delete entries. Refused when a record to put back already exists
+// or its key is taken by a record the reset didn't create.
+const restoreReset = async (entry) => {
+  const { createdIds } = entry.details;
+  const deletedEntries = await AuditLog.find({ action: 'delete', 'details.resetEntryId': String(entry._id) }).lean();
+  const restored = {};
+  const removed = {};
+
+  for (const { entity, collection, key } of RESET_ENTITIES) {
+    const Model = RESTORE_MODELS[entity]();
+    const records = deletedEntries.filter(deleted => deleted.entity === entity).map(deleted => deleted.before);
+    const sampleIds = createdIds[collection] || [];
+
+    const clash = await Model.exists({
+      $or: [
+        { _id: { $in: records.map(record => record._id) } },
+        ...(key ? [{ [key]: { $in: records.map(record => record[key]) }, _id: { $nin: sampleIds } }] : [])
+      ]
+    });
+    if (clash) {
+      throw new RestoreConflictError(`Some ${collection} to restore already exist; delete them first`);
+    }
+  }
+
+  for (const { entity, collection } of RESET_ENTITIES) {
+    const Model = RESTORE_MODELS[entity]();
+    const records = deletedEntries.filter(deleted => deleted.entity === entity).map(deleted => deleted.before);
+
+    removed[collection] = (await Model.deleteMany({ _id: { $in: createdIds[collection] || [] } })).deletedCount;
+    restored[collection] = (await Model.insertMany(records)).length;
+  }
+
+  return { restored, removed };
+};
+
+app.get('/api/audit', authenticateToken, requirePermission('audit:read'), validateListQuery(AUDIT_LIST_SPEC), async (req, res) => {
+  try {
+    res.json(await findPage(AuditLog, req.listQuery));
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch audit log' });
+  }
+});
+
+// Undo an audit entry: recreate a deleted driver, route, order or shift with its original _id,
+// put an updated one back to its before value, or put back what a data reset removed
+app.post('/api/audit/:id/restore', authenticateToken, requirePermission('audit:restore'), validateRequest({ params: ID_PARAMS }), async (req, res) => {
+  try {
+    const entry = await AuditLog.findById(req.params.id).lean();
+    if (!entry) {
+      return res.status(404).json({ error: 'Audit entry not found' });
+    }
+
+    const kind = getRestoreKind(entry);
+    if (!kind) {
+      return res.status(400).json({
+        error: `Only deleted or updated ${RESTORABLE_ENTITIES.join(', ')} records and data resets can be restored`,
+        code: 'NOT_RESTORABLE'
+      });
+    }
+
+    if (kind === 'reset') {
+      const counts = await restoreReset(entry);
+      await recordAudit(req.user, { action: 'restore', entity: 'data', details: { auditEntryId: entry._id, ...counts } });
+      return res.json({ message: 'Data reset restored', ...counts });
+    }
+
+    const Model = RESTORE_MODELS[entry.entity]();
+    const restored = new Model(entry.before);
+    const current = kind === 'revert' ? await Model.findById(restored._id).lean() : null;
+    if (kind === 'recreate') {
+      await restored.save();
+    } else {
+      await restored.validate();
+      await Model.replaceOne({ _id: restored._id }, restored.toObject(), { upsert: true });
+    }
+
+    await recordAudit(req.user, {
+      action: 'restore',
+      entity: entry.entity,
+      entityId: restored._id,
+      before: current,
+      after: restored,
+      details: { auditEntryId: entry._id }
+    });
+    publishDataChange(entry.entity, current ? 'updated' : 'created', restored);
+    res.status(current ? 200 : 201).json(restored);
+  } catch (error) {
+    if (error instanceof RestoreConflictError) {
+      res.status(409).json({ error: error.message, code: 'RESTORE_CONFLICT' });
+    } else if (error.code === 11000) {
+      res.status(409).json({ error: 'A record with the same ID or key already exists', code: 'DUPLICATE_KEY' });
+    } else if (error.name === 'ValidationError') {
+      sendError(res, fromMongooseError(error));
+    } else {
+      res.status(500).json({ error: 'Failed to restore record' });
+    }
+  }
+});
+
+// Bulk Import Routes
+// Each importable entity: its model, the entity its audit entry names, the field rows are matched
+// on, and the fields a row may set
+const IMPORT_CONFIG = {
+  drivers: {
+    model: () => Driver,
+    auditEntity: 'driver',
+    key: 'name',
+    fields: [
+      'name', 'currentShiftHours', 'past7DayWorkHours', 'vehicleType', 'vehicleCapacityKg', 'vehicleCapacityM3',
+      'fuelType', 'clearedRoutes', 'clearedZones'
+    ]
+  },
+  routes: {
+    model: () => Route,
+    auditEntity: 'route',
+    key: 'routeId',
+    fields: ['routeId', 'distance', 'trafficLevel', 'baseTime', 'zone', 'allowedVehicleTypes', 'depot', 'stops']
+  },
+  orders: {
+    model: () => Order,
+    auditEntity: 'order',
+    key: 'orderId',
+    fields: [
+      'orderId', 'valueRs', 'assignedRoute', 'deliveryTimestamp', 'weightKg', 'volumeM3',
+      'deliveryWindowStart', 'deliveryWindowEnd', 'slaTier'
+    ]
+  }
+};
+
+const IMPORT_MODES = ['insert', 'upsert'];
+
+const IMPORT_PARAMS = { entity: { type: 'string', required: true, values: Object.keys(IMPORT_CONFIG) } };
+const IMPORT_QUERY = {
+  mode: { type: 'string', values: IMPORT_MODES },
+  dryRun: { type: 'boolean' }
+};
+const MAX_IMPORT_ROWS = 10000;
+
+// Rows come from a CSV body, a JSON array, or a JSON object with a rows array
+const readImportRows = (req) => {
+  if (typeof req.body === 'string') {
+    return parseCsv(req.body);
+  }
+  if (Array.isArray(req.body)) {
+    return req.body;
+  }
+  if (req.body && Array.isArray(req.body.rows)) {
+    return req.body.rows;
+  }
+  if (req.body && typeof req.body.csv === 'string') {
+    return parseCsv(req.body.csv);
+  }
+  return null;
+};
+
+// Keep the known fields, trim strings and drop blanks so schema defaults apply.
+// List fields arrive from CSV as "a;b;c".
+const pickImportFields = (row, fields, schema) => {
+  const picked = {};
+
+  fields.forEach(field => {
+    let value = row[field];
+    if (typeof value === 'string') value = value.trim();
+    if (typeof value === 'string' && value && schema.path(field).instance === 'Array') {
+      value = value.split(';').map(item => item.trim()).filter(Boolean);
+    }
+    if (value !== undefined && value !== null && value !== '') {
+      picked[field] = value;
+    }
+  });
+
+  return picked;
+};
+
+// Validate every row against the schema and return the writable ones plus a per-row report
+const validateImportRows = async (entity, rows, mode) => {
+  const config = IMPORT_CONFIG[entity];
+  const Model = config.model();
+  const errors = [];
+  const validRows = [];
+  const seenKeys = new Set();
+
+  const keys = rows
+    .map(row => row && row[config.key])
+    .filter(key => key !== undefined && key !== null)
+    .map(key => String(key).trim());
+  const existing = await Model.find({ [config.key]: { $in: keys } }).select(config.key).lean();
+  const existingKeys = new Set(existing.map(doc => doc[config.key]));
+
+  let knownRoutes = new Set();
+  if (entity === 'orders') {
+    const routeIds = rows.map(row => row && row.assignedRoute).filter(Boolean).map(id => String(id).trim());
+    const routes = await Route.find({ routeId: { $in: routeIds } }).select('routeId').lean();
+    knownRoutes = new Set(routes.map(route => route.routeId));
+  }
+
+  rows.forEach((row, index) => {
+    const rowNumber = index + 1;
+
+    if (!row || typeof row !== 'object' || Array.isArray(row)) {
+      errors.push({ row: rowNumber, errors: ['Row must be an object'] });
+      return;
+    }
+
+    let fields = pickImportFields(row, config.fields, Model.schema);
+    if (entity === 'routes') {
+      fields = deriveRouteMetrics(fields);
+    }
+    const key = fields[config.key] !== undefined ? String(fields[config.key]) : undefined;
+    const rowErrors = [];
+
+    const doc = new Model(fields);
+    const validationError = doc.validateSync();
+    if (validationError) {
+      Object.values(validationError.errors).forEach(error => {
+        rowErrors.push(`${error.path}: ${error.message}`);
+      });
+    }
+
+    if (entity === 'orders' && fields.assignedRoute && !knownRoutes.has(String(fields.assignedRoute))) {
+      rowErrors.push(`assignedRoute: Route ${fields.assignedRoute} does not exist`);
+    }
+
+    if (key !== undefined) {
+      if (seenKeys.has(key)) {
+        rowErrors.push(`${config.key}: Duplicate ${config.key} ${key} in this file`);
+      }
+      seenKeys.add(key);
+
+      if (mode === 'insert' && existingKeys.has(key)) {
+        rowErrors.push(`${config.key}: ${key} already exists`);
+      }
+    }
+
+    if (rowErrors.length > 0) {
+      errors.push({ row: rowNumber, key, errors: rowErrors });
+      return;
+    }
+
+    // Only $set what the row provided so an upsert doesn't reset other fields to defaults
+    const values = {};
+    Object.keys(fields).forEach(field => {
+      values[field] = doc[field];
+    });
+
+    validRows.push({
+      row: rowNumber,
+      key,
+      values,
+      action: existingKeys.has(key) ? 'update' : 'create'
+    });
+  });
+
+  return { validRows, errors };
+};
+
+const writeImportRows = async (entity, validRows, mode) => {
+  const config = IMPORT_CONFIG[entity];
+  const Model = config.model();
+  const errors = [];
+
+  if (validRows.length === 0) {
+    return { created: 0, updated: 0, writtenRows: [], errors };
+  }
+
+  const operations = validRows.map(({ values, key }) => (
+    mode === 'upsert'
+      ? { updateOne: { filter: { [config.key]: key }, update: { $set: values }, upsert: true } }
+      : { insertOne: { document: values } }
+  ));
+
+  const failedIndexes = new Set();
+  try {
+    await Model.bulkWrite(operations, { ordered: false });
+  } catch (error) {
+    // Rows that lost a race with another writer still get reported individually
+    if (!error.writeErrors) throw error;
+    error.writeErrors.forEach(writeError => {
+      const validRow = validRows[writeError.index];
+      failedIndexes.add(writeError.index);
+      errors.push({
+        row: validRow.row,
+        key: validRow.key,
+        errors: [writeError.code === 11000 ? `${config.key}: ${validRow.key} already exists` : writeError.errmsg]
+      });
+    });
+  }
+
+  const written = validRows.filter((_, index) => !failedIndexes.has(index));
+  return {
+    created: written.filter(row => row.action === 'create').length,
+    updated: written.filter(row => row.action === 'update').length,
+    writtenRows: written,
+    errors
+  };
+};
+
+// Records by their import key; the first one wins, as it does for an upsert's filter
+const indexByImportKey = (docs, key) => {
+  const byKey = new Map();
+  docs.forEach(doc => {
+    if (!byKey.has(String(doc[key]))) byKey.set(String(doc[key]), doc);
+  });
+  return byKey;
+};
+
+// A create or update entry for every row written, from the records before and after the import
+const recordImportRows = async (user, entity, writtenRows, before, importEntry) => {
+  const config = IMPORT_CONFIG[entity];
+  const after = await config.model().find({ [config.key]: { $in: writtenRows.map(row => row.key) } }).lean();
+  const beforeByKey = indexByImportKey(before, config.key);
+  const afterByKey = indexByImportKey(after, config.key);
+  const details = { importEntryId: importEntry ? String(importEntry._id) : undefined };
+
+  await recordAuditEntries(user, writtenRows
+    .filter(row => afterByKey.has(row.key))
+    .map(row => {
+      const previous = beforeByKey.get(row.key);
+      const current = afterByKey.get(row.key);
+      return {
+        action: previous ? 'update' : 'create',
+        entity: config.auditEntity,
+        entityId: current._id,
+        before: previous,
+        after: current,
+        details
+      };
+    }));
+};
+
+const importRowsParser = express.text({ type: ['text/csv', 'text/plain'], limit: '5mb' });
+
+app.post('/api/import/:entity', authenticateToken, validateRequest({ params: IMPORT_PARAMS, query: IMPORT_QUERY }), (req, res, next) => {
+  requirePermission(`${req.params.entity}:write`)(req, res, next);
+}, importRowsParser, async (req, res) => {
+  try {
+    const { entity } = req.params;
+    const dryRun = req.query.dryRun === 'true' || req.query.dryRun === '1';
+    const mode = req.query.mode || 'insert';
+
+    let rows;
+    try {
+      rows = readImportRows(req);
+    } catch (error) {
+      return res.status(400).json({ error: `Invalid CSV: ${error.message}`, code: 'INVALID_CSV' });
+    }
+
+    if (!rows) {
+      return res.status(400).json({ error: 'Send rows as a CSV body, a JSON array, or { rows: [...] }' });
+    }
+
+    if (rows.length > MAX_IMPORT_ROWS) {
+      return res.status(400).json({ error: `At most ${MAX_IMPORT_ROWS} rows can be imported at once`, code: 'TOO_MANY_ROWS' });
+    }
+
+    const { validRows, errors } = await validateImportRows(entity, rows, mode);
+
+    let created = validRows.filter(row => row.action === 'create').length;
+    let updated = validRows.filter(row => row.action === 'update').length;
+    if (!dryRun) {
+      // Snapshot the records an upsert overwrites so each row's change can be restored
+      const config = IMPORT_CONFIG[entity];
+      const before = await config.model().find({ [config.key]: { $in: validRows.map(row => row.key) } }).lean();
+
+      const result = await writeImportRows(entity, validRows, mode);
+      created = result.created;
+      updated = result.updated;
+      errors.push(...result.errors);
+      const importEntry = await recordAudit(req.user, {
+        action: 'import',
+        entity: config.auditEntity,
+        details: { mode, totalRows: rows.length, created, updated, failed: errors.length }
+      });
+      await recordImportRows(req.user, entity, result.writtenRows, before, importEntry);
+      liveEvents.publish('data.imported', { entity, created, updated });
+    }
+
+    errors.sort((a, b) => a.row - b.row);
+
+    res.json({
+      entity,
+      mode,
+      dryRun,
+      totalRows: rows.length,
+      created,
+      updated,
+      failed: errors.length,
+      errors
+    });
+  } catch (error) {
+    console.error('Import error:', error);
+    res.status(500).json({ error: 'Import failed' });
+  }
+});
+
 // Initialize sample data
-app.post('/api/init-data', async (req, res) => {
+app.post('/api/init-data', authenticateToken, requirePermission('data:init'), async (req, res) => {
   try {
-    // Clear existing data
-    await Driver.deleteMany({});
-    await Route.deleteMany({});
-    await Order.deleteMany({});
+    // Clear existing data; shifts go with their drivers. What is deleted is snapshotted into the
+    // audit log first so the reset can be restored.
+    const existing = {
+      drivers: await Driver.find().lean(),
+      shifts: await DriverShift.find().lean(),
+      routes: await Route.find().lean(),
+      orders: await Order.find().lean()
+    };
+    const deleted = {
+      drivers: (await Driver.deleteMany({ _id: { $in: existing.drivers.map(doc => doc._id) } })).deletedCount,
+      shifts: (await DriverShift.deleteMany({ _id: { $in: existing.shifts.map(doc => doc._id) } })).deletedCount,
+      routes: (await Route.deleteMany({ _id: { $in: existing.routes.map(doc => doc._id) } })).deletedCount,
+      orders: (await Order.deleteMany({ _id: { $in: existing.orders.map(doc => doc._id) } })).deletedCount
+    };
 
     // Create sample drivers
     const sampleDrivers = [
@@ -632,9 +3383,30 @@ app.post('/api/init-data', async (req, res) => {
       { orderId: 'ORD008', valueRs: 650, assignedRoute: 'RT003', deliveryTimestamp: new Date() }
     ];
 
-    await Driver.insertMany(sampleDrivers);
-    await Route.insertMany(sampleRoutes);
-    await Order.insertMany(sampleOrders);
+    const created = {
+      drivers: await Driver.insertMany(sampleDrivers),
+      routes: await Route.insertMany(sampleRoutes),
+      orders: await Order.insertMany(sampleOrders)
+    };
+    const resetEntry = await recordAudit(req.user, {
+      action: 'reset',
+      entity: 'data',
+      details: {
+        deleted,
+        created: { drivers: sampleDrivers.length, routes: sampleRoutes.length, orders: sampleOrders.length },
+        createdIds: {
+          drivers: created.drivers.map(doc => doc._id),
+          routes: created.routes.map(doc => doc._id),
+          orders: created.orders.map(doc => doc._id)
+        }
+      }
+    });
+
+    // One delete entry per record, restored together by restoring the reset entry
+    const resetDetails = { resetEntryId: resetEntry ? String(resetEntry._id) : undefined };
+    await recordAuditEntries(req.user, RESET_ENTITIES.flatMap(({ entity, collection }) => (
+      existing[collection].map(doc => ({ action: 'delete', entity, entityId: doc._id, before: doc, details: resetDetails }))
+    )));
 
     res.json({ message: 'Sample data initialized successfully' });
   } catch (error) {
@@ -642,10 +3414,20 @@ app.post('/api/init-data', async (req, res) => {
   }
 });
 
+app.use(notFoundHandler);
+app.use(errorHandler);
+
 const PORT = process.env.PORT || 5000;
 
-app.listen(PORT, () => {
-  console.log(`Server running on port ${PORT}`);
-});
+// Connect and listen only when run directly; tests require the app, connect to their own
+// database and start and stop the simulation queue themselves
+if (require.main === module) {
+  mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/greencart');
+
+  app.listen(PORT, () => {
+    console.log(`Server running on port ${PORT}`);
+    simulationQueue.start();
+  });
+}
 
-module.exports = app;
\ No newline at end of file
+module.exports = { app, simulationQueue };
\ No newline at end of file
@@ -0,0 +1,123 @@
+// simulation/availability.js
+// Which drivers are on duty at a given date and time, and which orders each may carry.
+const DAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const VEHICLE_TYPES = ['bike', 'car', 'van', 'truck'];
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// Day of week for a YYYY-MM-DD date, independent of the server time zone
+const getDayOfWeek = (date) => {
+  const [year, month, day] = date.split('-').map(Number);
+  return DAYS[new Date(Date.UTC(year, month - 1, day)).getUTCDay()];
+};
+
+const getPreviousDay = (day) => DAYS[(DAYS.indexOf(day) + 6) % 7];
+
+const toDateString = (value) => new Date(value).toISOString().slice(0, 10);
+
+const isOnLeave = (driver, date) => {
+  return (driver.leave || []).some(leave =>
+    toDateString(leave.start) <= date && date <= toDateString(leave.end)
+  );
+};
+
+// Find the availability window covering `minuteOfDay` on `day`. Windows whose end is
+// before their start run overnight, so yesterday's window may still be open.
+// Returns the minute the window closes (relative to the day's midnight), or null.
+const findOpenWindow = (availability, day, minuteOfDay) => {
+  for (const window of availability) {
+    const start = toMinutes(window.start);
+    const end = toMinutes(window.end);
+    const overnight = end <= start;
+
+    if (window.day === day && minuteOfDay >= start && (overnight || minuteOfDay < end)) {
+      return overnight ? end + 1440 : end;
+    }
+    if (overnight && window.day === getPreviousDay(day) && minuteOfDay < end) {
+      return end;
+    }
+  }
+
+  return null;
+};
+
+// Is the driver on duty at `startTime` on `date`? Drivers without windows are always available.
+const getDriverAvailability = (driver, date, startTime) => {
+  if (date && isOnLeave(driver, date)) {
+    return { available: false, reason: `On leave on ${date}` };
+  }
+
+  const availability = driver.availability || [];
+  if (!date || availability.length === 0) {
+    return { available: true, availableUntil: Infinity };
+  }
+
+  const day = getDayOfWeek(date);
+  const availableUntil = findOpenWindow(availability, day, toMinutes(startTime));
+  if (availableUntil === null) {
+    return { available: false, reason: `Not available at ${startTime} on ${day}` };
+  }
+
+  return { available: true, availableUntil };
+};
+
+// Take the first `count` drivers who are on duty, explaining why the others were skipped
+const selectAvailableDrivers = (drivers, { date, startTime, count = drivers.length }) => {
+  const selected = [];
+  const skippedDrivers = [];
+
+  drivers.forEach(driver => {
+    if (selected.length >= count) return;
+
+    const availability = getDriverAvailability(driver, date, startTime);
+    if (availability.available) {
+      selected.push({ driver, availableUntil: availability.availableUntil });
+    } else {
+      skippedDrivers.push({ driverId: driver._id, name: driver.name, reason: availability.reason });
+    }
+  });
+
+  return { selected, skippedDrivers };
+};
+
+// Why a driver may not carry an order, or null if they may. Empty clearance lists mean
+// "cleared for everything", and orders or vehicles without a weight, volume or capacity aren't checked.
+const getAssignmentBlocker = (driver, order, route) => {
+  const clearedRoutes = driver.clearedRoutes || [];
+  if (clearedRoutes.length > 0 && !clearedRoutes.includes(route.routeId)) {
+    return `Not cleared for route ${route.routeId}`;
+  }
+
+  const clearedZones = driver.clearedZones || [];
+  if (route.zone && clearedZones.length > 0 && !clearedZones.includes(route.zone)) {
+    return `Not cleared for zone ${route.zone}`;
+  }
+
+  const allowedVehicleTypes = route.allowedVehicleTypes || [];
+  if (allowedVehicleTypes.length > 0 && !allowedVehicleTypes.includes(driver.vehicleType)) {
+    return `Route ${route.routeId} does not allow vehicle type ${driver.vehicleType || 'unknown'}`;
+  }
+
+  if (order.weightKg && driver.vehicleCapacityKg && order.weightKg > driver.vehicleCapacityKg) {
+    return `Order weight ${order.weightKg}kg exceeds vehicle capacity ${driver.vehicleCapacityKg}kg`;
+  }
+
+  if (order.volumeM3 && driver.vehicleCapacityM3 && order.volumeM3 > driver.vehicleCapacityM3) {
+    return `Order volume ${order.volumeM3}m³ exceeds vehicle capacity ${driver.vehicleCapacityM3}m³`;
+  }
+
+  return null;
+};
+
+module.exports = {
+  DAYS,
+  VEHICLE_TYPES,
+  getDayOfWeek,
+  getDriverAvailability,
+  selectAvailableDrivers,
+  getAssignmentBlocker
+};
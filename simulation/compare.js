@@ -0,0 +1,40 @@
+// simulation/compare.js
+// Side by side comparison of simulation results against a baseline scenario
+const COMPARED_METRICS = ['totalProfit', 'efficiencyScore', 'fuelCost', 'penalties', 'co2Kg', 'trips'];
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const diffResults = (results, baselineResults) => {
+  const diff = {};
+
+  COMPARED_METRICS.forEach(metric => {
+    const value = results[metric] || 0;
+    const baseline = baselineResults[metric] || 0;
+
+    diff[metric] = {
+      value,
+      baseline,
+      difference: round(value - baseline),
+      percentChange: baseline !== 0 ? round(((value - baseline) / Math.abs(baseline)) * 100) : null
+    };
+  });
+
+  return diff;
+};
+
+// Attach a diff against the baseline scenario to every scenario
+const compareScenarios = (scenarios, baselineIndex = 0) => {
+  const baseline = scenarios[baselineIndex];
+
+  return scenarios.map((scenario, index) => ({
+    ...scenario,
+    isBaseline: index === baselineIndex,
+    diff: diffResults(scenario.results, baseline.results)
+  }));
+};
+
+module.exports = {
+  COMPARED_METRICS,
+  diffResults,
+  compareScenarios
+};
@@ -0,0 +1,653 @@
+// simulation/engine.js
+// Pure simulation engine: takes drivers, routes, orders and settings as plain data
+// and returns per-order results and totals. No Mongo or Express in here.
+// Orders headed the same way are batched into multi-stop trips. Driving time is costed per
+// trip, and fuel and emissions per route a trip drives.
+const { DEFAULT_STRATEGY, getStrategy } = require('./strategies');
+const { SLA_TIERS, DEFAULT_RULES, resolveRules, getTierRules } = require('./rules');
+const { selectAvailableDrivers, getAssignmentBlocker } = require('./availability');
+
+// Convert "HH:MM" into minutes since midnight
+const parseTimeToMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+const isWithinTimeBand = (band, minuteOfDay) => {
+  const start = parseTimeToMinutes(band.start);
+  const end = parseTimeToMinutes(band.end);
+
+  // Bands like 22:00-02:00 wrap past midnight
+  return start <= end
+    ? minuteOfDay >= start && minuteOfDay < end
+    : minuteOfDay >= start || minuteOfDay < end;
+};
+
+// Traffic slows a delivery down by the route's level, and further if it starts in a busy hour band
+const getTrafficMultiplier = (route, startMinutes, rules = DEFAULT_RULES) => {
+  const trafficMultipliers = rules.trafficMultipliers || {};
+  let multiplier = trafficMultipliers[route.trafficLevel] || 1;
+
+  if (startMinutes !== undefined) {
+    const minuteOfDay = ((startMinutes % 1440) + 1440) % 1440;
+    (rules.timeBands || [])
+      .filter(band => isWithinTimeBand(band, minuteOfDay))
+      .forEach(band => {
+        multiplier *= (band.multipliers && band.multipliers[route.trafficLevel]) || 1;
+      });
+  }
+
+  return multiplier;
+};
+
+const calculateDeliveryTime = (route, driver, baseTime, rules = DEFAULT_RULES, startMinutes) => {
+  let deliveryTime = baseTime * getTrafficMultiplier(route, startMinutes, rules);
+
+  // Apply fatigue penalty if driver worked past the fatigue threshold
+  if (driver.isFatigued) {
+    deliveryTime *= rules.fatigueSlowdown;
+  }
+
+  return Math.round(deliveryTime);
+};
+
+const calculateFuelCost = (route, rules = DEFAULT_RULES) => {
+  let baseCost = rules.fuelCostPerKm * route.distance;
+
+  if (route.trafficLevel === 'High') {
+    baseCost += rules.highTrafficSurchargePerKm * route.distance;
+  }
+
+  return baseCost;
+};
+
+// kg of CO2 for driving the route: distance by the vehicle's fuel emission factor, scaled up
+// for idling in traffic. Drivers without a fuel type count as diesel.
+const calculateEmissions = (route, driver, rules = DEFAULT_RULES) => {
+  const emissionFactors = rules.emissionFactors || {};
+  const factor = emissionFactors[driver.fuelType] !== undefined
+    ? emissionFactors[driver.fuelType]
+    : emissionFactors.diesel || 0;
+  const idleFactor = (rules.idleFactors || {})[route.trafficLevel] || 1;
+
+  return route.distance * factor * idleFactor;
+};
+
+// Late deliveries pay a flat penalty, on-time high-value orders earn a bonus, both per the
+// order's SLA tier. Orders with a delivery window are late when the scheduled arrival is
+// past the window's end; others when the trip takes longer than the route's baseTime.
+const calculateOrderOutcome = (order, route, actualDeliveryTime, rules = DEFAULT_RULES, timing = {}) => {
+  const tierRules = getTierRules(rules, order.slaTier);
+  const { arrival, window } = timing;
+
+  const isLate = window && arrival !== undefined
+    ? arrival > window.end + tierRules.gracePeriodMinutes
+    : actualDeliveryTime > (route.baseTime + tierRules.gracePeriodMinutes);
+  let penalty = 0;
+  let bonus = 0;
+
+  if (isLate) {
+    penalty = tierRules.latePenalty;
+  } else if (order.valueRs > tierRules.highValueThreshold) {
+    bonus = order.valueRs * tierRules.highValueBonusRate;
+  }
+
+  return { isOnTime: !isLate, penalty, bonus };
+};
+
+// An order's delivery window in minutes since the simulated day's midnight, or null
+const getOrderWindow = (order, dayStartMs) => {
+  if (dayStartMs === undefined || !order.deliveryWindowStart || !order.deliveryWindowEnd) {
+    return null;
+  }
+
+  return {
+    start: (new Date(order.deliveryWindowStart).getTime() - dayStartMs) / 60000,
+    end: (new Date(order.deliveryWindowEnd).getTime() - dayStartMs) / 60000
+  };
+};
+
+// Midnight of the simulated date in the simulation's time zone, as a timestamp
+const getDayStart = (date, utcOffsetMinutes = 0) => {
+  if (!date) return undefined;
+
+  const [year, month, day] = date.split('-').map(Number);
+  return Date.UTC(year, month - 1, day) - utcOffsetMinutes * 60000;
+};
+
+const formatMinutesAsTime = (totalMinutes) => {
+  const hours = Math.floor(totalMinutes / 60) % 24;
+  const minutes = Math.round(totalMinutes % 60);
+  return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+};
+
+// Each driver's day starts at startTime; hours already worked count towards the limit.
+// availableUntil (minutes since midnight) is when the driver's availability window closes.
+const createDriverSchedules = (drivers, startTime, maxHoursPerDay, availableUntil = []) => {
+  const startMinutes = parseTimeToMinutes(startTime);
+
+  return drivers.map((driver, index) => ({
+    driver,
+    index,
+    clock: startMinutes,
+    availableUntil: availableUntil[index] !== undefined ? availableUntil[index] : Infinity,
+    workedMinutes: (driver.currentShiftHours || 0) * 60,
+    weeklyWorkedMinutes: (driver.past7DayWorkHours || 0) * 60,
+    limitMinutes: maxHoursPerDay * 60,
+    trips: 0,
+    deliveries: [],
+    totals: { onTime: 0, late: 0, profit: 0, fuelCost: 0, co2Kg: 0, penalties: 0, bonuses: 0 }
+  }));
+};
+
+const canTakeDelivery = (schedule, deliveryTime) => {
+  return schedule.workedMinutes + deliveryTime <= schedule.limitMinutes &&
+    schedule.clock + deliveryTime <= schedule.availableUntil;
+};
+
+// Would this delivery take the driver past the daily or weekly hours-of-service limit?
+const breaksHoursOfService = (schedule, deliveryTime, rules = DEFAULT_RULES) => {
+  return schedule.workedMinutes + deliveryTime > rules.dailyHoursLimit * 60 ||
+    schedule.weeklyWorkedMinutes + deliveryTime > rules.weeklyHoursLimit * 60;
+};
+
+// Orders on the same route, or on routes in the same zone, may share a trip
+const getTripKey = (route) => (route.zone ? `zone:${route.zone}` : `route:${route.routeId}`);
+
+// Would adding the order overload the vehicle? Vehicles without a capacity aren't checked.
+const fitsVehicle = (driver, load, order) => {
+  if (driver.vehicleCapacityKg && load.weightKg + (order.weightKg || 0) > driver.vehicleCapacityKg) {
+    return false;
+  }
+  if (driver.vehicleCapacityM3 && load.volumeM3 + (order.volumeM3 || 0) > driver.vehicleCapacityM3) {
+    return false;
+  }
+  return true;
+};
+
+// Time a trip leaving at the driver's clock. Stops are visited nearest first: each is reached
+// no sooner than its own route's drive time, and no sooner than stopTimeMinutes after the
+// previous stop. A driver early for a delivery window waits, and waiting counts as trip time.
+// A single-stop trip takes exactly the route's drive time, as a separate delivery would.
+const planTrip = (schedule, stops, rules = DEFAULT_RULES, dayStartMs) => {
+  const start = schedule.clock;
+  const legs = stops
+    .map(({ order, route }) => ({
+      order,
+      route,
+      driveTime: calculateDeliveryTime(route, schedule.driver, route.baseTime, rules, start),
+      window: getOrderWindow(order, dayStartMs)
+    }))
+    .sort((a, b) => a.driveTime - b.driveTime);
+
+  let elapsed = 0;
+  let waited = 0;
+  legs.forEach((leg, index) => {
+    const legStart = elapsed;
+    elapsed = index === 0
+      ? leg.driveTime
+      : Math.max(leg.driveTime + waited, elapsed + rules.stopTimeMinutes);
+
+    // Time on the road to this stop, leaving out any waiting at earlier stops
+    leg.actualDeliveryTime = elapsed - waited;
+    leg.waitMinutes = leg.window ? Math.max(0, leg.window.start - (start + elapsed)) : 0;
+    elapsed += leg.waitMinutes;
+    waited += leg.waitMinutes;
+
+    leg.start = start + legStart;
+    leg.arrival = start + elapsed;
+    leg.outcome = calculateOrderOutcome(leg.order, leg.route, leg.actualDeliveryTime, rules, {
+      arrival: leg.arrival,
+      window: leg.window
+    });
+  });
+
+  // The trip drives each of its routes once, however many of the stops are on it
+  const routes = [...new Set(legs.map(leg => leg.route))];
+  const distance = routes.reduce((total, route) => total + route.distance, 0);
+
+  return { start, end: start + elapsed, duration: elapsed, legs, routes, distance };
+};
+
+// A stop may join a trip only if that doesn't make late any stop that would be on time
+// on the trip as planned, or the new stop itself if it would be on time as a trip of its own
+const delaysStops = (trip, extended, solo) => {
+  const onTime = [...trip.legs, ...solo.legs].filter(leg => leg.outcome.isOnTime).map(leg => leg.order);
+  return extended.legs.some(leg => onTime.includes(leg.order) && !leg.outcome.isOnTime);
+};
+
+// Place a trip at the end of the driver's timeline; waiting for a window counts as worked time
+const bookTrip = (schedule, trip, tripId) => {
+  schedule.clock = trip.end;
+  schedule.workedMinutes += trip.duration;
+  schedule.weeklyWorkedMinutes += trip.duration;
+  schedule.trips++;
+
+  trip.legs.forEach(leg => {
+    schedule.deliveries.push({
+      orderId: leg.order.orderId,
+      tripId,
+      start: formatMinutesAsTime(leg.start),
+      end: formatMinutesAsTime(leg.arrival),
+      duration: leg.arrival - leg.start - leg.waitMinutes,
+      waitMinutes: leg.waitMinutes
+    });
+  });
+};
+
+const roundEmissions = (value) => Math.round(value * 100) / 100;
+
+const roundPercent = (value) => Math.round(value * 10000) / 100;
+
+// Share of the vehicle's weight or volume capacity used, whichever is higher; null when
+// the vehicle has no capacity set
+const getCapacityUtilization = (driver, load) => {
+  const shares = [];
+  if (driver.vehicleCapacityKg) shares.push(load.weightKg / driver.vehicleCapacityKg);
+  if (driver.vehicleCapacityM3) shares.push(load.volumeM3 / driver.vehicleCapacityM3);
+
+  return shares.length > 0 ? roundPercent(Math.max(...shares)) : null;
+};
+
+// Mean capacity use over the trips whose vehicle has a capacity, or null if none does
+const averageCapacityUtilization = (trips) => {
+  const measured = trips.filter(trip => trip.capacityUtilization !== null);
+  if (measured.length === 0) return null;
+
+  const total = measured.reduce((sum, trip) => sum + trip.capacityUtilization, 0);
+  return Math.round((total / measured.length) * 100) / 100;
+};
+
+const runSimulation = ({ drivers, routes, orders, settings, onProgress }) => {
+  const { startTime, maxHoursPerDay } = settings;
+  const strategyName = settings.strategy || DEFAULT_STRATEGY;
+  const strategy = getStrategy(strategyName);
+  const rules = resolveRules(settings.rules);
+
+  if (!strategy) {
+    throw new Error(`Unknown strategy: ${strategyName}`);
+  }
+
+  // Only drivers on duty at startTime take part; settings.date enables the calendar checks
+  const { selected, skippedDrivers } = selectAvailableDrivers(drivers, {
+    date: settings.date,
+    startTime,
+    count: settings.availableDrivers
+  });
+
+  // Check for driver fatigue without touching the caller's data
+  const simulatedDrivers = selected.map(({ driver }) => ({
+    ...driver,
+    isFatigued: driver.currentShiftHours > rules.fatigueThresholdHours
+  }));
+
+  // Create route lookup
+  const routeMap = {};
+  routes.forEach(route => {
+    routeMap[route.routeId] = route;
+  });
+
+  let totalProfit = 0;
+  let totalFuelCost = 0;
+  let totalPenalties = 0;
+  let totalBonuses = 0;
+  let onTimeDeliveries = 0;
+  let totalEmissions = 0;
+  let totalCarbonCost = 0;
+  const fuelCostByTraffic = { Low: 0, Medium: 0, High: 0 };
+  const emissionsByRoute = {};
+  const tierTotals = {};
+  SLA_TIERS.forEach(tier => {
+    tierTotals[tier] = { deliveries: 0, onTime: 0, penalties: 0, bonuses: 0 };
+  });
+  const dayStartMs = getDayStart(settings.date, settings.utcOffsetMinutes);
+
+  // Build a timeline per driver starting at startTime
+  const driverSchedules = createDriverSchedules(
+    simulatedDrivers,
+    startTime,
+    maxHoursPerDay,
+    selected.map(({ availableUntil }) => availableUntil)
+  );
+  const unassignedOrders = [];
+  // Orders whose route doesn't exist can't be simulated; they are reported, not counted
+  const skippedOrders = [];
+  let hoursOfServiceViolations = 0;
+  const excludePastLimits = rules.hoursOfServicePolicy === 'exclude';
+
+  // Drivers already past a hours-of-service limit can't take anything under the exclude policy
+  const excludedDrivers = [];
+  if (excludePastLimits) {
+    driverSchedules.forEach(schedule => {
+      if (breaksHoursOfService(schedule, 0, rules)) {
+        excludedDrivers.push({
+          driverId: schedule.driver._id,
+          name: schedule.driver.name,
+          reason: 'Already past the daily or weekly hours-of-service limit'
+        });
+      }
+    });
+  }
+
+  const strategyState = { lastAssignedIndex: -1, rules };
+  const orderQueue = strategy.prioritize ? strategy.prioritize(orders) : orders;
+
+  // Can the driver fit this trip into their day?
+  const canTakeTrip = (schedule, trip) => {
+    return canTakeDelivery(schedule, trip.duration) &&
+      !(excludePastLimits && breaksHoursOfService(schedule, trip.duration, rules));
+  };
+
+  // Orders in queue order, grouped by the trip key they can share a trip under
+  const pendingByTripKey = {};
+  orderQueue.forEach((order, index) => {
+    const route = routeMap[order.assignedRoute];
+    if (!route) return;
+
+    const key = getTripKey(route);
+    (pendingByTripKey[key] = pendingByTripKey[key] || []).push({ order, route, index });
+  });
+
+  // Build a trip for the driver around the seed order, then fill the vehicle with later
+  // orders in the queue that head the same way, fit, and keep every stop on time
+  const buildTrip = (schedule, seed, seedIndex) => {
+    const stops = [seed];
+    const load = { weightKg: seed.order.weightKg || 0, volumeM3: seed.order.volumeM3 || 0 };
+    let trip = planTrip(schedule, stops, rules, dayStartMs);
+    if (!canTakeTrip(schedule, trip)) return null;
+
+    for (const { order, route, index } of pendingByTripKey[getTripKey(seed.route)]) {
+      if (stops.length >= rules.maxStopsPerTrip) break;
+      if (index <= seedIndex || planned.has(order)) continue;
+      if (getAssignmentBlocker(schedule.driver, order, route) || !fitsVehicle(schedule.driver, load, order)) continue;
+
+      const extended = planTrip(schedule, [...stops, { order, route }], rules, dayStartMs);
+      if (!canTakeTrip(schedule, extended)) continue;
+      if (delaysStops(trip, extended, planTrip(schedule, [{ order, route }], rules, dayStartMs))) continue;
+
+      stops.push({ order, route });
+      load.weightKg += order.weightKg || 0;
+      load.volumeM3 += order.volumeM3 || 0;
+      trip = extended;
+    }
+
+    return { trip, load };
+  };
+
+  // Process each order, seeding a trip with every order not already on one
+  const processedOrders = [];
+  const planned = new Set();
+  const trips = [];
+  const scheduleOrder = (order, orderIndex) => {
+    if (planned.has(order)) return;
+
+    const route = routeMap[order.assignedRoute];
+    if (!route) {
+      skippedOrders.push({
+        orderId: order.orderId,
+        assignedRoute: order.assignedRoute,
+        reason: `Route ${order.assignedRoute} does not exist`
+      });
+      return;
+    }
+
+    // Try drivers in the strategy's order, skipping anyone who would go past maxHoursPerDay
+    let schedule = null;
+    let booking = null;
+    const blockers = [];
+    const candidates = strategy.rankDrivers(driverSchedules, order, strategyState);
+    for (const candidate of candidates) {
+      const blocker = getAssignmentBlocker(candidate.driver, order, route);
+      if (blocker) {
+        blockers.push(`${candidate.driver.name}: ${blocker}`);
+        continue;
+      }
+
+      booking = buildTrip(candidate, { order, route }, orderIndex);
+      if (booking) {
+        schedule = candidate;
+        strategyState.lastAssignedIndex = candidate.index;
+        break;
+      }
+    }
+
+    if (!schedule) {
+      let reason = excludePastLimits
+        ? 'No driver has enough remaining hours within maxHoursPerDay, availability and hours-of-service limits'
+        : 'No driver has enough remaining hours within maxHoursPerDay and availability';
+      if (driverSchedules.length > 0 && blockers.length === driverSchedules.length) {
+        reason = 'No driver is cleared or has the capacity to carry this order';
+      }
+
+      unassignedOrders.push({
+        orderId: order.orderId,
+        assignedRoute: order.assignedRoute,
+        reason,
+        blockers
+      });
+      return;
+    }
+
+    const { trip, load } = booking;
+    const tripId = `T${trips.length + 1}`;
+    // Under the penalize policy a trip past the hours-of-service limits still goes ahead, at a cost
+    const breaksLimits = breaksHoursOfService(schedule, trip.duration, rules);
+    bookTrip(schedule, trip, tripId);
+
+    // Fuel and emissions are paid once for each route the trip drives and shared between
+    // that route's stops; emissions may carry a carbon cost
+    let tripFuelCost = 0;
+    let tripEmissions = 0;
+    const routeCosts = new Map();
+    trip.routes.forEach(route => {
+      const stopCount = trip.legs.filter(leg => leg.route === route).length;
+      const routeFuelCost = calculateFuelCost(route, rules);
+      const routeEmissions = calculateEmissions(route, schedule.driver, rules);
+
+      routeCosts.set(route, { fuelCost: routeFuelCost / stopCount, co2Kg: routeEmissions / stopCount });
+      fuelCostByTraffic[route.trafficLevel] += routeFuelCost;
+      tripFuelCost += routeFuelCost;
+      tripEmissions += routeEmissions;
+    });
+    totalFuelCost += tripFuelCost;
+    schedule.totals.fuelCost += tripFuelCost;
+    totalEmissions += tripEmissions;
+    schedule.totals.co2Kg += tripEmissions;
+
+    trips.push({
+      tripId,
+      driverId: schedule.driver._id,
+      driverName: schedule.driver.name,
+      routes: [...new Set(trip.legs.map(leg => leg.route.routeId))],
+      zone: trip.legs[0].route.zone,
+      stops: trip.legs.map(leg => leg.order.orderId),
+      start: formatMinutesAsTime(trip.start),
+      end: formatMinutesAsTime(trip.end),
+      durationMinutes: trip.duration,
+      distanceKm: trip.distance,
+      fuelCost: tripFuelCost,
+      co2Kg: roundEmissions(tripEmissions),
+      loadKg: load.weightKg,
+      loadM3: load.volumeM3,
+      capacityKg: schedule.driver.vehicleCapacityKg,
+      capacityM3: schedule.driver.vehicleCapacityM3,
+      capacityUtilization: getCapacityUtilization(schedule.driver, load)
+    });
+
+    trip.legs.forEach((leg, stopIndex) => {
+      planned.add(leg.order);
+
+      const { fuelCost, co2Kg } = routeCosts.get(leg.route);
+      const carbonCost = co2Kg * rules.carbonCostPerKg;
+      const { isOnTime, bonus } = leg.outcome;
+      let { penalty } = leg.outcome;
+      if (breaksLimits) {
+        hoursOfServiceViolations++;
+        penalty += rules.hoursOfServicePenalty;
+      }
+
+      if (isOnTime) {
+        onTimeDeliveries++;
+      }
+
+      totalPenalties += penalty;
+      totalBonuses += bonus;
+
+      const slaTier = tierTotals[leg.order.slaTier] ? leg.order.slaTier : 'standard';
+      const tierTotal = tierTotals[slaTier];
+      tierTotal.deliveries++;
+      if (isOnTime) tierTotal.onTime++;
+      tierTotal.penalties += penalty;
+      tierTotal.bonuses += bonus;
+
+      const routeEmissions = emissionsByRoute[leg.route.routeId] || { co2Kg: 0, deliveries: 0 };
+      routeEmissions.co2Kg += co2Kg;
+      routeEmissions.deliveries++;
+      emissionsByRoute[leg.route.routeId] = routeEmissions;
+      totalCarbonCost += carbonCost;
+
+      // Calculate order profit
+      const orderProfit = leg.order.valueRs + bonus - penalty - fuelCost - carbonCost;
+      totalProfit += orderProfit;
+
+      const { totals } = schedule;
+      totals[isOnTime ? 'onTime' : 'late']++;
+      totals.profit += orderProfit;
+      totals.penalties += penalty;
+      totals.bonuses += bonus;
+
+      processedOrders.push({
+        ...leg.order,
+        assignedDriver: schedule.driver._id,
+        driverName: schedule.driver.name,
+        tripId,
+        stop: stopIndex + 1,
+        scheduledStart: formatMinutesAsTime(trip.start),
+        scheduledEnd: formatMinutesAsTime(leg.arrival),
+        waitMinutes: leg.waitMinutes,
+        slaTier,
+        actualDeliveryTime: leg.actualDeliveryTime,
+        isOnTime,
+        penalty,
+        bonus,
+        fuelCost,
+        co2Kg: roundEmissions(co2Kg),
+        carbonCost,
+        profit: orderProfit,
+        hoursOfServiceViolation: breaksLimits
+      });
+    });
+
+    // Later trips under this key only look at orders still to plan
+    const tripKey = getTripKey(route);
+    pendingByTripKey[tripKey] = pendingByTripKey[tripKey].filter(entry => entry.index > orderIndex && !planned.has(entry.order));
+  };
+
+  // onProgress, when given, hears how many of the orders in the queue have been worked through
+  orderQueue.forEach((order, orderIndex) => {
+    scheduleOrder(order, orderIndex);
+    if (onProgress) onProgress(orderIndex + 1, orderQueue.length);
+  });
+
+  // Unassigned and skipped orders are not deliveries and don't count towards efficiency
+  const totalDeliveries = orders.length - unassignedOrders.length - skippedOrders.length;
+
+  // Calculate efficiency score
+  const efficiencyScore = totalDeliveries > 0 ? (onTimeDeliveries / totalDeliveries) * 100 : 0;
+
+  const results = {
+    totalProfit: Math.round(totalProfit),
+    efficiencyScore: Math.round(efficiencyScore * 100) / 100,
+    onTimeDeliveries,
+    totalDeliveries,
+    unassignedOrders: unassignedOrders.length,
+    skippedOrders: skippedOrders.length,
+    hoursOfServiceViolations,
+    fuelCost: Math.round(totalFuelCost),
+    penalties: totalPenalties,
+    bonuses: Math.round(totalBonuses),
+    co2Kg: roundEmissions(totalEmissions),
+    carbonCost: Math.round(totalCarbonCost),
+    trips: trips.length,
+    averageStopsPerTrip: trips.length > 0 ? Math.round((totalDeliveries / trips.length) * 100) / 100 : 0,
+    averageCapacityUtilization: averageCapacityUtilization(trips)
+  };
+
+  const deliveryBreakdown = [
+    { label: 'On Time', value: onTimeDeliveries },
+    { label: 'Late', value: totalDeliveries - onTimeDeliveries }
+  ];
+
+  const fuelCostBreakdown = Object.entries(fuelCostByTraffic).map(([traffic, cost]) => ({
+    label: `${traffic} Traffic`,
+    value: Math.round(cost)
+  }));
+
+  const emissionsBreakdown = Object.entries(emissionsByRoute).map(([routeId, totals]) => ({
+    routeId,
+    co2Kg: roundEmissions(totals.co2Kg),
+    deliveries: totals.deliveries
+  }));
+
+  const tierBreakdown = Object.entries(tierTotals).map(([tier, totals]) => ({
+    tier,
+    deliveries: totals.deliveries,
+    onTimeDeliveries: totals.onTime,
+    onTimeRate: totals.deliveries > 0 ? Math.round((totals.onTime / totals.deliveries) * 10000) / 100 : 0,
+    penalties: totals.penalties,
+    bonuses: Math.round(totals.bonuses)
+  }));
+
+  const schedules = driverSchedules.map(schedule => ({
+    driverId: schedule.driver._id,
+    name: schedule.driver.name,
+    shiftStart: startTime,
+    shiftEnd: formatMinutesAsTime(schedule.clock),
+    hoursWorked: Math.round((schedule.workedMinutes / 60) * 100) / 100,
+    weeklyHoursWorked: Math.round((schedule.weeklyWorkedMinutes / 60) * 100) / 100,
+    onTimeDeliveries: schedule.totals.onTime,
+    lateDeliveries: schedule.totals.late,
+    profit: Math.round(schedule.totals.profit),
+    fuelCost: Math.round(schedule.totals.fuelCost),
+    co2Kg: roundEmissions(schedule.totals.co2Kg),
+    penalties: schedule.totals.penalties,
+    bonuses: Math.round(schedule.totals.bonuses),
+    trips: schedule.trips,
+    deliveries: schedule.deliveries
+  }));
+
+  return {
+    strategy: strategyName,
+    rules,
+    results,
+    deliveryBreakdown,
+    fuelCostBreakdown,
+    emissionsBreakdown,
+    tierBreakdown,
+    processedOrders,
+    trips,
+    driverSchedules: schedules,
+    unassignedOrders,
+    skippedOrders,
+    excludedDrivers,
+    skippedDrivers
+  };
+};
+
+module.exports = {
+  getTrafficMultiplier,
+  calculateDeliveryTime,
+  calculateFuelCost,
+  calculateEmissions,
+  calculateOrderOutcome,
+  getOrderWindow,
+  getDayStart,
+  parseTimeToMinutes,
+  formatMinutesAsTime,
+  createDriverSchedules,
+  canTakeDelivery,
+  breaksHoursOfService,
+  planTrip,
+  bookTrip,
+  runSimulation
+};
@@ -0,0 +1,126 @@
+// simulation/geometry.js
+// Route geometry without external map services. Road distance is the straight-line
+// (haversine) distance scaled by a road factor, and travel time assumes an average speed.
+const EARTH_RADIUS_KM = 6371;
+const ROAD_FACTOR = 1.3; // roads run ~30% longer than the straight line between two points
+const AVERAGE_SPEED_KMH = 30; // urban delivery speed, before traffic
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Great-circle distance between two { lat, lng } points
+const haversineKm = (from, to) => {
+  const dLat = toRadians(to.lat - from.lat);
+  const dLng = toRadians(to.lng - from.lng);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(from.lat)) * Math.cos(toRadians(to.lat)) * Math.sin(dLng / 2) ** 2;
+
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+};
+
+const roadDistanceKm = (from, to) => haversineKm(from, to) * ROAD_FACTOR;
+
+const estimateTravelMinutes = (distanceKm) => (distanceKm / AVERAGE_SPEED_KMH) * 60;
+
+// The depot followed by the stops in visiting order
+const getRoutePoints = (route) => {
+  if (!route.depot) return [];
+  return [route.depot, ...(route.stops || [])];
+};
+
+const hasGeometry = (route) => getRoutePoints(route).length >= 2;
+
+// Road distance (km) and base time (minutes) from the depot through every stop
+const measureRoute = (route) => {
+  const points = getRoutePoints(route);
+  let distance = 0;
+
+  for (let index = 1; index < points.length; index++) {
+    distance += roadDistanceKm(points[index - 1], points[index]);
+  }
+
+  return {
+    distance: round(distance),
+    baseTime: Math.max(1, Math.round(estimateTravelMinutes(distance)))
+  };
+};
+
+// Fill in the distance and base time a route with coordinates leaves out
+const deriveRouteMetrics = (route) => {
+  if (!hasGeometry(route)) return route;
+
+  const measured = measureRoute(route);
+  return {
+    ...route,
+    distance: route.distance !== undefined && route.distance !== null ? route.distance : measured.distance,
+    baseTime: route.baseTime !== undefined && route.baseTime !== null ? route.baseTime : measured.baseTime
+  };
+};
+
+// The fields to set when `update` changes a stored route. New depot or stops re-derive the
+// distance and base time from the route's coordinates after the update, unless it sets them.
+const deriveRouteUpdate = (stored, update) => {
+  if (update.depot === undefined && update.stops === undefined) return update;
+
+  const depot = update.depot !== undefined ? update.depot : stored.depot;
+  const stops = update.stops !== undefined ? update.stops : stored.stops;
+  const { distance, baseTime } = deriveRouteMetrics({ ...update, depot, stops });
+
+  return hasGeometry({ depot, stops }) ? { ...update, distance, baseTime } : update;
+};
+
+// Road distances (km) and travel times (minutes) between every pair of locations
+const buildDistanceMatrix = (locations) => {
+  const distancesKm = locations.map(from => locations.map(to => round(roadDistanceKm(from, to))));
+  const durationsMinutes = distancesKm.map(row => row.map(distance => Math.round(estimateTravelMinutes(distance))));
+
+  return { distancesKm, durationsMinutes };
+};
+
+// GeoJSON coordinates are [longitude, latitude]
+const toPosition = (point) => [point.lng, point.lat];
+
+// A FeatureCollection with the route's path as a LineString and its depot and stops as Points
+const routeToGeoJSON = (route) => {
+  const points = getRoutePoints(route);
+
+  const path = {
+    type: 'Feature',
+    geometry: { type: 'LineString', coordinates: points.map(toPosition) },
+    properties: {
+      routeId: route.routeId,
+      distance: route.distance,
+      baseTime: route.baseTime,
+      trafficLevel: route.trafficLevel,
+      zone: route.zone
+    }
+  };
+
+  const markers = points.map((point, index) => ({
+    type: 'Feature',
+    geometry: { type: 'Point', coordinates: toPosition(point) },
+    properties: {
+      routeId: route.routeId,
+      role: index === 0 ? 'depot' : 'stop',
+      sequence: index,
+      name: point.name
+    }
+  }));
+
+  return { type: 'FeatureCollection', features: [path, ...markers] };
+};
+
+module.exports = {
+  ROAD_FACTOR,
+  AVERAGE_SPEED_KMH,
+  haversineKm,
+  roadDistanceKm,
+  getRoutePoints,
+  hasGeometry,
+  measureRoute,
+  deriveRouteMetrics,
+  deriveRouteUpdate,
+  buildDistanceMatrix,
+  routeToGeoJSON
+};
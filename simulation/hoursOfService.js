@@ -0,0 +1,83 @@
+// simulation/hoursOfService.js
+// Derives driver hours and fatigue from the DriverShift log. Windows are rolling:
+// "daily" is the last 24 hours and "weekly" the last 7 days before `now`.
+const { DEFAULT_RULES } = require('./rules');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+const roundHours = (hours) => Math.round(hours * 100) / 100;
+
+// Hours of a shift that fall inside [windowStart, windowEnd); open shifts run until `now`
+const getShiftHoursInWindow = (shift, windowStart, windowEnd, now) => {
+  const start = new Date(shift.start).getTime();
+  const end = shift.end ? new Date(shift.end).getTime() : now.getTime();
+  const overlap = Math.min(end, windowEnd.getTime()) - Math.max(start, windowStart.getTime());
+
+  return overlap > 0 ? overlap / HOUR_MS : 0;
+};
+
+const sumShiftHours = (shifts, windowStart, windowEnd, now) => {
+  return shifts.reduce((total, shift) => total + getShiftHoursInWindow(shift, windowStart, windowEnd, now), 0);
+};
+
+const summarizeDriverHours = (shifts, { now = new Date(), rules = DEFAULT_RULES } = {}) => {
+  const dailyHours = sumShiftHours(shifts, new Date(now.getTime() - DAY_MS), now, now);
+  const weeklyHours = sumShiftHours(shifts, new Date(now.getTime() - 7 * DAY_MS), now, now);
+
+  return {
+    currentShiftHours: roundHours(dailyHours),
+    past7DayWorkHours: roundHours(weeklyHours),
+    isFatigued: dailyHours > rules.fatigueThresholdHours,
+    onShift: shifts.some(shift => !shift.end)
+  };
+};
+
+// Compliant, at risk (90% of a limit used) or in violation of the hours-of-service limits
+const getComplianceStatus = (hours, rules = DEFAULT_RULES) => {
+  const remainingDailyHours = roundHours(rules.dailyHoursLimit - hours.currentShiftHours);
+  const remainingWeeklyHours = roundHours(rules.weeklyHoursLimit - hours.past7DayWorkHours);
+  const violations = [];
+
+  if (remainingDailyHours < 0) {
+    violations.push(`Worked ${hours.currentShiftHours}h in the last 24h, limit is ${rules.dailyHoursLimit}h`);
+  }
+  if (remainingWeeklyHours < 0) {
+    violations.push(`Worked ${hours.past7DayWorkHours}h in the last 7 days, limit is ${rules.weeklyHoursLimit}h`);
+  }
+
+  let status = 'compliant';
+  if (violations.length > 0) {
+    status = 'violation';
+  } else if (hours.currentShiftHours >= rules.dailyHoursLimit * 0.9 ||
+             hours.past7DayWorkHours >= rules.weeklyHoursLimit * 0.9) {
+    status = 'at-risk';
+  }
+
+  return { status, remainingDailyHours, remainingWeeklyHours, violations };
+};
+
+// Hours worked per UTC calendar day over the last `days` days, oldest first
+const buildDailyHours = (shifts, { now = new Date(), days = 7 } = {}) => {
+  const todayStart = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate());
+  const history = [];
+
+  for (let offset = days - 1; offset >= 0; offset--) {
+    const dayStart = new Date(todayStart - offset * DAY_MS);
+    const dayEnd = new Date(dayStart.getTime() + DAY_MS);
+
+    history.push({
+      date: dayStart.toISOString().slice(0, 10),
+      hours: roundHours(sumShiftHours(shifts, dayStart, dayEnd, now))
+    });
+  }
+
+  return history;
+};
+
+module.exports = {
+  getShiftHoursInWindow,
+  summarizeDriverHours,
+  getComplianceStatus,
+  buildDailyHours
+};
@@ -0,0 +1,198 @@
+// simulation/jobs.js
+// Simulation jobs: a queue kept in Mongo, worked through by a dispatcher inside the server
+// process, with each simulation run in a child process so it never blocks request handling.
+// No outside broker is needed; several server instances can share the same queue.
+const path = require('path');
+const { fork } = require('child_process');
+
+const JOB_STATUSES = ['queued', 'running', 'completed', 'failed', 'cancelled'];
+const FINISHED_STATUSES = ['completed', 'failed', 'cancelled'];
+
+const WORKER_PATH = path.join(__dirname, 'worker.js');
+
+class JobCancelledError extends Error {
+  constructor() {
+    super('Job was cancelled');
+    this.name = 'JobCancelledError';
+  }
+}
+
+// Run the engine in a child process. Returns the result promise and a cancel function
+// that kills the child and rejects the promise with a JobCancelledError.
+const runInWorker = (payload, { onProgress } = {}) => {
+  // Messages go as JSON: ids become strings and dates ISO strings, which the engine accepts
+  const child = fork(WORKER_PATH);
+  let settled = false;
+  let cancel;
+
+  const promise = new Promise((resolve, reject) => {
+    const finish = (callback, value) => {
+      if (settled) return;
+      settled = true;
+      callback(value);
+    };
+
+    cancel = () => {
+      child.kill();
+      finish(reject, new JobCancelledError());
+    };
+
+    child.on('message', (message) => {
+      if (message.type === 'progress' && onProgress) {
+        onProgress(message.percent);
+      } else if (message.type === 'result') {
+        finish(resolve, message.simulation);
+      } else if (message.type === 'error') {
+        finish(reject, new Error(message.message));
+      }
+    });
+    child.on('error', (error) => finish(reject, error));
+    child.on('exit', (code) => finish(reject, new Error(`Simulation worker exited with code ${code}`)));
+
+    child.send(payload);
+  });
+
+  return { promise, cancel };
+};
+
+// Dispatcher for a Mongo-backed job model with status, progress, cancelRequested, heartbeatAt,
+// startedAt, finishedAt, error and simulation fields.
+//   loadPayload(job)               - the { drivers, routes, orders, settings } to simulate
+//   saveResult(job, simulation, { loadedAt })
+//                                  - stores the result, returns its id; throw to fail the job.
+//                                    loadedAt is when loadPayload started reading the data.
+// At most `concurrency` jobs run at once across every instance sharing the queue. Running jobs
+// whose heartbeat is older than staleAfterMs belonged to an instance that stopped and are failed.
+// stop() hands this instance's running jobs back to the queue, so nothing is left behind.
+const createJobQueue = ({
+  Job,
+  loadPayload,
+  saveResult,
+  concurrency = 2,
+  pollIntervalMs = 1000,
+  staleAfterMs = 60000
+}) => {
+  const running = new Map();
+  const activeRuns = new Set();
+  let timer = null;
+  let ticking = false;
+  let stopping = false;
+
+  const runJob = async (job) => {
+    const jobId = String(job._id);
+
+    try {
+      const loadedAt = new Date();
+      const payload = await loadPayload(job);
+      if (stopping) throw new JobCancelledError();
+
+      const worker = runInWorker(payload, {
+        onProgress: (percent) => {
+          Job.updateOne({ _id: job._id, status: 'running' }, { $set: { progress: percent, heartbeatAt: new Date() } })
+            .catch(error => console.error('Simulation job progress error:', error));
+        }
+      });
+      running.set(jobId, worker);
+
+      const simulation = await worker.promise;
+      const simulationId = await saveResult(job, simulation, { loadedAt });
+      await Job.updateOne({ _id: job._id, status: 'running' }, {
+        $set: { status: 'completed', progress: 100, simulation: simulationId, finishedAt: new Date() }
+      });
+    } catch (error) {
+      const cancelled = error instanceof JobCancelledError;
+      // A job stopped with the queue rather than by its user runs again from the start
+      const update = cancelled && stopping
+        ? { status: 'queued', progress: 0 }
+        : { status: cancelled ? 'cancelled' : 'failed', error: cancelled ? undefined : error.message, finishedAt: new Date() };
+      await Job.updateOne({ _id: job._id, status: 'running' }, { $set: update })
+        .catch(updateError => console.error('Simulation job update error:', updateError));
+    } finally {
+      running.delete(jobId);
+      if (timer) setImmediate(tick);
+    }
+  };
+
+  const tick = async () => {
+    if (ticking) return;
+    ticking = true;
+
+    try {
+      const now = new Date();
+      const localIds = Array.from(running.keys());
+
+      // Keep our own jobs alive and stop any whose cancellation was requested
+      if (localIds.length > 0) {
+        await Job.updateMany({ _id: { $in: localIds }, status: 'running' }, { $set: { heartbeatAt: now } });
+        const cancelled = await Job.find({ _id: { $in: localIds }, cancelRequested: true }).select('_id').lean();
+        cancelled.forEach(job => {
+          const worker = running.get(String(job._id));
+          if (worker) worker.cancel();
+        });
+      }
+
+      await Job.updateMany(
+        { status: 'running', _id: { $nin: localIds }, heartbeatAt: { $lt: new Date(now.getTime() - staleAfterMs) } },
+        { $set: { status: 'failed', error: 'Simulation worker stopped responding', finishedAt: now } }
+      );
+
+      while (timer && running.size < concurrency) {
+        const runningCount = await Job.countDocuments({ status: 'running' });
+        if (runningCount >= concurrency) break;
+
+        const job = await Job.findOneAndUpdate(
+          { status: 'queued' },
+          { $set: { status: 'running', progress: 0, startedAt: now, heartbeatAt: now } },
+          { sort: { createdAt: 1 }, new: true }
+        );
+        if (!job) break;
+        if (!timer) {
+          // Stopped while claiming it
+          await Job.updateOne({ _id: job._id, status: 'running' }, { $set: { status: 'queued', progress: 0 } });
+          break;
+        }
+
+        // Hold the slot until the worker is registered
+        running.set(String(job._id), { cancel: () => {} });
+        const run = runJob(job);
+        activeRuns.add(run);
+        run.finally(() => activeRuns.delete(run));
+      }
+    } catch (error) {
+      console.error('Simulation queue error:', error);
+    } finally {
+      ticking = false;
+    }
+  };
+
+  return {
+    start: () => {
+      if (timer) return;
+      timer = setInterval(tick, pollIntervalMs);
+      timer.unref();
+      tick();
+    },
+    // Stop taking new jobs and kill the workers of running ones, which go back to the queue.
+    // Resolves once every job has been handed back.
+    stop: async () => {
+      clearInterval(timer);
+      timer = null;
+      stopping = true;
+      running.forEach(worker => worker.cancel());
+      await Promise.all(activeRuns);
+      stopping = false;
+    },
+    // Check the queue now instead of at the next poll, e.g. right after a job is submitted
+    poke: () => {
+      if (timer) setImmediate(tick);
+    }
+  };
+};
+
+module.exports = {
+  JOB_STATUSES,
+  FINISHED_STATUSES,
+  JobCancelledError,
+  runInWorker,
+  createJobQueue
+};
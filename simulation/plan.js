@@ -0,0 +1,79 @@
+// simulation/plan.js
+// Applying a saved simulation as the real plan: which orders go to which driver, the shift
+// hours each driver is planned for, and the checks that refuse a plan gone out of date.
+const PLAN_STATUSES = ['applied', 'reverted'];
+
+class PlanConflictError extends Error {
+  constructor(message, conflicts = []) {
+    super(message);
+    this.name = 'PlanConflictError';
+    this.conflicts = conflicts;
+  }
+}
+
+// Orders the simulation gave a driver, as { orderId, driver }
+const getPlanAssignments = (simulation) => (simulation.orderBreakdown || [])
+  .filter(order => order.assignedDriver)
+  .map(order => ({ orderId: order.orderId, driver: order.assignedDriver }));
+
+// Each scheduled driver's hours for the day, including hours worked before the simulation
+const getPlannedShiftHours = (simulation) => (simulation.driverBreakdown || [])
+  .filter(driver => driver.driverId)
+  .map(driver => ({ driver: driver.driverId, plannedShiftHours: driver.hoursWorked }));
+
+// When the simulation read its orders. Results saved before that was recorded fall back to
+// when they were saved.
+const getDataLoadedAt = (simulation) => simulation.dataLoadedAt || simulation.timestamp;
+
+// Orders that can no longer take the simulated assignment, as [{ orderId, reason }]. An order
+// must still exist, be unassigned ('created') and be unchanged since the simulation read it at
+// dataLoadedAt. Orders saved before updatedAt was tracked count as unchanged.
+const findPlanConflicts = (assignments, orders, dataLoadedAt) => {
+  const ordersById = new Map(orders.map(order => [order.orderId, order]));
+  const loadedMs = new Date(dataLoadedAt).getTime();
+  const conflicts = [];
+
+  assignments.forEach(({ orderId }) => {
+    const order = ordersById.get(orderId);
+    const status = (order && order.status) || 'created';
+
+    if (!order) {
+      conflicts.push({ orderId, reason: 'Order no longer exists' });
+    } else if (status !== 'created') {
+      conflicts.push({ orderId, reason: `Order is already ${status}` });
+    } else if (order.updatedAt && new Date(order.updatedAt).getTime() > loadedMs) {
+      conflicts.push({ orderId, reason: 'Order changed after the simulation read it' });
+    }
+  });
+
+  return conflicts;
+};
+
+// Orders of an applied plan that can no longer be reverted: they must still be assigned to the
+// planned driver
+const findRevertConflicts = (planOrders, orders) => {
+  const ordersById = new Map(orders.map(order => [String(order._id), order]));
+  const conflicts = [];
+
+  planOrders.forEach(({ order: id, orderId, driver }) => {
+    const order = ordersById.get(String(id));
+
+    if (!order) {
+      conflicts.push({ orderId, reason: 'Order no longer exists' });
+    } else if (order.status !== 'assigned' || String(order.assignedDriver) !== String(driver)) {
+      conflicts.push({ orderId, reason: 'Order changed after the plan was applied' });
+    }
+  });
+
+  return conflicts;
+};
+
+module.exports = {
+  PLAN_STATUSES,
+  PlanConflictError,
+  getPlanAssignments,
+  getPlannedShiftHours,
+  getDataLoadedAt,
+  findPlanConflicts,
+  findRevertConflicts
+};
@@ -0,0 +1,261 @@
+// simulation/rules.js
+// Business rules used by the simulation engine. A RuleProfile stores a full or
+// partial set of these; anything it leaves out falls back to the defaults.
+const TRAFFIC_LEVELS = ['Low', 'Medium', 'High'];
+
+const SLA_TIERS = ['express', 'standard', 'economy'];
+
+const FUEL_TYPES = ['diesel', 'cng', 'ev'];
+
+// Rules an SLA tier may override for its own orders
+const TIER_RULE_KEYS = ['latePenalty', 'gracePeriodMinutes', 'highValueThreshold', 'highValueBonusRate'];
+
+const DEFAULT_RULES = {
+  latePenalty: 50, // ₹ per late delivery
+  gracePeriodMinutes: 10, // allowed over route baseTime before a delivery is late
+  highValueThreshold: 1000, // ₹ order value above which the bonus applies
+  highValueBonusRate: 0.1, // share of order value paid as bonus
+  fuelCostPerKm: 5, // ₹/km
+  highTrafficSurchargePerKm: 2, // extra ₹/km on High traffic routes
+  fatigueThresholdHours: 8, // shift hours after which a driver is fatigued
+  fatigueSlowdown: 1.3, // delivery time multiplier for fatigued drivers
+  dailyHoursLimit: 12, // hours-of-service limit over the last 24 hours
+  weeklyHoursLimit: 60, // hours-of-service limit over the last 7 days
+  hoursOfServicePolicy: 'exclude', // 'exclude' drivers who would break a limit, or 'penalize' them
+  hoursOfServicePenalty: 100, // ₹ per delivery that breaks a limit under the 'penalize' policy
+  maxStopsPerTrip: 5, // orders one trip may batch together
+  stopTimeMinutes: 5, // minutes from one stop of a trip to the next
+  carbonCostPerKg: 0, // ₹ per kg of CO2 charged against profit, to weigh emissions against profit
+  // kg of CO2 per km driven, by Driver.fuelType (EV is the grid's share)
+  emissionFactors: { diesel: 0.25, cng: 0.18, ev: 0.08 },
+  // Emissions multiplier per Route.trafficLevel for time spent idling in traffic
+  idleFactors: { Low: 1, Medium: 1.1, High: 1.3 },
+  // Per SLA tier overrides of the penalty and bonus rules above
+  slaTiers: {
+    express: { latePenalty: 150, gracePeriodMinutes: 0, highValueBonusRate: 0.15 },
+    standard: {},
+    economy: { latePenalty: 20, gracePeriodMinutes: 30 }
+  },
+  // Delivery time multiplier per Route.trafficLevel
+  trafficMultipliers: { Low: 1, Medium: 1.1, High: 1.25 },
+  // Extra multipliers when a delivery starts inside an hour band (end is exclusive,
+  // a band whose end is before its start wraps past midnight)
+  timeBands: [
+    { name: 'Morning rush', start: '08:00', end: '10:00', multipliers: { Low: 1, Medium: 1.1, High: 1.3 } },
+    { name: 'Evening rush', start: '17:00', end: '20:00', multipliers: { Low: 1, Medium: 1.1, High: 1.3 } }
+  ]
+};
+
+const TIME_REGEX = /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/;
+
+const HOURS_OF_SERVICE_POLICIES = ['exclude', 'penalize'];
+
+// Per-rule limits, [min, max]
+const RULE_LIMITS = {
+  latePenalty: [0, Infinity],
+  gracePeriodMinutes: [0, Infinity],
+  highValueThreshold: [0, Infinity],
+  highValueBonusRate: [0, 1],
+  fuelCostPerKm: [0, Infinity],
+  highTrafficSurchargePerKm: [0, Infinity],
+  fatigueThresholdHours: [0, 24],
+  fatigueSlowdown: [1, Infinity],
+  dailyHoursLimit: [1, 24],
+  weeklyHoursLimit: [1, 168],
+  hoursOfServicePenalty: [0, Infinity],
+  maxStopsPerTrip: [1, 50],
+  stopTimeMinutes: [0, Infinity],
+  carbonCostPerKg: [0, Infinity]
+};
+
+const validateMultipliers = (multipliers, label) => {
+  if (!multipliers || typeof multipliers !== 'object' || Array.isArray(multipliers)) {
+    return `${label} must be an object keyed by traffic level`;
+  }
+
+  for (const [level, value] of Object.entries(multipliers)) {
+    if (!TRAFFIC_LEVELS.includes(level)) {
+      return `${label} has unknown traffic level: ${level}`;
+    }
+    if (typeof value !== 'number' || !Number.isFinite(value) || value <= 0) {
+      return `${label}.${level} must be a positive number`;
+    }
+  }
+
+  return null;
+};
+
+const validateEmissionFactors = (emissionFactors) => {
+  if (!emissionFactors || typeof emissionFactors !== 'object' || Array.isArray(emissionFactors)) {
+    return 'emissionFactors must be an object keyed by fuel type';
+  }
+
+  for (const [fuelType, value] of Object.entries(emissionFactors)) {
+    if (!FUEL_TYPES.includes(fuelType)) {
+      return `emissionFactors has unknown fuel type: ${fuelType}`;
+    }
+    if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+      return `emissionFactors.${fuelType} must be a number of at least 0`;
+    }
+  }
+
+  return null;
+};
+
+const validateSlaTiers = (slaTiers) => {
+  if (!slaTiers || typeof slaTiers !== 'object' || Array.isArray(slaTiers)) {
+    return 'slaTiers must be an object keyed by SLA tier';
+  }
+
+  for (const [tier, overrides] of Object.entries(slaTiers)) {
+    if (!SLA_TIERS.includes(tier)) {
+      return `slaTiers has unknown tier: ${tier}`;
+    }
+    if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+      return `slaTiers.${tier} must be an object`;
+    }
+
+    for (const [key, value] of Object.entries(overrides)) {
+      if (!TIER_RULE_KEYS.includes(key)) {
+        return `slaTiers.${tier} cannot override ${key}`;
+      }
+
+      const [min, max] = RULE_LIMITS[key];
+      if (typeof value !== 'number' || !Number.isFinite(value) || value < min || value > max) {
+        return max === Infinity
+          ? `slaTiers.${tier}.${key} must be a number of at least ${min}`
+          : `slaTiers.${tier}.${key} must be a number between ${min} and ${max}`;
+      }
+    }
+  }
+
+  return null;
+};
+
+const validateTimeBands = (timeBands) => {
+  if (!Array.isArray(timeBands)) {
+    return 'timeBands must be an array';
+  }
+
+  for (const [index, band] of timeBands.entries()) {
+    if (!band || typeof band !== 'object') {
+      return `timeBands[${index}] must be an object`;
+    }
+    if (!TIME_REGEX.test(band.start) || !TIME_REGEX.test(band.end)) {
+      return `timeBands[${index}] start and end must be in HH:MM format`;
+    }
+
+    const multipliersError = validateMultipliers(band.multipliers, `timeBands[${index}].multipliers`);
+    if (multipliersError) {
+      return multipliersError;
+    }
+  }
+
+  return null;
+};
+
+// Returns an error message, or null when the rules are valid
+const validateRules = (rules) => {
+  if (!rules || typeof rules !== 'object' || Array.isArray(rules)) {
+    return 'Rules must be an object';
+  }
+
+  for (const [key, value] of Object.entries(rules)) {
+    if (key === 'trafficMultipliers') {
+      const multipliersError = validateMultipliers(value, 'trafficMultipliers');
+      if (multipliersError) return multipliersError;
+      continue;
+    }
+
+    if (key === 'idleFactors') {
+      const idleFactorsError = validateMultipliers(value, 'idleFactors');
+      if (idleFactorsError) return idleFactorsError;
+      continue;
+    }
+
+    if (key === 'emissionFactors') {
+      const emissionFactorsError = validateEmissionFactors(value);
+      if (emissionFactorsError) return emissionFactorsError;
+      continue;
+    }
+
+    if (key === 'hoursOfServicePolicy') {
+      if (!HOURS_OF_SERVICE_POLICIES.includes(value)) {
+        return `Rule hoursOfServicePolicy must be one of: ${HOURS_OF_SERVICE_POLICIES.join(', ')}`;
+      }
+      continue;
+    }
+
+    if (key === 'slaTiers') {
+      const slaTiersError = validateSlaTiers(value);
+      if (slaTiersError) return slaTiersError;
+      continue;
+    }
+
+    if (key === 'timeBands') {
+      const timeBandsError = validateTimeBands(value);
+      if (timeBandsError) return timeBandsError;
+      continue;
+    }
+
+    if (!(key in RULE_LIMITS)) {
+      return `Unknown rule: ${key}`;
+    }
+
+    const [min, max] = RULE_LIMITS[key];
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+      return `Rule ${key} must be a number`;
+    }
+    if (value < min || value > max) {
+      return max === Infinity
+        ? `Rule ${key} must be at least ${min}`
+        : `Rule ${key} must be between ${min} and ${max}`;
+    }
+  }
+
+  return null;
+};
+
+// Fill in anything a profile leaves out with the defaults
+const resolveRules = (rules = {}) => {
+  const resolved = { ...DEFAULT_RULES };
+
+  Object.keys(DEFAULT_RULES).forEach(key => {
+    if (rules[key] !== undefined && rules[key] !== null) {
+      resolved[key] = rules[key];
+    }
+  });
+
+  // Multipliers, emission factors and SLA tiers merge per key, time bands replace the defaults as a whole
+  ['trafficMultipliers', 'emissionFactors', 'idleFactors'].forEach(key => {
+    resolved[key] = { ...DEFAULT_RULES[key], ...(rules[key] || {}) };
+  });
+
+  resolved.slaTiers = {};
+  SLA_TIERS.forEach(tier => {
+    resolved.slaTiers[tier] = {
+      ...DEFAULT_RULES.slaTiers[tier],
+      ...((rules.slaTiers && rules.slaTiers[tier]) || {})
+    };
+  });
+
+  return resolved;
+};
+
+// The base rules with an SLA tier's overrides applied; unknown or missing tiers get the base rules
+const getTierRules = (rules, tier) => {
+  const overrides = (rules.slaTiers && rules.slaTiers[tier]) || {};
+  return { ...rules, ...overrides };
+};
+
+module.exports = {
+  TRAFFIC_LEVELS,
+  SLA_TIERS,
+  FUEL_TYPES,
+  HOURS_OF_SERVICE_POLICIES,
+  DEFAULT_RULES,
+  RULE_LIMITS,
+  validateRules,
+  resolveRules,
+  getTierRules
+};
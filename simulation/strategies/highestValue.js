@@ -0,0 +1,12 @@
+// simulation/strategies/highestValue.js
+// Greedily schedule the most valuable orders first, on the driver who is free soonest
+module.exports = {
+  name: 'highest-value',
+  description: 'Schedule the highest value orders first',
+  prioritize: (orders) => {
+    return [...orders].sort((a, b) => b.valueRs - a.valueRs);
+  },
+  rankDrivers: (schedules) => {
+    return [...schedules].sort((a, b) => a.clock - b.clock || a.index - b.index);
+  }
+};
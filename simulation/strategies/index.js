@@ -0,0 +1,50 @@
+// simulation/strategies/index.js
+// Registry of order assignment strategies used by the simulation.
+//
+// A strategy is a plain object:
+//   name        - unique key passed as the `strategy` simulation input
+//   description - short human readable summary
+//   prioritize  - (orders) => orders, the order in which orders are scheduled (optional)
+//   rankDrivers - (schedules, order, state) => schedules, the drivers to try for an order,
+//                 best first. The first one with enough hours left gets the order.
+//                 state holds lastAssignedIndex and the run's resolved rules.
+const roundRobin = require('./roundRobin');
+const leastLoaded = require('./leastLoaded');
+const nearestDeadline = require('./nearestDeadline');
+const highestValue = require('./highestValue');
+const lowestEmissions = require('./lowestEmissions');
+
+const DEFAULT_STRATEGY = roundRobin.name;
+
+const strategies = new Map();
+
+const registerStrategy = (strategy) => {
+  if (!strategy || typeof strategy.name !== 'string' || !strategy.name) {
+    throw new Error('Strategy must have a name');
+  }
+  if (typeof strategy.rankDrivers !== 'function') {
+    throw new Error(`Strategy "${strategy.name}" must implement rankDrivers`);
+  }
+  if (strategy.prioritize && typeof strategy.prioritize !== 'function') {
+    throw new Error(`Strategy "${strategy.name}" prioritize must be a function`);
+  }
+
+  strategies.set(strategy.name, strategy);
+  return strategy;
+};
+
+const getStrategy = (name) => strategies.get(name);
+
+const listStrategies = () => Array.from(strategies.values()).map(strategy => ({
+  name: strategy.name,
+  description: strategy.description || ''
+}));
+
+[roundRobin, leastLoaded, nearestDeadline, highestValue, lowestEmissions].forEach(registerStrategy);
+
+module.exports = {
+  DEFAULT_STRATEGY,
+  registerStrategy,
+  getStrategy,
+  listStrategies
+};
@@ -0,0 +1,11 @@
+// simulation/strategies/leastLoaded.js
+// Give each order to the driver with the fewest hours worked so far
+module.exports = {
+  name: 'least-loaded',
+  description: 'Give each order to the driver with the fewest hours worked',
+  rankDrivers: (schedules) => {
+    return [...schedules].sort((a, b) =>
+      a.workedMinutes - b.workedMinutes || a.index - b.index
+    );
+  }
+};
@@ -0,0 +1,20 @@
+// simulation/strategies/lowestEmissions.js
+// Give each order to the driver whose vehicle emits the least CO2 per km, EVs first,
+// then to whoever is free soonest. Drivers without a fuel type count as diesel.
+const getEmissionFactor = (schedule, rules) => {
+  const emissionFactors = rules.emissionFactors || {};
+  const factor = emissionFactors[schedule.driver.fuelType];
+  return factor !== undefined ? factor : emissionFactors.diesel || 0;
+};
+
+module.exports = {
+  name: 'lowest-emissions',
+  description: 'Give each order to the lowest-emission vehicle available',
+  rankDrivers: (schedules, order, state) => {
+    return [...schedules].sort((a, b) =>
+      getEmissionFactor(a, state.rules) - getEmissionFactor(b, state.rules) ||
+      a.clock - b.clock ||
+      a.index - b.index
+    );
+  }
+};
@@ -0,0 +1,15 @@
+// simulation/strategies/nearestDeadline.js
+// Schedule orders with the earliest deadline first, on the driver who is free soonest.
+// The deadline is the end of the order's delivery window, or its deliveryTimestamp.
+const getDeadline = (order) => new Date(order.deliveryWindowEnd || order.deliveryTimestamp);
+
+module.exports = {
+  name: 'nearest-deadline',
+  description: 'Schedule orders with the earliest delivery deadline first',
+  prioritize: (orders) => {
+    return [...orders].sort((a, b) => getDeadline(a) - getDeadline(b));
+  },
+  rankDrivers: (schedules) => {
+    return [...schedules].sort((a, b) => a.clock - b.clock || a.index - b.index);
+  }
+};
@@ -0,0 +1,10 @@
+// simulation/strategies/roundRobin.js
+// Deal orders to drivers in turn, continuing after the last driver that got one
+module.exports = {
+  name: 'round-robin',
+  description: 'Deal orders to drivers in turn',
+  rankDrivers: (schedules, order, state) => {
+    const start = state.lastAssignedIndex + 1;
+    return schedules.map((_, offset) => schedules[(start + offset) % schedules.length]);
+  }
+};
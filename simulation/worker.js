@@ -0,0 +1,25 @@
+// simulation/worker.js
+// Child process entry point for simulation jobs. Receives { drivers, routes, orders, settings }
+// from the parent, runs the engine, and reports progress (whole percents) and the result back.
+const { runSimulation } = require('./engine');
+
+process.on('message', (payload) => {
+  let lastPercent = -1;
+
+  try {
+    const simulation = runSimulation({
+      ...payload,
+      onProgress: (done, total) => {
+        const percent = Math.floor((done / total) * 100);
+        if (percent !== lastPercent) {
+          lastPercent = percent;
+          process.send({ type: 'progress', percent });
+        }
+      }
+    });
+
+    process.send({ type: 'result', simulation }, () => process.exit(0));
+  } catch (error) {
+    process.send({ type: 'error', message: error.message }, () => process.exit(1));
+  }
+});
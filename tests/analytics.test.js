@@ -0,0 +1,67 @@
+// tests/analytics.test.js
+const { KPI_QUERY_SCHEMA, parseKpiQuery, buildKpiPipeline } = require('../reports/analytics');
+const { validateSchema } = require('../utils/validation');
+
+const now = new Date('2025-03-31T12:00:00.000Z');
+
+describe('KPI Analytics', () => {
+  test('should default to daily buckets over the last 30 days', () => {
+    const { options } = parseKpiQuery({}, now);
+
+    expect(options.interval).toBe('day');
+    expect(options.rankBy).toBe('totalProfit');
+    expect(options.movingAverageWindow).toBe(3);
+    expect(options.to).toEqual(now);
+    expect(options.from).toEqual(new Date('2025-03-01T12:00:00.000Z'));
+    expect(options.filters).toEqual({});
+  });
+
+  test('should include the whole day of a date-only to', () => {
+    const { options } = parseKpiQuery({ from: '2025-03-01', to: '2025-03-07' }, now);
+
+    expect(options.from).toEqual(new Date('2025-03-01T00:00:00.000Z'));
+    expect(options.to).toEqual(new Date('2025-03-08T00:00:00.000Z'));
+  });
+
+  test('should parse input filters', () => {
+    const { options } = parseKpiQuery({ availableDrivers: '5', startTime: '09:00', strategy: 'least-loaded' }, now);
+
+    expect(options.filters).toEqual({ availableDrivers: 5, startTime: '09:00', strategy: 'least-loaded' });
+  });
+
+  test('should reject invalid parameters', () => {
+    const problems = (query) => validateSchema(query, KPI_QUERY_SCHEMA, { location: 'query' });
+
+    expect(problems({ interval: 'hour' })[0].message).toContain('interval must be one of');
+    expect(problems({ from: 'soon' })[0]).toMatchObject({ field: 'from', code: 'INVALID_FORMAT' });
+    expect(problems({ availableDrivers: 'many' })[0].message).toBe('availableDrivers must be a number');
+    expect(problems({ movingAverageWindow: '0' })[0].message).toContain('movingAverageWindow');
+    expect(problems({ rankBy: 'fuelCost' })[0].message).toContain('rankBy must be one of');
+    expect(problems({ maxHoursPerDay: 'long' })[0].field).toBe('maxHoursPerDay');
+    expect(problems({ startTime: '9am' })[0].message).toBe('Start time must be in HH:MM format');
+    expect(problems({ interval: 'week', from: '2025-03-01', movingAverageWindow: '4' })).toEqual([]);
+    expect(parseKpiQuery({ from: '2025-03-10', to: '2025-03-01' }, now).error).toBe('from must be before to');
+  });
+
+  test('should match the range and filters, then rank runs before grouping', () => {
+    const { options } = parseKpiQuery({ from: '2025-03-01', to: '2025-03-07', availableDrivers: '5' }, now);
+    const [match, sort] = buildKpiPipeline(options);
+
+    expect(match.$match).toEqual({
+      timestamp: { $gte: options.from, $lt: options.to },
+      'inputs.availableDrivers': 5
+    });
+    expect(sort.$sort).toEqual({ 'results.totalProfit': -1, timestamp: -1 });
+  });
+
+  test('should bucket by the interval with a trailing moving average window', () => {
+    const { options } = parseKpiQuery({ interval: 'week', movingAverageWindow: '4' }, now);
+    const { periods, overall } = buildKpiPipeline(options)[2].$facet;
+
+    expect(periods[0].$group._id).toEqual({ $dateTrunc: { date: '$timestamp', unit: 'week', startOfWeek: 'monday' } });
+    expect(periods[0].$group.bestRun.$first).toHaveProperty('totalProfit', '$results.totalProfit');
+    expect(periods[0].$group.worstRun.$last).toHaveProperty('totalProfit', '$results.totalProfit');
+    expect(periods[2].$setWindowFields.output.movingAverageProfit.window).toEqual({ documents: [-3, 0] });
+    expect(overall[0].$group._id).toBeNull();
+  });
+});
@@ -0,0 +1,42 @@
+// tests/audit.test.js
+const mongoose = require('mongoose');
+const { getRestoreKind, toAuditValue, getChangedFields } = require('../audit/log');
+
+describe('Audit Log', () => {
+  test('should store documents as plain objects with references as ids', () => {
+    const Owner = new mongoose.Schema({ name: String });
+    const Item = new mongoose.Schema({ name: String, owner: { type: mongoose.Schema.Types.ObjectId, ref: 'AuditOwner' } });
+    const OwnerModel = mongoose.model('AuditOwner', Owner);
+    const ItemModel = mongoose.model('AuditItem', Item);
+
+    const owner = new OwnerModel({ name: 'Priya Singh' });
+    const item = new ItemModel({ name: 'ORD001', owner: owner._id });
+    item.owner = owner;
+
+    const value = toAuditValue(item);
+
+    expect(value).not.toBeInstanceOf(mongoose.Document);
+    expect(String(value.owner)).toBe(String(owner._id));
+    expect(toAuditValue({ name: 'plain' })).toEqual({ name: 'plain' });
+    expect(toAuditValue(null)).toBeUndefined();
+  });
+
+  test('should know how each kind of entry is restored', () => {
+    const before = { _id: 'o1', orderId: 'ORD001' };
+
+    expect(getRestoreKind({ action: 'delete', entity: 'order', before })).toBe('recreate');
+    expect(getRestoreKind({ action: 'update', entity: 'shift', before })).toBe('revert');
+    expect(getRestoreKind({ action: 'reset', entity: 'data', details: { createdIds: { drivers: [] } } })).toBe('reset');
+    expect(getRestoreKind({ action: 'reset', entity: 'data', details: { deleted: { drivers: 5 } } })).toBeNull();
+    expect(getRestoreKind({ action: 'create', entity: 'order', after: before })).toBeNull();
+    expect(getRestoreKind({ action: 'delete', entity: 'ruleProfile', before })).toBeNull();
+  });
+
+  test('should list the fields an update changed', () => {
+    const before = { _id: 'a1', __v: 0, name: 'Raj Kumar', currentShiftHours: 6, clearedZones: ['North'], updatedAt: 1 };
+    const after = { _id: 'a1', __v: 0, name: 'Raj Kumar', currentShiftHours: 8, clearedZones: ['North', 'East'], fuelType: 'ev', updatedAt: 2 };
+
+    expect(getChangedFields(before, after)).toEqual(['clearedZones', 'currentShiftHours', 'fuelType']);
+    expect(getChangedFields(before, before)).toEqual([]);
+  });
+});
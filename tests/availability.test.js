@@ -0,0 +1,63 @@
+// tests/availability.test.js
+const {
+  getDayOfWeek,
+  getDriverAvailability,
+  selectAvailableDrivers,
+  getAssignmentBlocker
+} = require('../simulation/availability');
+
+const weekdayDriver = {
+  _id: 'd1',
+  name: 'Priya Singh',
+  availability: [
+    { day: 'mon', start: '08:00', end: '16:00' },
+    { day: 'tue', start: '22:00', end: '06:00' }
+  ],
+  leave: [{ start: new Date('2025-01-15T00:00:00Z'), end: new Date('2025-01-17T00:00:00Z') }]
+};
+
+describe('Driver Availability', () => {
+  test('should work out the day of week from the date', () => {
+    expect(getDayOfWeek('2025-01-13')).toBe('mon');
+    expect(getDayOfWeek('2025-01-19')).toBe('sun');
+  });
+
+  test('should only be available inside a window', () => {
+    expect(getDriverAvailability(weekdayDriver, '2025-01-13', '09:00')).toEqual({ available: true, availableUntil: 960 });
+    expect(getDriverAvailability(weekdayDriver, '2025-01-13', '17:00').reason).toBe('Not available at 17:00 on mon');
+  });
+
+  test('should handle overnight windows on both days', () => {
+    // Tuesday 23:00 runs until 06:00 on Wednesday
+    expect(getDriverAvailability(weekdayDriver, '2025-01-14', '23:00').availableUntil).toBe(1800);
+    expect(getDriverAvailability(weekdayDriver, '2025-01-15', '02:00').reason).toContain('On leave');
+    expect(getDriverAvailability({ ...weekdayDriver, leave: [] }, '2025-01-15', '02:00').availableUntil).toBe(360);
+  });
+
+  test('should treat drivers without windows as always available', () => {
+    expect(getDriverAvailability({ name: 'Raj Kumar' }, '2025-01-13', '03:00').available).toBe(true);
+  });
+
+  test('should pick the first available drivers and explain the skipped ones', () => {
+    const drivers = [weekdayDriver, { _id: 'd2', name: 'Raj Kumar' }, { _id: 'd3', name: 'Neha Gupta' }];
+    const { selected, skippedDrivers } = selectAvailableDrivers(drivers, {
+      date: '2025-01-13',
+      startTime: '18:00',
+      count: 2
+    });
+
+    expect(selected.map(({ driver }) => driver._id)).toEqual(['d2', 'd3']);
+    expect(skippedDrivers).toEqual([{ driverId: 'd1', name: 'Priya Singh', reason: 'Not available at 18:00 on mon' }]);
+  });
+
+  test('should block orders a driver is not cleared or equipped for', () => {
+    const route = { routeId: 'RT002', zone: 'North', allowedVehicleTypes: ['van', 'truck'] };
+    const vanDriver = { vehicleType: 'van', vehicleCapacityKg: 500, clearedZones: ['North'] };
+
+    expect(getAssignmentBlocker(vanDriver, { weightKg: 100 }, route)).toBeNull();
+    expect(getAssignmentBlocker(vanDriver, { weightKg: 800 }, route)).toContain('exceeds vehicle capacity');
+    expect(getAssignmentBlocker({ ...vanDriver, vehicleType: 'bike' }, {}, route)).toContain('vehicle type bike');
+    expect(getAssignmentBlocker({ ...vanDriver, clearedZones: ['South'] }, {}, route)).toBe('Not cleared for zone North');
+    expect(getAssignmentBlocker({ ...vanDriver, clearedRoutes: ['RT001'] }, {}, route)).toBe('Not cleared for route RT002');
+  });
+});
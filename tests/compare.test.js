@@ -0,0 +1,34 @@
+// tests/compare.test.js
+const { diffResults, compareScenarios } = require('../simulation/compare');
+
+describe('Scenario Comparison', () => {
+  const baseline = { totalProfit: 4000, efficiencyScore: 80, fuelCost: 500, penalties: 100 };
+  const moreDrivers = { totalProfit: 5000, efficiencyScore: 100, fuelCost: 500, penalties: 0 };
+
+  test('should diff each metric against the baseline', () => {
+    const diff = diffResults(moreDrivers, baseline);
+
+    expect(diff.totalProfit).toEqual({ value: 5000, baseline: 4000, difference: 1000, percentChange: 25 });
+    expect(diff.efficiencyScore.difference).toBe(20);
+    expect(diff.fuelCost.difference).toBe(0);
+    expect(diff.penalties.percentChange).toBe(-100);
+  });
+
+  test('should leave percent change empty when the baseline is zero', () => {
+    const diff = diffResults(baseline, moreDrivers);
+
+    expect(diff.penalties.difference).toBe(100);
+    expect(diff.penalties.percentChange).toBeNull();
+  });
+
+  test('should mark the chosen baseline scenario', () => {
+    const compared = compareScenarios([
+      { name: '3 drivers', results: baseline },
+      { name: '5 drivers', results: moreDrivers }
+    ], 1);
+
+    expect(compared.map(scenario => scenario.isBaseline)).toEqual([false, true]);
+    expect(compared[1].diff.totalProfit.difference).toBe(0);
+    expect(compared[0].diff.totalProfit.difference).toBe(-1000);
+  });
+});
@@ -0,0 +1,40 @@
+// tests/csv.test.js
+const { parseCsv, parseCsvRows, toCsv } = require('../utils/csv');
+
+describe('CSV Utilities', () => {
+  test('should parse rows into objects keyed by the header', () => {
+    const records = parseCsv('routeId,distance,trafficLevel,baseTime\nRT001,15,Low,45\r\nRT002,25,High,80\n');
+
+    expect(records).toEqual([
+      { routeId: 'RT001', distance: '15', trafficLevel: 'Low', baseTime: '45' },
+      { routeId: 'RT002', distance: '25', trafficLevel: 'High', baseTime: '80' }
+    ]);
+  });
+
+  test('should handle quoted fields, escaped quotes and blank lines', () => {
+    const rows = parseCsvRows('name,notes\n"Kumar, Raj","said ""hi""\nthen left"\n\n');
+
+    expect(rows).toEqual([
+      ['name', 'notes'],
+      ['Kumar, Raj', 'said "hi"\nthen left']
+    ]);
+  });
+
+  test('should fill missing trailing cells with empty strings', () => {
+    expect(parseCsv('name,currentShiftHours\nPriya Singh')).toEqual([
+      { name: 'Priya Singh', currentShiftHours: '' }
+    ]);
+  });
+
+  test('should reject unterminated quotes', () => {
+    expect(() => parseCsv('name\n"Priya')).toThrow('Unterminated');
+  });
+
+  test('should format records and round-trip through the parser', () => {
+    const records = [{ orderId: 'ORD001', note: 'fragile, "glass"', valueRs: 1200 }];
+    const csv = toCsv(records);
+
+    expect(csv).toBe('orderId,note,valueRs\r\nORD001,"fragile, ""glass""",1200\r\n');
+    expect(parseCsv(csv)).toEqual([{ orderId: 'ORD001', note: 'fragile, "glass"', valueRs: '1200' }]);
+  });
+});
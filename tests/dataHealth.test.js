@@ -0,0 +1,44 @@
+// tests/dataHealth.test.js
+const { buildDataHealthChecks, summarizeDataHealth } = require('../reports/dataHealth');
+
+const collections = { routes: 'routes', drivers: 'drivers' };
+
+describe('Data Health', () => {
+  test('should look up order references in the given collections', () => {
+    const checks = buildDataHealthChecks(collections);
+    const unknownRoute = checks.find(check => check.name === 'ordersWithUnknownRoute');
+    const missingDriver = checks.find(check => check.name === 'ordersWithMissingDriver');
+
+    expect(unknownRoute.model).toBe('order');
+    expect(unknownRoute.pipeline[1].$lookup).toMatchObject({ from: 'routes', localField: 'assignedRoute', foreignField: 'routeId' });
+    expect(unknownRoute.pipeline[2].$match).toEqual({ reference: { $size: 0 } });
+    expect(missingDriver.pipeline[1].$lookup).toMatchObject({ from: 'drivers', localField: 'assignedDriver', foreignField: '_id' });
+  });
+
+  test('should cap the records each check returns', () => {
+    const checks = buildDataHealthChecks(collections, 5);
+
+    checks.forEach(check => {
+      const { $facet } = check.pipeline[check.pipeline.length - 1];
+      expect($facet.records).toEqual([{ $limit: 5 }]);
+    });
+  });
+
+  test('should report counts and whether every check passed', () => {
+    const checks = buildDataHealthChecks(collections).slice(0, 2);
+
+    expect(summarizeDataHealth(checks, [
+      [{ total: [], records: [] }],
+      [{ total: [], records: [] }]
+    ]).healthy).toBe(true);
+
+    const report = summarizeDataHealth(checks, [
+      [{ total: [{ count: 2 }], records: [{ orderId: 'ORD009' }, { orderId: 'ORD010' }] }],
+      [{ total: [], records: [] }]
+    ]);
+
+    expect(report.healthy).toBe(false);
+    expect(report.checks[0]).toMatchObject({ name: 'ordersWithUnknownRoute', count: 2 });
+    expect(report.checks[1].count).toBe(0);
+  });
+});
@@ -0,0 +1,502 @@
+// tests/engine.test.js
+const {
+  getTrafficMultiplier,
+  calculateDeliveryTime,
+  calculateFuelCost,
+  calculateEmissions,
+  calculateOrderOutcome,
+  parseTimeToMinutes,
+  formatMinutesAsTime,
+  runSimulation
+} = require('../simulation/engine');
+const { DEFAULT_RULES, validateRules, resolveRules } = require('../simulation/rules');
+
+const routes = [
+  { routeId: 'RT001', distance: 15, trafficLevel: 'Low', baseTime: 45 },
+  { routeId: 'RT002', distance: 25, trafficLevel: 'High', baseTime: 80 }
+];
+
+const orders = [
+  { orderId: 'ORD001', valueRs: 1200, assignedRoute: 'RT001', deliveryTimestamp: new Date('2025-01-01T10:00:00Z') },
+  { orderId: 'ORD002', valueRs: 850, assignedRoute: 'RT002', deliveryTimestamp: new Date('2025-01-01T11:00:00Z') },
+  { orderId: 'ORD003', valueRs: 1500, assignedRoute: 'RT001', deliveryTimestamp: new Date('2025-01-01T09:00:00Z') }
+];
+
+const settings = { startTime: '09:00', maxHoursPerDay: 12 };
+
+describe('Simulation Engine', () => {
+  describe('fuel cost', () => {
+    test('should charge ₹5/km on low and medium traffic', () => {
+      expect(calculateFuelCost({ distance: 10, trafficLevel: 'Low' })).toBe(50);
+      expect(calculateFuelCost({ distance: 10, trafficLevel: 'Medium' })).toBe(50);
+    });
+
+    test('should add the ₹2/km surcharge on high traffic', () => {
+      expect(calculateFuelCost({ distance: 10, trafficLevel: 'High' })).toBe(70);
+    });
+  });
+
+  describe('emissions', () => {
+    test('should scale emissions by fuel type and traffic idling', () => {
+      expect(calculateEmissions({ distance: 10, trafficLevel: 'Low' }, { fuelType: 'diesel' })).toBeCloseTo(2.5);
+      expect(calculateEmissions({ distance: 10, trafficLevel: 'Low' }, {})).toBeCloseTo(2.5);
+      expect(calculateEmissions({ distance: 10, trafficLevel: 'High' }, { fuelType: 'ev' })).toBeCloseTo(1.04);
+    });
+
+    test('should report emissions per order, route and simulation and charge the carbon cost', () => {
+      const simulation = runSimulation({
+        drivers: [{ _id: 'd1', name: 'Priya Singh', currentShiftHours: 0, fuelType: 'cng' }],
+        routes,
+        orders: [orders[0], orders[2]],
+        settings: { ...settings, rules: { carbonCostPerKg: 10 } }
+      });
+
+      // One 15 km Low traffic trip at 0.18 kg/km = 2.7 kg, shared by its two stops
+      expect(simulation.results.co2Kg).toBe(2.7);
+      expect(simulation.results.carbonCost).toBe(27);
+      expect(simulation.processedOrders.map(order => order.co2Kg)).toEqual([1.35, 1.35]);
+      expect(simulation.emissionsBreakdown).toEqual([{ routeId: 'RT001', co2Kg: 2.7, deliveries: 2 }]);
+      // 1200 + 120 + 1500 + 150 - 75 fuel - 27 carbon
+      expect(simulation.results.totalProfit).toBe(2868);
+    });
+  });
+
+  describe('fatigue', () => {
+    test('should slow fatigued drivers down by 30%', () => {
+      const route = routes[0];
+
+      expect(calculateDeliveryTime(route, { isFatigued: false }, route.baseTime)).toBe(45);
+      expect(calculateDeliveryTime(route, { isFatigued: true }, route.baseTime)).toBe(59);
+    });
+
+    test('should treat drivers over 8 shift hours as fatigued', () => {
+      const simulation = runSimulation({
+        drivers: [{ _id: 'd1', name: 'Amit Shah', currentShiftHours: 9 }],
+        routes,
+        orders: [orders[0]],
+        settings: { startTime: '09:00', maxHoursPerDay: 12 }
+      });
+
+      expect(simulation.processedOrders[0].actualDeliveryTime).toBe(59);
+      expect(simulation.processedOrders[0].isOnTime).toBe(false);
+    });
+  });
+
+  describe('traffic', () => {
+    const highRoute = routes[1];
+
+    test('should slow deliveries down by traffic level', () => {
+      const driver = { isFatigued: false };
+
+      expect(calculateDeliveryTime(routes[0], driver, 45)).toBe(45);
+      expect(calculateDeliveryTime(highRoute, driver, 80)).toBe(100);
+    });
+
+    test('should make High traffic worse during rush hour', () => {
+      const driver = { isFatigued: false };
+
+      expect(getTrafficMultiplier(highRoute, parseTimeToMinutes('12:00'))).toBe(1.25);
+      expect(getTrafficMultiplier(highRoute, parseTimeToMinutes('08:30'))).toBeCloseTo(1.625);
+      expect(getTrafficMultiplier(highRoute, parseTimeToMinutes('20:00'))).toBe(1.25);
+      expect(calculateDeliveryTime(highRoute, driver, 80, DEFAULT_RULES, parseTimeToMinutes('17:30'))).toBe(130);
+    });
+
+    test('should support configurable bands that wrap past midnight', () => {
+      const rules = resolveRules({
+        trafficMultipliers: { High: 1 },
+        timeBands: [{ start: '22:00', end: '02:00', multipliers: { High: 0.8 } }]
+      });
+
+      expect(getTrafficMultiplier(highRoute, parseTimeToMinutes('23:00'), rules)).toBe(0.8);
+      expect(getTrafficMultiplier(highRoute, parseTimeToMinutes('01:59'), rules)).toBe(0.8);
+      expect(getTrafficMultiplier(highRoute, parseTimeToMinutes('02:00'), rules)).toBe(1);
+    });
+
+    test('should judge lateness against the traffic-adjusted time', () => {
+      const simulation = runSimulation({
+        drivers: [{ _id: 'd1', name: 'Priya Singh', currentShiftHours: 0 }],
+        routes,
+        orders: [orders[1]],
+        settings: { startTime: '12:00', maxHoursPerDay: 12 }
+      });
+
+      // 80 * 1.25 = 100 min, more than 80 + 10
+      expect(simulation.processedOrders[0].actualDeliveryTime).toBe(100);
+      expect(simulation.processedOrders[0].isOnTime).toBe(false);
+    });
+  });
+
+  describe('lateness and bonus', () => {
+    test('should apply the ₹50 penalty past the 10 minute grace window', () => {
+      const route = { baseTime: 30 };
+
+      expect(calculateOrderOutcome({ valueRs: 500 }, route, 40)).toEqual({ isOnTime: true, penalty: 0, bonus: 0 });
+      expect(calculateOrderOutcome({ valueRs: 500 }, route, 41)).toEqual({ isOnTime: false, penalty: 50, bonus: 0 });
+    });
+
+    test('should give a 10% bonus on on-time orders over ₹1000', () => {
+      const route = { baseTime: 30 };
+
+      expect(calculateOrderOutcome({ valueRs: 1200 }, route, 30).bonus).toBe(120);
+      expect(calculateOrderOutcome({ valueRs: 1000 }, route, 30).bonus).toBe(0);
+      expect(calculateOrderOutcome({ valueRs: 1200 }, route, 45).bonus).toBe(0);
+    });
+  });
+
+  describe('delivery windows and SLA tiers', () => {
+    const windowSettings = { startTime: '09:00', maxHoursPerDay: 12, date: '2025-01-01' };
+    const driver = { _id: 'd1', name: 'Priya Singh', currentShiftHours: 0 };
+
+    test('should apply each tier\'s penalty and grace period', () => {
+      const route = { baseTime: 30 };
+
+      expect(calculateOrderOutcome({ valueRs: 500, slaTier: 'express' }, route, 31).penalty).toBe(150);
+      expect(calculateOrderOutcome({ valueRs: 500, slaTier: 'economy' }, route, 60).isOnTime).toBe(true);
+      expect(calculateOrderOutcome({ valueRs: 500, slaTier: 'economy' }, route, 61).penalty).toBe(20);
+      expect(calculateOrderOutcome({ valueRs: 2000, slaTier: 'express' }, route, 30).bonus).toBe(300);
+    });
+
+    test('should judge windowed orders by the scheduled arrival', () => {
+      const order = {
+        ...orders[0],
+        deliveryWindowStart: new Date('2025-01-01T09:00:00Z'),
+        deliveryWindowEnd: new Date('2025-01-01T09:30:00Z')
+      };
+      const simulation = runSimulation({ drivers: [driver], routes, orders: [order], settings: windowSettings });
+
+      // Arrives 09:45, past the 09:30 window end plus the 10 minute grace
+      expect(simulation.processedOrders[0].scheduledEnd).toBe('09:45');
+      expect(simulation.processedOrders[0].isOnTime).toBe(false);
+      expect(simulation.results.penalties).toBe(50);
+    });
+
+    test('should wait for a window to open and count the wait as worked time', () => {
+      const order = {
+        ...orders[0],
+        deliveryWindowStart: new Date('2025-01-01T11:00:00Z'),
+        deliveryWindowEnd: new Date('2025-01-01T12:00:00Z')
+      };
+      const simulation = runSimulation({ drivers: [driver], routes, orders: [order], settings: windowSettings });
+      const processed = simulation.processedOrders[0];
+
+      expect(processed.waitMinutes).toBe(75);
+      expect(processed.scheduledEnd).toBe('11:00');
+      expect(processed.isOnTime).toBe(true);
+      expect(simulation.driverSchedules[0].hoursWorked).toBe(2);
+    });
+
+    test('should place windows using the configured UTC offset', () => {
+      const order = {
+        ...orders[0],
+        deliveryWindowStart: new Date('2025-01-01T03:30:00Z'),
+        deliveryWindowEnd: new Date('2025-01-01T04:30:00Z')
+      };
+      const simulation = runSimulation({
+        drivers: [driver],
+        routes,
+        orders: [order],
+        settings: { ...windowSettings, utcOffsetMinutes: 330 }
+      });
+
+      // 03:30-04:30 UTC is 09:00-10:00 at UTC+05:30
+      expect(simulation.processedOrders[0].waitMinutes).toBe(0);
+      expect(simulation.processedOrders[0].isOnTime).toBe(true);
+    });
+
+    test('should report on-time rates per tier', () => {
+      const tieredOrders = [
+        { ...orders[0], slaTier: 'express' },
+        { ...orders[2], slaTier: 'express' },
+        { ...orders[1], slaTier: 'economy' }
+      ];
+      const simulation = runSimulation({
+        drivers: [driver, { _id: 'd2', name: 'Amit Shah', currentShiftHours: 0 }],
+        routes,
+        orders: tieredOrders,
+        settings: { ...windowSettings, startTime: '12:00' }
+      });
+      const byTier = Object.fromEntries(simulation.tierBreakdown.map(entry => [entry.tier, entry]));
+
+      expect(byTier.express).toMatchObject({ deliveries: 2, onTimeDeliveries: 2, onTimeRate: 100 });
+      // 100 min on an 80 min route is within economy's 30 minute grace
+      expect(byTier.economy).toMatchObject({ deliveries: 1, onTimeDeliveries: 1, penalties: 0 });
+      expect(byTier.standard).toMatchObject({ deliveries: 0, onTimeRate: 0 });
+    });
+  });
+
+  describe('time helpers', () => {
+    test('should convert between HH:MM and minutes', () => {
+      expect(parseTimeToMinutes('09:30')).toBe(570);
+      expect(formatMinutesAsTime(570)).toBe('09:30');
+      expect(formatMinutesAsTime(25 * 60)).toBe('01:00');
+    });
+  });
+
+  describe('runSimulation', () => {
+    const drivers = [
+      { _id: 'd1', name: 'Priya Singh', currentShiftHours: 4 },
+      { _id: 'd2', name: 'Vikram Yadav', currentShiftHours: 5 }
+    ];
+
+    test('should return totals that match the per-order results', () => {
+      const simulation = runSimulation({ drivers, routes, orders, settings });
+      const { results, processedOrders } = simulation;
+
+      // ORD001 and ORD003 share one RT001 trip: 1200 + 120 + 1500 + 150 - 75,
+      // then 850 - 50 - 175 (High traffic in the morning rush)
+      expect(results.totalProfit).toBe(3520);
+      expect(results.fuelCost).toBe(250);
+      expect(results.bonuses).toBe(270);
+      expect(results.penalties).toBe(50);
+      expect(results.onTimeDeliveries).toBe(2);
+      expect(results.totalDeliveries).toBe(3);
+      expect(results.efficiencyScore).toBe(66.67);
+      expect(processedOrders.map(order => order.assignedDriver)).toEqual(['d1', 'd1', 'd2']);
+    });
+
+    test('should place a trip\'s stops back to back from startTime', () => {
+      const simulation = runSimulation({ drivers, routes, orders, settings });
+      const [first] = simulation.driverSchedules;
+
+      // The second stop is 5 minutes after the first
+      expect(first.deliveries.map(delivery => [delivery.start, delivery.end])).toEqual([
+        ['09:00', '09:45'],
+        ['09:45', '09:50']
+      ]);
+    });
+
+    test('should run orders as separate trips when maxStopsPerTrip is 1', () => {
+      const simulation = runSimulation({
+        drivers: [drivers[0]],
+        routes,
+        orders: [orders[0], orders[2]],
+        settings: { ...settings, rules: { maxStopsPerTrip: 1 } }
+      });
+
+      expect(simulation.results.trips).toBe(2);
+      expect(simulation.results.fuelCost).toBe(150);
+      expect(simulation.driverSchedules[0].shiftEnd).toBe('10:30');
+    });
+
+    test('should leave orders unassigned once drivers run out of hours', () => {
+      const simulation = runSimulation({
+        drivers,
+        routes,
+        orders,
+        settings: { startTime: '09:00', maxHoursPerDay: 5 }
+      });
+
+      // Only Priya has an hour left, enough for one 50 minute trip with ORD001 and ORD003
+      expect(simulation.results.totalDeliveries).toBe(2);
+      expect(simulation.unassignedOrders.map(order => order.orderId)).toEqual(['ORD002']);
+    });
+
+    test('should report orders on unknown routes as skipped without counting them', () => {
+      const simulation = runSimulation({
+        drivers,
+        routes,
+        orders: [...orders, { orderId: 'ORD009', valueRs: 500, assignedRoute: 'RT404', deliveryTimestamp: new Date('2025-01-01T12:00:00Z') }],
+        settings
+      });
+
+      expect(simulation.skippedOrders).toEqual([
+        { orderId: 'ORD009', assignedRoute: 'RT404', reason: 'Route RT404 does not exist' }
+      ]);
+      expect(simulation.results.skippedOrders).toBe(1);
+      expect(simulation.results.totalDeliveries).toBe(3);
+      expect(simulation.results.efficiencyScore).toBe(66.67);
+      expect(simulation.processedOrders.map(order => order.orderId)).not.toContain('ORD009');
+    });
+
+    test('should be deterministic and leave its inputs untouched', () => {
+      const input = { drivers, routes, orders, settings };
+      const snapshot = JSON.stringify(input);
+
+      const first = runSimulation(input);
+      const second = runSimulation(input);
+
+      expect(second).toEqual(first);
+      expect(JSON.stringify(input)).toBe(snapshot);
+    });
+
+    test('should reject unknown strategies', () => {
+      expect(() => runSimulation({
+        drivers,
+        routes,
+        orders,
+        settings: { ...settings, strategy: 'coin-toss' }
+      })).toThrow('Unknown strategy');
+    });
+  });
+
+  describe('hours of service', () => {
+    const tiredDrivers = [
+      { _id: 'd1', name: 'Amit Shah', currentShiftHours: 2, past7DayWorkHours: 59.5 },
+      { _id: 'd2', name: 'Neha Gupta', currentShiftHours: 2, past7DayWorkHours: 20 }
+    ];
+
+    test('should exclude drivers who would break the weekly limit', () => {
+      const simulation = runSimulation({ drivers: tiredDrivers, routes, orders, settings });
+
+      expect(simulation.processedOrders.every(order => order.assignedDriver === 'd2')).toBe(true);
+      expect(simulation.results.hoursOfServiceViolations).toBe(0);
+    });
+
+    test('should list drivers already past a limit as excluded', () => {
+      const simulation = runSimulation({
+        drivers: [{ _id: 'd1', name: 'Amit Shah', currentShiftHours: 2, past7DayWorkHours: 61 }],
+        routes,
+        orders,
+        settings
+      });
+
+      expect(simulation.excludedDrivers).toHaveLength(1);
+      expect(simulation.results.totalDeliveries).toBe(0);
+    });
+
+    test('should penalize deliveries past the limits under the penalize policy', () => {
+      const simulation = runSimulation({
+        drivers: [tiredDrivers[0]],
+        routes,
+        orders: [orders[0]],
+        settings: { ...settings, rules: { hoursOfServicePolicy: 'penalize', hoursOfServicePenalty: 200 } }
+      });
+
+      expect(simulation.processedOrders[0].hoursOfServiceViolation).toBe(true);
+      expect(simulation.results.hoursOfServiceViolations).toBe(1);
+      expect(simulation.results.penalties).toBe(200);
+    });
+  });
+
+  describe('availability and constraints', () => {
+    test('should only use drivers on duty and stop at the end of their window', () => {
+      const simulation = runSimulation({
+        drivers: [
+          { _id: 'd1', name: 'Priya Singh', currentShiftHours: 0, availability: [{ day: 'mon', start: '08:00', end: '09:45' }] },
+          { _id: 'd2', name: 'Raj Kumar', currentShiftHours: 0, leave: [{ start: '2025-01-13', end: '2025-01-13' }] }
+        ],
+        routes,
+        orders: [orders[0], orders[2]],
+        settings: { ...settings, date: '2025-01-13', availableDrivers: 2 }
+      });
+
+      expect(simulation.skippedDrivers.map(driver => driver.driverId)).toEqual(['d2']);
+      // The second stop would arrive at 09:50, after the window closes
+      expect(simulation.results.totalDeliveries).toBe(1);
+      expect(simulation.unassignedOrders[0].orderId).toBe('ORD003');
+    });
+
+    test('should explain orders no driver may carry', () => {
+      const simulation = runSimulation({
+        drivers: [{ _id: 'd1', name: 'Priya Singh', currentShiftHours: 0, vehicleCapacityKg: 20 }],
+        routes,
+        orders: [{ ...orders[0], weightKg: 50 }],
+        settings
+      });
+
+      expect(simulation.unassignedOrders[0].reason).toBe('No driver is cleared or has the capacity to carry this order');
+      expect(simulation.unassignedOrders[0].blockers[0]).toContain('exceeds vehicle capacity');
+    });
+  });
+
+  describe('multi-stop trips', () => {
+    const driver = { _id: 'd1', name: 'Priya Singh', currentShiftHours: 0 };
+
+    test('should batch orders on routes in the same zone and pay fuel for each route driven', () => {
+      const zonedRoutes = [
+        { routeId: 'RT001', distance: 15, trafficLevel: 'Low', baseTime: 45, zone: 'North' },
+        { routeId: 'RT003', distance: 20, trafficLevel: 'Low', baseTime: 60, zone: 'North' }
+      ];
+      const simulation = runSimulation({
+        drivers: [driver],
+        routes: zonedRoutes,
+        orders: [{ ...orders[0], assignedRoute: 'RT003' }, orders[2]],
+        settings: { ...settings, startTime: '12:00' }
+      });
+
+      expect(simulation.trips).toHaveLength(1);
+      expect(simulation.trips[0]).toMatchObject({
+        routes: ['RT001', 'RT003'],
+        stops: ['ORD003', 'ORD001'],
+        distanceKm: 35,
+        fuelCost: 175
+      });
+      expect(simulation.processedOrders.map(order => order.fuelCost)).toEqual([75, 100]);
+      expect(simulation.processedOrders.map(order => order.scheduledEnd)).toEqual(['12:45', '13:00']);
+    });
+
+    test('should start a new trip once the vehicle is full and report capacity use', () => {
+      const simulation = runSimulation({
+        drivers: [{ ...driver, vehicleCapacityKg: 100, vehicleCapacityM3: 2 }],
+        routes,
+        orders: [
+          { ...orders[0], weightKg: 60, volumeM3: 0.5 },
+          { ...orders[2], weightKg: 50, volumeM3: 0.5 }
+        ],
+        settings
+      });
+
+      expect(simulation.trips.map(trip => trip.capacityUtilization)).toEqual([60, 50]);
+      expect(simulation.results).toMatchObject({ trips: 2, averageStopsPerTrip: 1, averageCapacityUtilization: 55 });
+    });
+
+    test('should not batch a stop that would make another stop late', () => {
+      const simulation = runSimulation({
+        drivers: [driver],
+        routes,
+        orders: [{ ...orders[0], slaTier: 'express' }, { ...orders[2], slaTier: 'express' }],
+        settings
+      });
+
+      // Express has no grace period, so a 50 minute second stop on a 45 minute route is late
+      expect(simulation.results.trips).toBe(2);
+      expect(simulation.results.onTimeDeliveries).toBe(2);
+    });
+  });
+
+  describe('rule profiles', () => {
+    test('should fill missing rules with the defaults', () => {
+      const rules = resolveRules({ latePenalty: 75 });
+
+      expect(rules.latePenalty).toBe(75);
+      expect(rules.fuelCostPerKm).toBe(DEFAULT_RULES.fuelCostPerKm);
+    });
+
+    test('should reject unknown or out of range rules', () => {
+      expect(validateRules({ latePenalty: 75 })).toBeNull();
+      expect(validateRules({ tip: 5 })).toBe('Unknown rule: tip');
+      expect(validateRules({ fatigueSlowdown: 0.5 })).toContain('at least 1');
+      expect(validateRules({ highValueBonusRate: '0.2' })).toContain('must be a number');
+      expect(validateRules({ trafficMultipliers: { Jammed: 2 } })).toContain('unknown traffic level');
+      expect(validateRules({ timeBands: [{ start: '8am', end: '10:00', multipliers: {} }] }))
+        .toContain('HH:MM');
+      expect(validateRules({ slaTiers: { premium: {} } })).toContain('unknown tier');
+      expect(validateRules({ emissionFactors: { hydrogen: 0.1 } })).toContain('unknown fuel type');
+      expect(validateRules({ idleFactors: { High: 0 } })).toContain('must be a positive number');
+      expect(validateRules({ slaTiers: { express: { fuelCostPerKm: 1 } } })).toContain('cannot override');
+    });
+
+    test('should run the simulation with custom rules', () => {
+      const rules = {
+        latePenalty: 100,
+        gracePeriodMinutes: 0,
+        fuelCostPerKm: 6,
+        highTrafficSurchargePerKm: 3,
+        fatigueThresholdHours: 3,
+        fatigueSlowdown: 1.5
+      };
+      const simulation = runSimulation({
+        drivers: [{ _id: 'd1', name: 'Priya Singh', currentShiftHours: 4 }],
+        routes,
+        orders: [orders[1]],
+        settings: { ...settings, rules }
+      });
+
+      // 80 min base * 1.25 High traffic * 1.3 morning rush * 1.5 fatigue = 195 min
+      expect(simulation.processedOrders[0].actualDeliveryTime).toBe(195);
+      expect(simulation.results.penalties).toBe(100);
+      expect(simulation.results.fuelCost).toBe(225);
+      expect(simulation.rules).toEqual({ ...DEFAULT_RULES, ...rules });
+    });
+  });
+});
@@ -0,0 +1,80 @@
+// tests/errors.test.js
+const mongoose = require('mongoose');
+const {
+  ApiError,
+  invalidField,
+  fromMongooseError,
+  toErrorBody,
+  errorHandler
+} = require('../utils/errors');
+
+const fakeResponse = () => {
+  const res = { headersSent: false };
+  res.status = jest.fn(status => {
+    res.statusCode = status;
+    return res;
+  });
+  res.json = jest.fn(body => {
+    res.body = body;
+    return res;
+  });
+  return res;
+};
+
+describe('Error Responses', () => {
+  test('should default the code by status and keep extra fields', () => {
+    expect(toErrorBody(404, { error: 'Driver not found' })).toEqual({ error: 'Driver not found', code: 'NOT_FOUND', details: [] });
+    expect(toErrorBody(409, { error: 'Orders changed', code: 'PLAN_CONFLICT', conflicts: [{ orderId: 'ORD001' }] }))
+      .toEqual({ error: 'Orders changed', code: 'PLAN_CONFLICT', details: [], conflicts: [{ orderId: 'ORD001' }] });
+    expect(toErrorBody(400, [{ row: 1 }])).toEqual([{ row: 1 }]);
+  });
+
+  test('should describe a single bad field', () => {
+    expect(invalidField('query', 'reassignTo', 'reassignTo is required', 'REQUIRED').toBody()).toEqual({
+      error: 'reassignTo is required',
+      code: 'VALIDATION_FAILED',
+      details: [{ field: 'reassignTo', location: 'query', code: 'REQUIRED', message: 'reassignTo is required' }]
+    });
+  });
+
+  test('should turn Mongoose validation, cast and duplicate key errors into API errors', () => {
+    const Thing = new mongoose.Schema({
+      name: { type: String, required: true },
+      weightKg: { type: Number, min: 0 },
+      tier: { type: String, enum: ['express', 'standard'] }
+    });
+    const ThingModel = mongoose.model('ErrorsThing', Thing);
+
+    const validation = fromMongooseError(new ThingModel({ weightKg: -1, tier: 'overnight' }).validateSync());
+    expect(validation.status).toBe(400);
+    expect(validation.code).toBe('VALIDATION_FAILED');
+    expect(validation.details.map(detail => `${detail.field}:${detail.code}`).sort())
+      .toEqual(['name:REQUIRED', 'tier:INVALID_VALUE', 'weightKg:OUT_OF_RANGE']);
+
+    const cast = fromMongooseError(new mongoose.Error.CastError('ObjectId', 'abc', '_id'));
+    expect(cast.status).toBe(400);
+    expect(cast.details[0]).toMatchObject({ field: '_id', code: 'INVALID_ID' });
+
+    expect(fromMongooseError({ code: 11000 }).toBody()).toMatchObject({ code: 'DUPLICATE_KEY' });
+    expect(fromMongooseError(new Error('boom'))).toBeNull();
+  });
+
+  test('should answer handled errors with their status and hide unexpected ones', () => {
+    const handled = fakeResponse();
+    errorHandler(new ApiError(409, 'Simulation plan is already applied', { code: 'PLAN_ALREADY_APPLIED' }), {}, handled, jest.fn());
+    expect(handled.statusCode).toBe(409);
+    expect(handled.body).toEqual({ error: 'Simulation plan is already applied', code: 'PLAN_ALREADY_APPLIED', details: [] });
+
+    const badJson = fakeResponse();
+    errorHandler(Object.assign(new SyntaxError('Unexpected token'), { type: 'entity.parse.failed', status: 400 }), {}, badJson, jest.fn());
+    expect(badJson.statusCode).toBe(400);
+    expect(badJson.body.code).toBe('INVALID_JSON');
+
+    const unexpected = fakeResponse();
+    const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+    errorHandler(new Error('connection lost'), {}, unexpected, jest.fn());
+    consoleError.mockRestore();
+    expect(unexpected.statusCode).toBe(500);
+    expect(unexpected.body).toEqual({ error: 'Internal server error', code: 'INTERNAL_ERROR', details: [] });
+  });
+});
@@ -0,0 +1,32 @@
+// tests/events.test.js
+const { createEventHub, formatSseEvent } = require('../realtime/events');
+
+describe('Live Events', () => {
+  test('should deliver published events to subscribers until they unsubscribe', () => {
+    const hub = createEventHub();
+    const received = [];
+    const unsubscribe = hub.subscribe(event => received.push(event.type));
+
+    hub.publish('driver.created', { id: 'd1' });
+    unsubscribe();
+    hub.publish('driver.deleted', { id: 'd1' });
+
+    expect(received).toEqual(['driver.created']);
+  });
+
+  test('should keep recent events for clients catching up', () => {
+    const hub = createEventHub({ historySize: 2 });
+    ['order.created', 'order.updated', 'order.deleted'].forEach(type => hub.publish(type, {}));
+
+    expect(hub.eventsSince(0).map(event => event.id)).toEqual([2, 3]);
+    expect(hub.eventsSince(2).map(event => event.type)).toEqual(['order.deleted']);
+  });
+
+  test('should format events for text/event-stream', () => {
+    const event = { id: 7, type: 'simulation.completed', data: { simulationId: 'abc' }, timestamp: '2025-01-01T09:00:00.000Z' };
+
+    expect(formatSseEvent(event)).toBe(
+      'id: 7\nevent: simulation.completed\ndata: {"simulationId":"abc","timestamp":"2025-01-01T09:00:00.000Z"}\n\n'
+    );
+  });
+});
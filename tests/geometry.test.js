@@ -0,0 +1,68 @@
+// tests/geometry.test.js
+const {
+  ROAD_FACTOR,
+  haversineKm,
+  measureRoute,
+  deriveRouteMetrics,
+  deriveRouteUpdate,
+  buildDistanceMatrix,
+  routeToGeoJSON
+} = require('../simulation/geometry');
+
+const depot = { name: 'Depot', lat: 28.6139, lng: 77.209 };
+const stop = { name: 'Stop 1', lat: 28.7041, lng: 77.1025 };
+
+describe('Route Geometry', () => {
+  test('should measure great-circle distances', () => {
+    // One degree of latitude is about 111.19 km
+    expect(haversineKm({ lat: 0, lng: 0 }, { lat: 1, lng: 0 })).toBeCloseTo(111.19, 1);
+    expect(haversineKm(depot, depot)).toBe(0);
+  });
+
+  test('should derive road distance and base time through every stop', () => {
+    const route = { routeId: 'RT001', depot, stops: [stop, depot] };
+    const straightLine = haversineKm(depot, stop) * 2;
+    const measured = measureRoute(route);
+
+    expect(measured.distance).toBeCloseTo(straightLine * ROAD_FACTOR, 1);
+    // 30 km/h average speed
+    expect(measured.baseTime).toBe(Math.round((measured.distance / 30) * 60));
+  });
+
+  test('should keep distance and base time that are already given', () => {
+    const derived = deriveRouteMetrics({ routeId: 'RT001', distance: 12, depot, stops: [stop] });
+
+    expect(derived.distance).toBe(12);
+    expect(derived.baseTime).toBe(measureRoute({ depot, stops: [stop] }).baseTime);
+    expect(deriveRouteMetrics({ routeId: 'RT002', distance: 5 })).toEqual({ routeId: 'RT002', distance: 5 });
+  });
+
+  test('should re-derive distance and base time when an update changes only the stops', () => {
+    const stored = { routeId: 'RT001', distance: 12, baseTime: 25, depot, stops: [stop] };
+    const update = deriveRouteUpdate(stored, { stops: [stop, depot] });
+
+    expect(update).toEqual({ stops: [stop, depot], ...measureRoute({ depot, stops: [stop, depot] }) });
+    expect(deriveRouteUpdate(stored, { depot: stop, distance: 40 }).distance).toBe(40);
+    expect(deriveRouteUpdate(stored, { trafficLevel: 'High' })).toEqual({ trafficLevel: 'High' });
+    expect(deriveRouteUpdate({ routeId: 'RT002', distance: 5 }, { stops: [stop] })).toEqual({ stops: [stop] });
+  });
+
+  test('should build a symmetric distance matrix', () => {
+    const { distancesKm, durationsMinutes } = buildDistanceMatrix([depot, stop]);
+
+    expect(distancesKm[0][0]).toBe(0);
+    expect(distancesKm[0][1]).toBe(distancesKm[1][0]);
+    expect(durationsMinutes[0][1]).toBeGreaterThan(0);
+  });
+
+  test('should output GeoJSON with [lng, lat] positions', () => {
+    const geojson = routeToGeoJSON({ routeId: 'RT001', distance: 19, baseTime: 38, depot, stops: [stop] });
+
+    expect(geojson.type).toBe('FeatureCollection');
+    expect(geojson.features[0].geometry).toEqual({
+      type: 'LineString',
+      coordinates: [[77.209, 28.6139], [77.1025, 28.7041]]
+    });
+    expect(geojson.features.slice(1).map(feature => feature.properties.role)).toEqual(['depot', 'stop']);
+  });
+});
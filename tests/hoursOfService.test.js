@@ -0,0 +1,64 @@
+// tests/hoursOfService.test.js
+const {
+  getShiftHoursInWindow,
+  summarizeDriverHours,
+  getComplianceStatus,
+  buildDailyHours
+} = require('../simulation/hoursOfService');
+const { resolveRules } = require('../simulation/rules');
+
+const now = new Date('2025-01-08T18:00:00Z');
+const shifts = [
+  // Two days ago, 9 hours
+  { start: new Date('2025-01-06T08:00:00Z'), end: new Date('2025-01-06T17:00:00Z') },
+  // Eight days ago, only partly inside the 7 day window
+  { start: new Date('2025-01-01T12:00:00Z'), end: new Date('2025-01-01T22:00:00Z') },
+  // Still open, started 5 hours ago
+  { start: new Date('2025-01-08T13:00:00Z'), end: null }
+];
+
+describe('Hours of Service', () => {
+  test('should clip shifts to the window and run open shifts until now', () => {
+    const windowStart = new Date('2025-01-01T18:00:00Z');
+
+    expect(getShiftHoursInWindow(shifts[1], windowStart, now, now)).toBe(4);
+    expect(getShiftHoursInWindow(shifts[2], windowStart, now, now)).toBe(5);
+  });
+
+  test('should derive daily and weekly hours from the shift log', () => {
+    const hours = summarizeDriverHours(shifts, { now });
+
+    expect(hours.currentShiftHours).toBe(5);
+    expect(hours.past7DayWorkHours).toBe(18);
+    expect(hours.isFatigued).toBe(false);
+    expect(hours.onShift).toBe(true);
+  });
+
+  test('should flag fatigue past the configured threshold', () => {
+    const rules = resolveRules({ fatigueThresholdHours: 4 });
+
+    expect(summarizeDriverHours(shifts, { now, rules }).isFatigued).toBe(true);
+  });
+
+  test('should report compliance against the daily and weekly limits', () => {
+    const rules = resolveRules({ dailyHoursLimit: 10, weeklyHoursLimit: 40 });
+
+    expect(getComplianceStatus({ currentShiftHours: 5, past7DayWorkHours: 18 }, rules).status).toBe('compliant');
+    expect(getComplianceStatus({ currentShiftHours: 9.5, past7DayWorkHours: 18 }, rules).status).toBe('at-risk');
+
+    const violation = getComplianceStatus({ currentShiftHours: 5, past7DayWorkHours: 42 }, rules);
+    expect(violation.status).toBe('violation');
+    expect(violation.remainingWeeklyHours).toBe(-2);
+    expect(violation.violations).toHaveLength(1);
+  });
+
+  test('should build a per-day hours history', () => {
+    const history = buildDailyHours(shifts, { now, days: 3 });
+
+    expect(history).toEqual([
+      { date: '2025-01-06', hours: 9 },
+      { date: '2025-01-07', hours: 0 },
+      { date: '2025-01-08', hours: 5 }
+    ]);
+  });
+});
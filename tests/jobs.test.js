@@ -0,0 +1,85 @@
+// tests/jobs.test.js
+const { JobCancelledError, runInWorker, createJobQueue } = require('../simulation/jobs');
+const { runSimulation } = require('../simulation/engine');
+
+const payload = {
+  drivers: [{ _id: 'd1', name: 'Priya Singh', currentShiftHours: 0 }],
+  routes: [{ routeId: 'RT001', distance: 15, trafficLevel: 'Low', baseTime: 45 }],
+  orders: [
+    { orderId: 'ORD001', valueRs: 1200, assignedRoute: 'RT001', deliveryTimestamp: '2025-01-01T10:00:00.000Z' },
+    { orderId: 'ORD002', valueRs: 800, assignedRoute: 'RT001', deliveryTimestamp: '2025-01-01T11:00:00.000Z' }
+  ],
+  settings: { startTime: '09:00', maxHoursPerDay: 12 }
+};
+
+// Just enough of the SimulationJob model for the queue, over an array of jobs
+const fakeJobModel = (jobs) => ({
+  updateOne: async (filter, update) => {
+    const job = jobs.find(candidate => candidate._id === filter._id && candidate.status === filter.status);
+    if (job) Object.assign(job, update.$set);
+  },
+  updateMany: async () => {},
+  find: () => ({ select: () => ({ lean: async () => [] }) }),
+  countDocuments: async (filter) => jobs.filter(job => job.status === filter.status).length,
+  findOneAndUpdate: async (filter, update) => {
+    const job = jobs.find(candidate => candidate.status === filter.status);
+    return job ? Object.assign(job, update.$set) : null;
+  }
+});
+
+describe('Simulation Jobs', () => {
+  test('should report engine progress per order in the queue', () => {
+    const progress = [];
+    runSimulation({ ...payload, onProgress: (done, total) => progress.push([done, total]) });
+
+    expect(progress).toEqual([[1, 2], [2, 2]]);
+  });
+
+  test('should run the simulation in a child process and report progress', async () => {
+    const percents = [];
+    const { promise } = runInWorker(payload, { onProgress: percent => percents.push(percent) });
+    const simulation = await promise;
+
+    expect(simulation).toEqual(JSON.parse(JSON.stringify(runSimulation(payload))));
+    expect(percents).toEqual([50, 100]);
+  });
+
+  test('should reject with the engine error', async () => {
+    const { promise } = runInWorker({ ...payload, settings: { ...payload.settings, strategy: 'coin-toss' } });
+
+    await expect(promise).rejects.toThrow('Unknown strategy: coin-toss');
+  });
+
+  test('should stop the child when cancelled', async () => {
+    const { promise, cancel } = runInWorker(payload);
+    cancel();
+
+    await expect(promise).rejects.toBeInstanceOf(JobCancelledError);
+  });
+
+  test('should hand running jobs back to the queue when stopped', async () => {
+    const jobs = [{ _id: 'job1', status: 'queued' }];
+    const saveResult = jest.fn();
+    let releasePayload;
+    const queue = createJobQueue({
+      Job: fakeJobModel(jobs),
+      loadPayload: () => new Promise(resolve => {
+        releasePayload = () => resolve(payload);
+      }),
+      saveResult
+    });
+
+    queue.start();
+    while (!releasePayload) {
+      await new Promise(resolve => setImmediate(resolve));
+    }
+    expect(jobs[0].status).toBe('running');
+
+    const stopped = queue.stop();
+    releasePayload();
+    await stopped;
+
+    expect(jobs[0]).toMatchObject({ status: 'queued', progress: 0 });
+    expect(saveResult).not.toHaveBeenCalled();
+  });
+});
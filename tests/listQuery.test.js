@@ -0,0 +1,103 @@
+// tests/listQuery.test.js
+const { MAX_LIMIT, listQuerySchema, parseListQuery } = require('../utils/listQuery');
+const { validateSchema } = require('../utils/validation');
+
+const spec = {
+  sortable: { orderId: 'orderId', valueRs: 'valueRs', totalProfit: 'results.totalProfit' },
+  defaultSort: '-valueRs',
+  searchFields: ['orderId'],
+  filters: {
+    assignedRoute: { type: 'string' },
+    assignedDriver: { type: 'objectId' },
+    slaTier: { type: 'enum', values: ['express', 'standard', 'economy'] },
+    isOnTime: { type: 'boolean' },
+    availableDrivers: { type: 'number', path: 'inputs.availableDrivers' },
+    valueRs: { type: 'numberRange' },
+    deliveryTimestamp: { type: 'dateRange' }
+  }
+};
+
+describe('List Query Parameters', () => {
+  test('should default to the first page and the default sort', () => {
+    expect(parseListQuery({}, spec)).toEqual({
+      filter: {},
+      sort: { valueRs: -1, _id: 1 },
+      page: 1,
+      limit: 50,
+      skip: 0
+    });
+  });
+
+  test('should page and sort by mapped paths', () => {
+    const list = parseListQuery({ page: '3', limit: '20', sort: 'totalProfit,-orderId' }, spec);
+
+    expect(list.skip).toBe(40);
+    expect(list.sort).toEqual({ 'results.totalProfit': 1, orderId: -1, _id: 1 });
+  });
+
+  test('should build exact, list and typed filters', () => {
+    const { filter } = parseListQuery({
+      assignedRoute: 'RT001,RT002',
+      slaTier: 'express',
+      isOnTime: 'false',
+      availableDrivers: '5',
+      assignedDriver: '507f1f77bcf86cd799439011'
+    }, spec);
+
+    expect(filter).toEqual({
+      assignedRoute: { $in: ['RT001', 'RT002'] },
+      slaTier: 'express',
+      isOnTime: false,
+      'inputs.availableDrivers': 5,
+      assignedDriver: '507f1f77bcf86cd799439011'
+    });
+  });
+
+  test('should build number and date ranges', () => {
+    const { filter } = parseListQuery({
+      minValueRs: '500',
+      maxValueRs: '1500',
+      deliveryTimestampFrom: '2025-01-01',
+      deliveryTimestampTo: '2025-01-31'
+    }, spec);
+
+    expect(filter.valueRs).toEqual({ $gte: 500, $lte: 1500 });
+    expect(filter.deliveryTimestamp).toEqual({
+      $gte: new Date('2025-01-01T00:00:00.000Z'),
+      $lte: new Date('2025-01-31T23:59:59.999Z')
+    });
+  });
+
+  test('should search case-insensitively with the text escaped', () => {
+    const { filter } = parseListQuery({ search: 'ORD.1' }, spec);
+
+    expect(filter.$or).toEqual([{ orderId: { $regex: 'ORD\\.1', $options: 'i' } }]);
+  });
+
+  test('should reject invalid parameters', () => {
+    const problems = (query) => validateSchema(query, listQuerySchema(spec), { location: 'query' });
+
+    expect(problems({ page: '0' })[0].message).toContain('page');
+    expect(problems({ limit: String(MAX_LIMIT + 1) })[0].message).toContain('limit');
+    expect(problems({ sort: '-password' })[0].message).toContain('Cannot sort by password');
+    expect(problems({ slaTier: 'express,overnight' })[0].message).toContain('must be one of');
+    expect(problems({ isOnTime: 'yes' })[0].message).toBe('isOnTime must be true or false');
+    expect(problems({ minValueRs: 'lots' })[0].message).toBe('minValueRs must be a number');
+    expect(problems({ deliveryTimestampFrom: 'soon' })[0].code).toBe('INVALID_FORMAT');
+    expect(problems({ assignedDriver: 'driver-1' })[0].code).toBe('INVALID_ID');
+    expect(problems({ page: '2', sort: 'totalProfit', slaTier: 'express', deliveryTimestampTo: '2025-01-31' })).toEqual([]);
+  });
+
+  test('should name the parameter that is invalid', () => {
+    const problems = (query) => validateSchema(query, listQuerySchema(spec), { location: 'query' });
+
+    expect(problems({ page: '0' })[0]).toMatchObject({ field: 'page', location: 'query' });
+    expect(problems({ sort: 'password' })[0].field).toBe('sort');
+    expect(problems({ maxValueRs: 'lots' })[0].field).toBe('maxValueRs');
+    expect(problems({ slaTier: 'overnight' })[0].field).toBe('slaTier[0]');
+  });
+
+  test('should treat empty parameters as not sent', () => {
+    expect(parseListQuery({ page: '', limit: '', sort: '', minValueRs: '', isOnTime: '' }, spec)).toEqual(parseListQuery({}, spec));
+  });
+});
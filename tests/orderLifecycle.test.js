@@ -0,0 +1,84 @@
+// tests/orderLifecycle.test.js
+const {
+  canTransition,
+  getTransitionError,
+  calculateActualOutcome,
+  calculateFailedOutcome,
+  compareWithActual
+} = require('../orders/lifecycle');
+const { resolveRules } = require('../simulation/rules');
+
+const route = { routeId: 'RT001', distance: 15, trafficLevel: 'Low', baseTime: 45 };
+
+const order = (overrides = {}) => ({
+  orderId: 'ORD001',
+  valueRs: 800,
+  assignedRoute: 'RT001',
+  slaTier: 'standard',
+  pickedUpAt: '2025-01-01T09:00:00.000Z',
+  deliveredAt: '2025-01-01T09:40:00.000Z',
+  ...overrides
+});
+
+describe('Order Lifecycle', () => {
+  test('should allow only the defined status changes', () => {
+    expect(canTransition('created', 'assigned')).toBe(true);
+    expect(canTransition('assigned', 'dispatched')).toBe(true);
+    expect(canTransition('dispatched', 'delivered')).toBe(true);
+    expect(canTransition('failed', 'assigned')).toBe(true);
+    expect(canTransition('created', 'delivered')).toBe(false);
+    expect(canTransition('delivered', 'returned')).toBe(false);
+  });
+
+  test('should explain rejected status changes', () => {
+    expect(getTransitionError('created', 'assigned')).toBeNull();
+    expect(getTransitionError('created', 'lost')).toContain('Status must be one of');
+    expect(getTransitionError('created', 'delivered')).toBe('Cannot change order from created to delivered. Allowed: assigned');
+    expect(getTransitionError('delivered', 'failed')).toBe('Cannot change order from delivered; it is final');
+  });
+
+  test('should judge a delivery against the route base time', () => {
+    expect(calculateActualOutcome(order(), route)).toEqual({ actualDeliveryTime: 40, isOnTime: true, penalty: 0, bonus: 0 });
+    expect(calculateActualOutcome(order({ deliveredAt: '2025-01-01T10:00:00.000Z' }), route)).toEqual({
+      actualDeliveryTime: 60,
+      isOnTime: false,
+      penalty: 50,
+      bonus: 0
+    });
+  });
+
+  test('should judge a delivery against its window when it has one', () => {
+    const windowed = order({
+      deliveredAt: '2025-01-01T10:20:00.000Z',
+      deliveryWindowStart: '2025-01-01T10:00:00.000Z',
+      deliveryWindowEnd: '2025-01-01T10:30:00.000Z',
+      valueRs: 1500
+    });
+
+    expect(calculateActualOutcome(windowed, route)).toEqual({ actualDeliveryTime: 80, isOnTime: true, penalty: 0, bonus: 150 });
+  });
+
+  test('should count a failed delivery as late with the tier penalty', () => {
+    expect(calculateFailedOutcome(order({ slaTier: 'express' }), resolveRules())).toEqual({ isOnTime: false, penalty: 150, bonus: 0 });
+  });
+
+  test('should compare simulated and real outcomes of finished orders', () => {
+    const breakdown = [
+      { orderId: 'ORD001', actualDeliveryTime: 45, isOnTime: true, penalty: 0, bonus: 0 },
+      { orderId: 'ORD002', actualDeliveryTime: 30, isOnTime: true, penalty: 0, bonus: 120 }
+    ];
+    const orders = [
+      { orderId: 'ORD001', status: 'delivered', actualDeliveryTime: 60, isOnTime: false, penalty: 50, bonus: 0 },
+      { orderId: 'ORD002', status: 'dispatched' }
+    ];
+
+    const comparison = compareWithActual(breakdown, orders);
+
+    expect(comparison.orders).toHaveLength(1);
+    expect(comparison.orders[0].deliveryTimeDifference).toBe(15);
+    expect(comparison.totals).toEqual({
+      simulated: { deliveries: 1, onTimeDeliveries: 1, penalties: 0, bonuses: 0 },
+      actual: { deliveries: 1, onTimeDeliveries: 0, penalties: 50, bonuses: 0 }
+    });
+  });
+});
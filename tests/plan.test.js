@@ -0,0 +1,87 @@
+// tests/plan.test.js
+const {
+  getPlanAssignments,
+  getPlannedShiftHours,
+  getDataLoadedAt,
+  findPlanConflicts,
+  findRevertConflicts
+} = require('../simulation/plan');
+
+const simulation = {
+  timestamp: '2025-01-01T08:00:00.000Z',
+  orderBreakdown: [
+    { orderId: 'ORD001', assignedDriver: 'd1' },
+    { orderId: 'ORD002', assignedDriver: 'd2' },
+    { orderId: 'ORD003' }
+  ],
+  driverBreakdown: [
+    { driverId: 'd1', hoursWorked: 6.5 },
+    { driverId: 'd2', hoursWorked: 2 }
+  ]
+};
+
+describe('Simulation Plans', () => {
+  test('should take the simulated driver of each assigned order', () => {
+    expect(getPlanAssignments(simulation)).toEqual([
+      { orderId: 'ORD001', driver: 'd1' },
+      { orderId: 'ORD002', driver: 'd2' }
+    ]);
+  });
+
+  test('should plan each driver for the hours they would work', () => {
+    expect(getPlannedShiftHours(simulation)).toEqual([
+      { driver: 'd1', plannedShiftHours: 6.5 },
+      { driver: 'd2', plannedShiftHours: 2 }
+    ]);
+  });
+
+  test('should refuse orders that are gone, assigned or changed after the simulation', () => {
+    const assignments = [
+      { orderId: 'ORD001', driver: 'd1' },
+      { orderId: 'ORD002', driver: 'd2' },
+      { orderId: 'ORD003', driver: 'd1' },
+      { orderId: 'ORD004', driver: 'd2' },
+      { orderId: 'ORD005', driver: 'd2' }
+    ];
+    const orders = [
+      { orderId: 'ORD001', status: 'created', updatedAt: '2025-01-01T07:00:00.000Z' },
+      { orderId: 'ORD002', status: 'dispatched', updatedAt: '2025-01-01T07:00:00.000Z' },
+      { orderId: 'ORD003', status: 'created', updatedAt: '2025-01-01T09:00:00.000Z' },
+      { orderId: 'ORD004' }
+    ];
+
+    expect(findPlanConflicts(assignments, orders, simulation.timestamp)).toEqual([
+      { orderId: 'ORD002', reason: 'Order is already dispatched' },
+      { orderId: 'ORD003', reason: 'Order changed after the simulation read it' },
+      { orderId: 'ORD005', reason: 'Order no longer exists' }
+    ]);
+  });
+
+  test('should check for changes since the simulation read its data', () => {
+    const dataLoadedAt = '2025-01-01T07:30:00.000Z';
+    const orders = [{ orderId: 'ORD001', status: 'created', updatedAt: '2025-01-01T07:45:00.000Z' }];
+
+    expect(getDataLoadedAt({ ...simulation, dataLoadedAt })).toBe(dataLoadedAt);
+    expect(getDataLoadedAt(simulation)).toBe(simulation.timestamp);
+    expect(findPlanConflicts([{ orderId: 'ORD001', driver: 'd1' }], orders, dataLoadedAt)).toEqual([
+      { orderId: 'ORD001', reason: 'Order changed after the simulation read it' }
+    ]);
+  });
+
+  test('should only revert orders still assigned to the planned driver', () => {
+    const planOrders = [
+      { order: 'o1', orderId: 'ORD001', driver: 'd1' },
+      { order: 'o2', orderId: 'ORD002', driver: 'd2' },
+      { order: 'o3', orderId: 'ORD003', driver: 'd1' }
+    ];
+    const orders = [
+      { _id: 'o1', status: 'assigned', assignedDriver: 'd1' },
+      { _id: 'o2', status: 'dispatched', assignedDriver: 'd2' }
+    ];
+
+    expect(findRevertConflicts(planOrders, orders)).toEqual([
+      { orderId: 'ORD002', reason: 'Order changed after the plan was applied' },
+      { orderId: 'ORD003', reason: 'Order no longer exists' }
+    ]);
+  });
+});
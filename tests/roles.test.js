@@ -0,0 +1,40 @@
+// tests/roles.test.js
+const { ROLES, DEFAULT_ROLE, PERMISSIONS, hasPermission, getRolePermissions } = require('../auth/roles');
+
+describe('Role Permissions', () => {
+  test('should only grant permissions to known roles', () => {
+    Object.values(PERMISSIONS).forEach(roles => {
+      roles.forEach(role => expect(ROLES).toContain(role));
+    });
+  });
+
+  test('should give admins every permission', () => {
+    expect(getRolePermissions('admin')).toEqual(Object.keys(PERMISSIONS));
+  });
+
+  test('should give self-registered users the read-only role', () => {
+    expect(DEFAULT_ROLE).toBe('viewer');
+    expect(hasPermission(DEFAULT_ROLE, 'data:init')).toBe(false);
+  });
+
+  test('should keep viewers read-only', () => {
+    getRolePermissions('viewer').forEach(permission => {
+      expect(permission).toMatch(/:read$/);
+    });
+  });
+
+  test('should let dispatchers edit orders but not delete them', () => {
+    expect(hasPermission('dispatcher', 'orders:write')).toBe(true);
+    expect(hasPermission('dispatcher', 'orders:delete')).toBe(false);
+    expect(hasPermission('dispatcher', 'data:init')).toBe(false);
+    expect(hasPermission('dispatcher', 'simulation:apply')).toBe(false);
+  });
+
+  test('should reserve user management for admins', () => {
+    expect(hasPermission('manager', 'users:manage')).toBe(false);
+    expect(hasPermission('admin', 'users:manage')).toBe(true);
+    expect(hasPermission('manager', 'audit:read')).toBe(false);
+    expect(hasPermission('manager', 'audit:restore')).toBe(false);
+    expect(hasPermission('manager', 'unknown:permission')).toBe(false);
+  });
+});
@@ -1,7 +1,7 @@
 // tests/simulation.test.js
 const request = require('supertest');
 const mongoose = require('mongoose');
-const app = require('../server');
+const { app, simulationQueue } = require('../server');
 
 describe('Simulation Logic Tests', () => {
   let token;
@@ -13,16 +13,25 @@ describe('Simulation Logic Tests', () => {
     //   useNewUrlParser: true,
     //   useUnifiedTopology: true,
     // });
+    simulationQueue.start();
 
-    // Create test user and get token
-    const registerResponse = await request(app)
+    // Create test user, promote it to manager and get token
+    await request(app)
       .post('/api/auth/register')
       .send({
         email: 'test@manager.com',
         password: 'testpassword123'
       });
+    await mongoose.model('User').updateOne({ email: 'test@manager.com' }, { role: 'manager' });
+
+    const loginResponse = await request(app)
+      .post('/api/auth/login')
+      .send({
+        email: 'test@manager.com',
+        password: 'testpassword123'
+      });
 
-    token = registerResponse.body.token;
+    token = loginResponse.body.token;
 
     // Initialize test data
     await request(app)
@@ -31,6 +40,7 @@ describe('Simulation Logic Tests', () => {
   });
 
   afterAll(async () => {
+    await simulationQueue.stop();
     await mongoose.connection.close();
   });
 
@@ -62,36 +72,6 @@ describe('Simulation Logic Tests', () => {
     expect(response.body.error).toContain('Start time must be in HH:MM format');
   });
 
-  test('should calculate fuel cost correctly for high traffic', async () => {
-    // Test fuel cost calculation: ₹5/km base + ₹2/km for high traffic
-    const distance = 10; // km
-    const expectedBaseCost = 5 * distance; // ₹50
-    const expectedSurcharge = 2 * distance; // ₹20
-    const expectedTotal = expectedBaseCost + expectedSurcharge; // ₹70
-
-    // This tests the internal logic - in real implementation, 
-    // we'd extract the fuel calculation to a separate testable function
-    expect(expectedTotal).toBe(70);
-  });
-
-  test('should apply late delivery penalty correctly', async () => {
-    // Test penalty calculation: ₹50 for late delivery
-    const baseTime = 30; // minutes
-    const actualDeliveryTime = 45; // minutes (15 minutes late > 10 minute threshold)
-    const penalty = actualDeliveryTime > (baseTime + 10) ? 50 : 0;
-    
-    expect(penalty).toBe(50);
-  });
-
-  test('should calculate high-value bonus correctly', async () => {
-    // Test bonus calculation: 10% for orders > ₹1000 delivered on time
-    const orderValue = 1200;
-    const isOnTime = true;
-    const bonus = (orderValue > 1000 && isOnTime) ? orderValue * 0.1 : 0;
-    
-    expect(bonus).toBe(120);
-  });
-
   test('should run complete simulation successfully', async () => {
     const response = await request(app)
       .post('/api/simulation')
@@ -109,5 +89,378 @@ describe('Simulation Logic Tests', () => {
     expect(response.body.results).toHaveProperty('totalDeliveries');
     expect(response.body).toHaveProperty('deliveryBreakdown');
     expect(response.body).toHaveProperty('fuelCostBreakdown');
+    expect(response.body.results).toHaveProperty('trips');
+    expect(Array.isArray(response.body.trips)).toBe(true);
+  });
+
+  test('should build driver timelines starting at startTime', async () => {
+    const response = await request(app)
+      .post('/api/simulation')
+      .set('Authorization', `Bearer ${token}`)
+      .send({
+        availableDrivers: 5,
+        startTime: '09:00',
+        maxHoursPerDay: 12
+      });
+
+    expect(response.status).toBe(200);
+    expect(response.body.driverSchedules).toHaveLength(5);
+    response.body.driverSchedules.forEach(schedule => {
+      expect(schedule.shiftStart).toBe('09:00');
+      if (schedule.deliveries.length > 0) {
+        expect(schedule.deliveries[0].start).toBe('09:00');
+      }
+    });
+  });
+
+  test('should reject an unknown assignment strategy', async () => {
+    const response = await request(app)
+      .post('/api/simulation')
+      .set('Authorization', `Bearer ${token}`)
+      .send({
+        availableDrivers: 3,
+        startTime: '09:00',
+        maxHoursPerDay: 8,
+        strategy: 'coin-toss'
+      });
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toContain('Unknown strategy');
+  });
+
+  test('should store the chosen strategy with the simulation', async () => {
+    const response = await request(app)
+      .post('/api/simulation')
+      .set('Authorization', `Bearer ${token}`)
+      .send({
+        availableDrivers: 3,
+        startTime: '09:00',
+        maxHoursPerDay: 12,
+        strategy: 'least-loaded'
+      });
+
+    expect(response.status).toBe(200);
+
+    const history = await request(app)
+      .get('/api/simulations')
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(history.body.data[0].inputs.strategy).toBe('least-loaded');
+  });
+
+  test('should page, filter and sort list endpoints', async () => {
+    const response = await request(app)
+      .get('/api/orders?limit=2&page=1&sort=-valueRs&minValueRs=100')
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.length).toBeLessThanOrEqual(2);
+    expect(response.body.limit).toBe(2);
+    expect(response.body.totalPages).toBe(Math.ceil(response.body.total / 2));
+    if (response.body.data.length === 2) {
+      expect(response.body.data[0].valueRs).toBeGreaterThanOrEqual(response.body.data[1].valueRs);
+    }
+
+    const invalid = await request(app)
+      .get('/api/routes?trafficLevel=Gridlock')
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(invalid.status).toBe(400);
+  });
+
+  test('should compare scenarios side by side against a baseline', async () => {
+    const response = await request(app)
+      .post('/api/simulation/compare')
+      .set('Authorization', `Bearer ${token}`)
+      .send({
+        baseline: '3 drivers',
+        scenarios: [
+          { name: '3 drivers', availableDrivers: 3, startTime: '09:00', maxHoursPerDay: 8 },
+          { name: '5 drivers', availableDrivers: 5, startTime: '09:00', maxHoursPerDay: 8 }
+        ]
+      });
+
+    expect(response.status).toBe(200);
+    expect(response.body.baseline).toBe('3 drivers');
+    expect(response.body.scenarios).toHaveLength(2);
+    expect(response.body.scenarios[0].diff.totalProfit.difference).toBe(0);
+    expect(response.body.scenarios[1].diff).toHaveProperty('fuelCost');
+  });
+
+  test('should report orders as unassigned when drivers are out of hours', async () => {
+    const response = await request(app)
+      .post('/api/simulation')
+      .set('Authorization', `Bearer ${token}`)
+      .send({
+        availableDrivers: 1,
+        startTime: '09:00',
+        maxHoursPerDay: 1
+      });
+
+    expect(response.status).toBe(200);
+    expect(response.body.results.totalDeliveries).toBe(0);
+    expect(response.body.results.unassignedOrders).toBe(8);
+    expect(response.body.unassignedOrders).toHaveLength(8);
+  });
+
+  test('should queue simulation jobs and report their status', async () => {
+    const invalid = await request(app)
+      .post('/api/simulation/jobs')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ availableDrivers: 0, startTime: '09:00', maxHoursPerDay: 8 });
+    expect(invalid.status).toBe(400);
+
+    const submitted = await request(app)
+      .post('/api/simulation/jobs')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ availableDrivers: 2, startTime: '09:00', maxHoursPerDay: 8 });
+
+    expect(submitted.status).toBe(202);
+    expect(submitted.headers.location).toBe(`/api/simulation/jobs/${submitted.body.jobId}`);
+
+    const status = await request(app)
+      .get(`/api/simulation/jobs/${submitted.body.jobId}`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(status.status).toBe(200);
+    expect(['queued', 'running', 'completed']).toContain(status.body.status);
+  });
+
+  test('should aggregate KPIs per period filtered by driver count', async () => {
+    await request(app)
+      .post('/api/simulation')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ availableDrivers: 4, startTime: '09:00', maxHoursPerDay: 8 });
+
+    const response = await request(app)
+      .get('/api/analytics/kpis?interval=week&availableDrivers=4')
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(response.status).toBe(200);
+    expect(response.body.overall.runs).toBeGreaterThanOrEqual(1);
+    expect(response.body.periods.length).toBeGreaterThanOrEqual(1);
+    expect(response.body.periods[0]).toHaveProperty('movingAverage');
+    expect(response.body.periods[0].bestRun).toHaveProperty('simulationId');
+
+    const invalid = await request(app)
+      .get('/api/analytics/kpis?interval=hour')
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(invalid.status).toBe(400);
+  });
+
+  test('should move an order through its lifecycle and record the real outcome', async () => {
+    const [orders, drivers] = await Promise.all([
+      request(app).get('/api/orders?limit=1&status=created').set('Authorization', `Bearer ${token}`),
+      request(app).get('/api/drivers?limit=1').set('Authorization', `Bearer ${token}`)
+    ]);
+    const orderId = orders.body.data[0]._id;
+    const changeStatus = body => request(app)
+      .post(`/api/orders/${orderId}/status`)
+      .set('Authorization', `Bearer ${token}`)
+      .send(body);
+
+    const skipped = await changeStatus({ status: 'delivered' });
+    expect(skipped.status).toBe(409);
+
+    expect((await changeStatus({ status: 'assigned', driverId: drivers.body.data[0]._id })).status).toBe(200);
+    expect((await changeStatus({ status: 'dispatched', at: '2030-01-01T09:00:00.000Z' })).status).toBe(200);
+    const delivered = await changeStatus({ status: 'delivered', at: '2030-01-01T09:10:00.000Z' });
+
+    expect(delivered.status).toBe(200);
+    expect(delivered.body.status).toBe('delivered');
+    expect(delivered.body.actualDeliveryTime).toBe(10);
+    expect(delivered.body.events.map(event => event.status)).toEqual(['created', 'assigned', 'dispatched', 'delivered']);
+  });
+
+  test('should audit data changes and keep the log for admins', async () => {
+    const created = await request(app)
+      .post('/api/drivers')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ name: 'Audit Driver' });
+
+    expect(created.status).toBe(201);
+
+    const log = await request(app)
+      .get(`/api/audit?entity=driver&entityId=${created.body._id}`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(log.status).toBe(403);
+  });
+
+  test('should refuse to delete a route orders still use and report data health', async () => {
+    const routes = await request(app)
+      .get('/api/routes?search=RT001')
+      .set('Authorization', `Bearer ${token}`);
+
+    const blocked = await request(app)
+      .delete(`/api/routes/${routes.body.data[0]._id}`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(blocked.status).toBe(409);
+
+    const unknownRoute = await request(app)
+      .post('/api/orders')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ orderId: 'ORD404', valueRs: 500, assignedRoute: 'RT404', deliveryTimestamp: new Date() });
+
+    expect(unknownRoute.status).toBe(400);
+
+    const health = await request(app)
+      .get('/api/data-health')
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(health.status).toBe(200);
+    expect(health.body.checks.find(check => check.name === 'ordersWithUnknownRoute').count).toBe(0);
+  });
+
+  test('should answer invalid requests with field details and patch only the fields sent', async () => {
+    const invalid = await request(app)
+      .post('/api/simulation')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ availableDrivers: '3', startTime: '09:00', maxHoursPerDay: 8 });
+
+    expect(invalid.status).toBe(400);
+    expect(invalid.body.code).toBe('VALIDATION_FAILED');
+    expect(invalid.body.details[0]).toMatchObject({ field: 'availableDrivers', location: 'body', code: 'INVALID_TYPE' });
+
+    const badId = await request(app)
+      .get('/api/drivers/not-an-id/hours')
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(badId.status).toBe(400);
+    expect(badId.body.details[0]).toMatchObject({ field: 'id', location: 'params', code: 'INVALID_ID' });
+
+    const [unknownField, badKpiQuery, badListQuery] = await Promise.all([
+      request(app).post('/api/drivers').set('Authorization', `Bearer ${token}`).send({ name: 'Typo Driver', vehicle: 'van' }),
+      request(app).get('/api/analytics/kpis?interval=hour').set('Authorization', `Bearer ${token}`),
+      request(app).get('/api/orders?limit=0').set('Authorization', `Bearer ${token}`)
+    ]);
+
+    expect(unknownField.body.details[0]).toMatchObject({ field: 'vehicle', location: 'body', code: 'UNKNOWN_FIELD' });
+    expect(badKpiQuery.body.details[0]).toMatchObject({ field: 'interval', location: 'query', code: 'INVALID_VALUE' });
+    expect(badListQuery.body.details[0]).toMatchObject({ field: 'limit', location: 'query', code: 'OUT_OF_RANGE' });
+
+    const created = await request(app)
+      .post('/api/drivers')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ name: 'Patch Driver', past7DayWorkHours: 20 });
+    const patched = await request(app)
+      .patch(`/api/drivers/${created.body._id}`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ currentShiftHours: 4 });
+
+    expect(patched.status).toBe(200);
+    expect(patched.body).toMatchObject({ name: 'Patch Driver', currentShiftHours: 4, past7DayWorkHours: 20 });
+  });
+
+  test('should take hours from the shift log once all shifts are older than a week', async () => {
+    const created = await request(app)
+      .post('/api/drivers')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ name: 'Rested Driver', currentShiftHours: 10, past7DayWorkHours: 55 });
+    const start = new Date(Date.now() - 8 * 24 * 60 * 60 * 1000);
+
+    const shift = await request(app)
+      .post(`/api/drivers/${created.body._id}/shifts`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ start, end: new Date(start.getTime() + 10 * 60 * 60 * 1000) });
+    expect(shift.status).toBe(201);
+
+    const compliance = await request(app)
+      .get('/api/drivers/compliance')
+      .set('Authorization', `Bearer ${token}`);
+    const entry = compliance.body.find(driver => driver.driverId === created.body._id);
+
+    expect(entry).toMatchObject({ source: 'shift-log', currentShiftHours: 0, past7DayWorkHours: 0, status: 'compliant' });
+  });
+
+  test('should apply a simulation plan, or say why the database cannot', async () => {
+    const run = await request(app)
+      .post('/api/simulation')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ availableDrivers: 3, startTime: '09:00', maxHoursPerDay: 8 });
+
+    const applied = await request(app)
+      .post(`/api/simulations/${run.body.simulationId}/apply`)
+      .set('Authorization', `Bearer ${token}`);
+
+    // The transaction needs a replica set; the default test database is a standalone server
+    if (applied.status === 503) {
+      expect(applied.body.code).toBe('TRANSACTIONS_UNSUPPORTED');
+    } else {
+      expect(applied.status).toBe(200);
+      expect(applied.body.status).toBe('applied');
+    }
+  });
+
+  test('should carry orders along a renamed route and log each change', async () => {
+    const auth = ['Authorization', `Bearer ${token}`];
+    const route = await request(app)
+      .post('/api/routes')
+      .set(...auth)
+      .send({ routeId: 'RT900', distance: 10, trafficLevel: 'Low', baseTime: 20 });
+    const order = await request(app)
+      .post('/api/orders')
+      .set(...auth)
+      .send({ orderId: 'ORD900', valueRs: 500, assignedRoute: 'RT900', deliveryTimestamp: new Date() });
+
+    const renamed = await request(app).patch(`/api/routes/${route.body._id}`).set(...auth).send({ routeId: 'RT901' });
+    expect(renamed.status).toBe(200);
+
+    const moved = await mongoose.model('Order').findById(order.body._id).lean();
+    expect(moved.assignedRoute).toBe('RT901');
+    expect(moved.updatedAt.toISOString()).toBe(order.body.updatedAt);
+
+    const entries = await mongoose.model('AuditLog').find({ entity: 'order', entityId: order.body._id, action: 'update' }).lean();
+    expect(entries).toHaveLength(1);
+    expect(entries[0].details).toEqual({ cascadedFromRoute: 'RT900' });
+  });
+
+  test('should restore what a data reset removed', async () => {
+    await request(app)
+      .post('/api/auth/register')
+      .send({ email: 'test@admin.com', password: 'testpassword123' });
+    await mongoose.model('User').updateOne({ email: 'test@admin.com' }, { role: 'admin' });
+    const admin = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'test@admin.com', password: 'testpassword123' });
+
+    const before = await request(app).get('/api/orders?limit=100').set('Authorization', `Bearer ${token}`);
+    await request(app).post('/api/init-data').set('Authorization', `Bearer ${token}`);
+
+    const resets = await request(app)
+      .get('/api/audit?action=reset&limit=1')
+      .set('Authorization', `Bearer ${admin.body.token}`);
+    const restored = await request(app)
+      .post(`/api/audit/${resets.body.data[0]._id}/restore`)
+      .set('Authorization', `Bearer ${admin.body.token}`);
+
+    expect(restored.status).toBe(200);
+    expect(restored.body.restored.orders).toBe(before.body.total);
+
+    const after = await request(app).get('/api/orders?limit=100').set('Authorization', `Bearer ${token}`);
+    expect(after.body.data.map(order => order._id).sort()).toEqual(before.body.data.map(order => order._id).sort());
+  });
+
+  test('should register new users as viewers that cannot reset data', async () => {
+    const registered = await request(app)
+      .post('/api/auth/register')
+      .send({ email: `viewer-${Date.now()}@example.com`, password: 'testpassword123' });
+
+    expect(registered.status).toBe(201);
+    expect(registered.body.user.role).toBe('viewer');
+
+    const reset = await request(app)
+      .post('/api/init-data')
+      .set('Authorization', `Bearer ${registered.body.token}`);
+
+    expect(reset.status).toBe(403);
+  });
+
+  test('should require a token for the live dashboard stream', async () => {
+    const response = await request(app).get('/api/dashboard/stream');
+
+    expect(response.status).toBe(401);
   });
-});
\ No newline at end of file
+});
@@ -0,0 +1,75 @@
+// tests/simulationReport.test.js
+const { buildReportData, toReportCsv, toReportHtml } = require('../reports/simulationReport');
+
+const simulation = {
+  _id: 'abc123',
+  timestamp: new Date('2025-01-01T09:00:00Z'),
+  inputs: { availableDrivers: 2, startTime: '09:00', maxHoursPerDay: 8, strategy: 'round-robin' },
+  ruleProfileName: 'Default',
+  results: { totalProfit: 1245, efficiencyScore: 100 },
+  orderBreakdown: [{
+    orderId: 'ORD001',
+    assignedRoute: 'RT001',
+    driverName: 'Priya <Singh>',
+    tripId: 'T1',
+    stop: 1,
+    valueRs: 1200,
+    slaTier: 'standard',
+    scheduledStart: '09:00',
+    scheduledEnd: '09:45',
+    actualDeliveryTime: 45,
+    isOnTime: true,
+    penalty: 0,
+    bonus: 120,
+    fuelCost: 75,
+    profit: 1245
+  }],
+  driverBreakdown: [{ name: 'Priya <Singh>', trips: 1, deliveries: 1, profit: 1245 }],
+  trips: [{ tripId: 'T1', driverName: 'Priya <Singh>', routes: ['RT001'], stops: ['ORD001', 'ORD003'], fuelCost: 75 }],
+  unassigned: []
+};
+
+describe('Simulation Report', () => {
+  test('should build summary, order, driver and trip rows', () => {
+    const data = buildReportData(simulation);
+
+    expect(data.summary).toEqual(expect.arrayContaining([
+      { metric: 'simulationId', value: 'abc123' },
+      { metric: 'strategy', value: 'round-robin' },
+      { metric: 'totalProfit', value: 1245 }
+    ]));
+    expect(data.orders[0].orderId).toBe('ORD001');
+    expect(data.drivers[0].deliveries).toBe(1);
+    expect(data.trips[0].stops).toBe('ORD001;ORD003');
+  });
+
+  test('should export a single CSV section or all sections', () => {
+    const data = buildReportData(simulation);
+    const orders = toReportCsv(data, 'orders');
+    const all = toReportCsv(data);
+
+    expect(orders.split('\r\n')[0]).toMatch(/^orderId,assignedRoute,driverName/);
+    expect(orders).toContain('ORD001,RT001,Priya <Singh>,T1,1,1200,standard,09:00,09:45,45,true,0,120,75,1245');
+    expect(all.startsWith('metric,value')).toBe(true);
+    expect(all).toContain(orders);
+  });
+
+  test('should escape values in the HTML report', () => {
+    const html = toReportHtml(buildReportData(simulation));
+
+    expect(html).toContain('<!DOCTYPE html>');
+    expect(html).toContain('Priya &lt;Singh&gt;');
+    expect(html).not.toContain('Priya <Singh>');
+  });
+
+  test('should list skipped orders in the HTML report', () => {
+    const html = toReportHtml(buildReportData({
+      ...simulation,
+      skipped: [{ orderId: 'ORD009', assignedRoute: 'RT404', reason: 'Route RT404 does not exist' }]
+    }));
+
+    expect(html).toContain('<h2>Skipped Orders</h2>');
+    expect(html).toContain('Route RT404 does not exist');
+    expect(toReportHtml(buildReportData(simulation))).not.toContain('Skipped Orders');
+  });
+});
@@ -0,0 +1,82 @@
+// tests/strategies.test.js
+const {
+  DEFAULT_STRATEGY,
+  registerStrategy,
+  getStrategy,
+  listStrategies
+} = require('../simulation/strategies');
+const { resolveRules } = require('../simulation/rules');
+
+const makeSchedules = (workedHours, clocks) => workedHours.map((hours, index) => ({
+  driver: { name: `Driver ${index}` },
+  index,
+  workedMinutes: hours * 60,
+  clock: clocks ? clocks[index] : 540
+}));
+
+describe('Assignment Strategies', () => {
+  test('should register the built-in strategies', () => {
+    const names = listStrategies().map(strategy => strategy.name);
+
+    expect(DEFAULT_STRATEGY).toBe('round-robin');
+    expect(names).toEqual(
+      expect.arrayContaining(['round-robin', 'least-loaded', 'nearest-deadline', 'highest-value'])
+    );
+  });
+
+  test('round-robin should continue after the last assigned driver', () => {
+    const schedules = makeSchedules([0, 0, 0]);
+    const ranked = getStrategy('round-robin').rankDrivers(schedules, {}, { lastAssignedIndex: 1 });
+
+    expect(ranked.map(schedule => schedule.index)).toEqual([2, 0, 1]);
+  });
+
+  test('least-loaded should prefer the driver with the fewest hours', () => {
+    const schedules = makeSchedules([6, 4, 9]);
+    const ranked = getStrategy('least-loaded').rankDrivers(schedules, {}, { lastAssignedIndex: -1 });
+
+    expect(ranked.map(schedule => schedule.index)).toEqual([1, 0, 2]);
+  });
+
+  test('nearest-deadline should schedule the earliest deadlines first', () => {
+    const orders = [
+      { orderId: 'A', deliveryTimestamp: new Date('2025-01-01T12:00:00Z') },
+      { orderId: 'B', deliveryTimestamp: new Date('2025-01-01T09:00:00Z') }
+    ];
+
+    const queue = getStrategy('nearest-deadline').prioritize(orders);
+    expect(queue.map(order => order.orderId)).toEqual(['B', 'A']);
+  });
+
+  test('highest-value should schedule the most valuable orders first', () => {
+    const orders = [
+      { orderId: 'A', valueRs: 500 },
+      { orderId: 'B', valueRs: 2000 },
+      { orderId: 'C', valueRs: 1200 }
+    ];
+
+    const queue = getStrategy('highest-value').prioritize(orders);
+    expect(queue.map(order => order.orderId)).toEqual(['B', 'C', 'A']);
+  });
+
+  test('lowest-emissions should prefer EVs, then CNG, then diesel', () => {
+    const schedules = makeSchedules([0, 0, 0, 0]);
+    ['diesel', 'ev', undefined, 'cng'].forEach((fuelType, index) => {
+      schedules[index].driver.fuelType = fuelType;
+    });
+    const rules = resolveRules();
+
+    const ranked = getStrategy('lowest-emissions').rankDrivers(schedules, {}, { lastAssignedIndex: -1, rules });
+    expect(ranked.map(schedule => schedule.index)).toEqual([1, 3, 0, 2]);
+  });
+
+  test('should register custom strategies and reject invalid ones', () => {
+    registerStrategy({
+      name: 'reverse',
+      rankDrivers: (schedules) => [...schedules].reverse()
+    });
+
+    expect(getStrategy('reverse')).toBeDefined();
+    expect(() => registerStrategy({ name: 'broken' })).toThrow('must implement rankDrivers');
+  });
+});
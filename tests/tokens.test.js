@@ -0,0 +1,24 @@
+// tests/tokens.test.js
+const { resolveJwtSecret, generateRefreshToken, hashToken } = require('../auth/tokens');
+
+describe('Auth Tokens', () => {
+  test('should use the configured JWT secret', () => {
+    expect(resolveJwtSecret({ JWT_SECRET: 'configured', NODE_ENV: 'production' })).toBe('configured');
+  });
+
+  test('should only fall back to a development secret in development and tests', () => {
+    expect(resolveJwtSecret({ NODE_ENV: 'development' })).toBeTruthy();
+    expect(resolveJwtSecret({ NODE_ENV: 'test' })).toBeTruthy();
+    expect(() => resolveJwtSecret({ NODE_ENV: 'production' })).toThrow('JWT_SECRET must be set');
+    expect(() => resolveJwtSecret({})).toThrow('JWT_SECRET must be set');
+  });
+
+  test('should generate unique refresh tokens and hash them deterministically', () => {
+    const first = generateRefreshToken();
+    const second = generateRefreshToken();
+
+    expect(first).not.toBe(second);
+    expect(hashToken(first)).toBe(hashToken(first));
+    expect(hashToken(first)).not.toBe(first);
+  });
+});
@@ -0,0 +1,141 @@
+// tests/validation.test.js
+const { validateSchema, validateRequest } = require('../utils/validation');
+const { ApiError } = require('../utils/errors');
+
+const inputsSchema = {
+  availableDrivers: { type: 'integer', required: true, min: 1, max: 50, message: 'Available drivers must be between 1 and 50' },
+  startTime: { type: 'time', required: true, message: 'Start time must be in HH:MM format' },
+  ruleProfileId: { type: 'objectId' },
+  strategy: { type: 'string', values: ['round-robin', 'least-loaded'] }
+};
+
+const codes = (details) => details.map(detail => `${detail.field}:${detail.code}`);
+
+describe('Request Validation', () => {
+  test('should accept valid values', () => {
+    expect(validateSchema({ availableDrivers: 3, startTime: '09:00' }, inputsSchema)).toEqual([]);
+  });
+
+  test('should reject body fields the schema does not name, but not query parameters', () => {
+    const schema = { stops: { type: 'array', items: { type: 'object', fields: { lat: { type: 'number' } } } } };
+
+    expect(validateSchema({ availableDrivers: 3, startTime: '09:00', extra: true }, inputsSchema)).toEqual([{
+      field: 'extra',
+      location: 'body',
+      code: 'UNKNOWN_FIELD',
+      message: 'extra is not a known field'
+    }]);
+    expect(codes(validateSchema({ stops: [{ lat: 10, lon: 20 }] }, schema))).toEqual(['stops[0].lon:UNKNOWN_FIELD']);
+    expect(validateSchema({ availableDrivers: '3', startTime: '09:00', _: '1' }, inputsSchema, { location: 'query' })).toEqual([]);
+  });
+
+  test('should tell zero apart from a missing value', () => {
+    expect(codes(validateSchema({ startTime: '09:00' }, inputsSchema))).toEqual(['availableDrivers:REQUIRED']);
+
+    const [detail] = validateSchema({ availableDrivers: 0, startTime: '09:00' }, inputsSchema);
+    expect(detail).toEqual({
+      field: 'availableDrivers',
+      location: 'body',
+      code: 'OUT_OF_RANGE',
+      message: 'Available drivers must be between 1 and 50'
+    });
+  });
+
+  test('should not coerce JSON body values', () => {
+    const details = validateSchema({ availableDrivers: '3', startTime: '09:00' }, inputsSchema);
+
+    expect(details).toEqual([{
+      field: 'availableDrivers',
+      location: 'body',
+      code: 'INVALID_TYPE',
+      message: 'availableDrivers must be a whole number'
+    }]);
+  });
+
+  test('should read query values as their declared type', () => {
+    const schema = { days: { type: 'integer', min: 1, max: 90 }, dryRun: { type: 'boolean' }, ids: { type: 'array', items: { type: 'objectId' } } };
+
+    expect(validateSchema({ days: '7', dryRun: '1', ids: '507f1f77bcf86cd799439011' }, schema, { location: 'query' })).toEqual([]);
+    expect(codes(validateSchema({ days: 'week', dryRun: 'maybe', ids: 'x' }, schema, { location: 'query' })))
+      .toEqual(['days:INVALID_TYPE', 'dryRun:INVALID_TYPE', 'ids[0]:INVALID_ID']);
+  });
+
+  test('should report format, id and enum problems with stable codes', () => {
+    const details = validateSchema({ availableDrivers: 3, startTime: '25:00', ruleProfileId: 'abc', strategy: 'fastest' }, inputsSchema);
+
+    expect(codes(details)).toEqual(['startTime:INVALID_FORMAT', 'ruleProfileId:INVALID_ID', 'strategy:INVALID_VALUE']);
+    expect(details[0].message).toBe('Start time must be in HH:MM format');
+    expect(details[2].message).toBe('strategy must be one of: round-robin, least-loaded');
+  });
+
+  test('should name nested fields by their path', () => {
+    const schema = {
+      stops: { type: 'array', items: { type: 'object', fields: { lat: { type: 'number', required: true, min: -90, max: 90 } } } },
+      scenarios: { type: 'array', minItems: 2 }
+    };
+
+    const details = validateSchema({ stops: [{ lat: 10 }, { lat: 120 }, {}], scenarios: [{}] }, schema);
+
+    expect(codes(details)).toEqual(['stops[1].lat:OUT_OF_RANGE', 'stops[2].lat:REQUIRED', 'scenarios:OUT_OF_RANGE']);
+  });
+
+  test('should treat blank strings as missing and allow null only when nullable', () => {
+    const schema = { name: { type: 'string', required: true }, zone: { type: 'string' }, end: { type: 'date', nullable: true } };
+
+    expect(codes(validateSchema({ name: '  ', zone: '', end: null }, schema))).toEqual(['name:REQUIRED', 'zone:INVALID_VALUE']);
+    expect(codes(validateSchema({ name: null }, schema))).toEqual(['name:INVALID_TYPE']);
+  });
+
+  test('should run custom checks after the type checks pass', () => {
+    const schema = { rules: { type: 'object', custom: rules => (rules.latePenalty < 0 ? 'latePenalty must not be negative' : null) } };
+
+    expect(validateSchema({ rules: { latePenalty: -1 } }, schema)[0].message).toBe('latePenalty must not be negative');
+    expect(codes(validateSchema({ rules: [] }, schema))).toEqual(['rules:INVALID_TYPE']);
+  });
+
+  test('should reject a body that is not an object', () => {
+    expect(codes(validateSchema([1, 2], inputsSchema))).toEqual([':INVALID_TYPE']);
+  });
+
+  describe('validateRequest', () => {
+    const run = (middleware, req) => {
+      let passed;
+      middleware({ params: {}, query: {}, ...req }, {}, error => { passed = error; });
+      return passed;
+    };
+
+    test('should pass valid requests on without an error', () => {
+      const middleware = validateRequest({ params: { id: { type: 'objectId', required: true } }, body: inputsSchema });
+
+      expect(run(middleware, { params: { id: '507f1f77bcf86cd799439011' }, body: { availableDrivers: 3, startTime: '09:00' } }))
+        .toBeUndefined();
+    });
+
+    test('should collect params, query and body problems into one error', () => {
+      const middleware = validateRequest({
+        params: { id: { type: 'objectId', required: true } },
+        query: { days: { type: 'integer' } },
+        body: inputsSchema
+      });
+
+      const error = run(middleware, { params: { id: 'not-an-id' }, query: { days: 'x' }, body: { availableDrivers: 0, startTime: '09:00' } });
+
+      expect(error).toBeInstanceOf(ApiError);
+      expect(error.status).toBe(400);
+      expect(error.code).toBe('VALIDATION_FAILED');
+      expect(error.message).toBe('id must be a valid ID');
+      expect(error.details.map(detail => `${detail.location}.${detail.field}`)).toEqual(['params.id', 'query.days', 'body.availableDrivers']);
+    });
+
+    test('should skip required checks for partial updates but need at least one field', () => {
+      const middleware = validateRequest({ body: inputsSchema, partial: true });
+
+      expect(run(middleware, { body: { startTime: '10:00' } })).toBeUndefined();
+      expect(run(middleware, { body: { availableDrivers: 0 } }).details[0].code).toBe('OUT_OF_RANGE');
+
+      const empty = run(middleware, { body: undefined });
+      expect(empty.details[0].code).toBe('REQUIRED');
+      expect(empty.message).toContain('At least one of availableDrivers');
+    });
+  });
+});
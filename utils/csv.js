@@ -0,0 +1,94 @@
+// utils/csv.js
+// Minimal RFC 4180 CSV parsing and formatting (quoted fields, escaped quotes, CRLF)
+
+// Split CSV text into rows of raw string cells
+const parseCsvRows = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error('Unterminated quoted field in CSV');
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Ignore blank lines
+  return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+};
+
+// Parse CSV with a header row into an array of objects keyed by column name
+const parseCsv = (text) => {
+  const [header, ...rows] = parseCsvRows(text.replace(/^\uFEFF/, ''));
+  if (!header) return [];
+
+  const columns = header.map(column => column.trim());
+
+  return rows.map(cells => {
+    const record = {};
+    columns.forEach((column, index) => {
+      if (column) record[column] = cells[index] !== undefined ? cells[index] : '';
+    });
+    return record;
+  });
+};
+
+const escapeCsvValue = (value) => {
+  if (value === undefined || value === null) return '';
+
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Format an array of objects as CSV, using the given columns or the keys of the first row
+const toCsv = (records, columns) => {
+  const header = columns || (records.length > 0 ? Object.keys(records[0]) : []);
+  const lines = [header.map(escapeCsvValue).join(',')];
+
+  records.forEach(record => {
+    lines.push(header.map(column => escapeCsvValue(record[column])).join(','));
+  });
+
+  return lines.join('\r\n') + '\r\n';
+};
+
+module.exports = {
+  parseCsvRows,
+  parseCsv,
+  toCsv
+};
@@ -0,0 +1,140 @@
+// utils/errors.js
+// One error shape for every route: { error, code, details }. `error` is a readable message,
+// `code` a stable machine-readable code and `details` lists field-level problems as
+// [{ field, location, code, message }] (empty when the error is not about a field).
+// Handlers may keep sending { error } with a status; the code then defaults by status.
+const ERROR_CODES = {
+  400: 'BAD_REQUEST',
+  401: 'UNAUTHORIZED',
+  403: 'FORBIDDEN',
+  404: 'NOT_FOUND',
+  409: 'CONFLICT',
+  413: 'PAYLOAD_TOO_LARGE',
+  415: 'UNSUPPORTED_MEDIA_TYPE',
+  500: 'INTERNAL_ERROR',
+  503: 'SERVICE_UNAVAILABLE'
+};
+
+const codeForStatus = (status) => ERROR_CODES[status] || (status >= 500 ? 'INTERNAL_ERROR' : 'BAD_REQUEST');
+
+class ApiError extends Error {
+  constructor(status, message, { code, details = [] } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code || codeForStatus(status);
+    this.details = details;
+  }
+
+  toBody() {
+    return { error: this.message, code: this.code, details: this.details };
+  }
+}
+
+// 400 for one or more bad fields; the message is the first field's
+const validationFailed = (details) => new ApiError(400, details[0].message, { code: 'VALIDATION_FAILED', details });
+
+const invalidField = (location, field, message, code = 'INVALID_VALUE') => (
+  validationFailed([{ field, location, code, message }])
+);
+
+// Mongoose schema rule kinds, as validation detail codes
+const MONGOOSE_KIND_CODES = {
+  required: 'REQUIRED',
+  enum: 'INVALID_VALUE',
+  min: 'OUT_OF_RANGE',
+  max: 'OUT_OF_RANGE',
+  minlength: 'OUT_OF_RANGE',
+  maxlength: 'OUT_OF_RANGE',
+  regexp: 'INVALID_FORMAT'
+};
+
+// The ApiError for a validation, cast or duplicate key error from Mongoose, or null for others
+const fromMongooseError = (error) => {
+  if (error.name === 'ValidationError') {
+    const details = Object.values(error.errors).map(fieldError => ({
+      field: fieldError.path,
+      location: 'body',
+      code: fieldError.name === 'CastError' ? 'INVALID_TYPE' : (MONGOOSE_KIND_CODES[fieldError.kind] || 'INVALID_VALUE'),
+      message: fieldError.message
+    }));
+    return new ApiError(400, error.message, { code: 'VALIDATION_FAILED', details });
+  }
+
+  if (error.name === 'CastError') {
+    const code = error.kind === 'ObjectId' ? 'INVALID_ID' : 'INVALID_TYPE';
+    return new ApiError(400, `Invalid ${error.path}`, {
+      code: 'VALIDATION_FAILED',
+      details: [{ field: error.path, code, message: `Invalid ${error.path}` }]
+    });
+  }
+
+  if (error.code === 11000) {
+    return new ApiError(409, 'A record with the same key already exists', { code: 'DUPLICATE_KEY' });
+  }
+
+  return null;
+};
+
+const sendError = (res, error) => res.status(error.status).json(error.toBody());
+
+// Fill in code and details on error bodies sent as { error: message }, keeping any extra fields
+const toErrorBody = (status, body) => {
+  if (!body || typeof body.error !== 'string') return body;
+
+  const { error, code, details, ...rest } = body;
+  return { error, code: code || codeForStatus(status), details: details || [], ...rest };
+};
+
+const normalizeErrorResponses = (req, res, next) => {
+  const json = res.json.bind(res);
+  res.json = (body) => json(res.statusCode >= 400 ? toErrorBody(res.statusCode, body) : body);
+  next();
+};
+
+// Requests no route matched
+const notFoundHandler = (req, res) => {
+  res.status(404).json({ error: `Cannot ${req.method} ${req.path}`, code: 'ENDPOINT_NOT_FOUND' });
+};
+
+// Errors passed to next() or thrown by a handler: our own, body parser and Mongoose errors.
+// Anything else is logged and answered with a generic 500.
+const errorHandler = (error, req, res, next) => {
+  if (res.headersSent) {
+    return next(error);
+  }
+
+  if (error instanceof ApiError) {
+    return sendError(res, error);
+  }
+
+  if (error.type === 'entity.parse.failed') {
+    return sendError(res, new ApiError(400, 'Request body is not valid JSON', { code: 'INVALID_JSON' }));
+  }
+
+  const mongooseError = fromMongooseError(error);
+  if (mongooseError) {
+    return sendError(res, mongooseError);
+  }
+
+  const status = error.status || error.statusCode;
+  if (status >= 400 && status < 500 && error.expose) {
+    return sendError(res, new ApiError(status, error.message));
+  }
+
+  console.error('Unhandled error:', error);
+  sendError(res, new ApiError(500, 'Internal server error'));
+};
+
+module.exports = {
+  ERROR_CODES,
+  ApiError,
+  validationFailed,
+  invalidField,
+  fromMongooseError,
+  sendError,
+  toErrorBody,
+  normalizeErrorResponses,
+  notFoundHandler,
+  errorHandler
+};
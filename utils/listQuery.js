@@ -0,0 +1,154 @@
+// utils/listQuery.js
+// Shared query parameters for the list endpoints: page/limit paging, sorting and field filters.
+//   ?page=2&limit=50           1-based page, limit up to MAX_LIMIT
+//   ?sort=-valueRs,orderId     comma separated, '-' for descending
+//   ?trafficLevel=High,Medium  exact match, a comma list matches any
+//   ?minValueRs=&maxValueRs=   number ranges (inclusive)
+//   ?deliveryTimestampFrom=&deliveryTimestampTo=   date ranges; a date-only To includes that day
+//   ?search=text               case-insensitive substring match on the spec's search fields
+// listQuerySchema(spec) declares these for validateRequest; parseListQuery reads a query that
+// passed it.
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+const DATE_ONLY_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1);
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const splitList = (value) => String(value).split(',').map(item => item.trim()).filter(Boolean);
+
+const matchAny = (values) => (values.length === 1 ? values[0] : { $in: values });
+
+// Query values arrive as strings; an empty one counts as not sent
+const isSet = (value) => value !== undefined && value !== '';
+
+const rangeParams = (name, type) => (type === 'numberRange'
+  ? [`min${capitalize(name)}`, `max${capitalize(name)}`]
+  : [`${name}From`, `${name}To`]);
+
+// Filter types: 'string', 'enum' (with values), 'boolean', 'number', 'objectId', and
+// 'numberRange' / 'dateRange' read from min<Name>/max<Name> and <name>From/<name>To.
+// Each filter matches the document path in `path`, or its own name.
+const FILTER_RULES = {
+  string: () => ({ type: 'array', items: { type: 'string' } }),
+  enum: ({ values }) => ({ type: 'array', minItems: 1, items: { type: 'string', values } }),
+  boolean: () => ({ type: 'boolean' }),
+  number: () => ({ type: 'number' }),
+  objectId: () => ({ type: 'array', minItems: 1, items: { type: 'objectId' } }),
+  numberRange: () => ({ type: 'number' }),
+  dateRange: () => ({ type: 'date' })
+};
+
+// The query schema for a list spec, for validateRequest (see utils/validation.js).
+// `sortable` maps each sort name to the document path it sorts on.
+const listQuerySchema = ({ sortable, filters = {}, searchFields = [] }) => {
+  const schema = {
+    page: { type: 'integer', min: 1, message: 'page must be a whole number of at least 1' },
+    limit: { type: 'integer', min: 1, max: MAX_LIMIT, message: `limit must be a whole number between 1 and ${MAX_LIMIT}` },
+    sort: {
+      type: 'string',
+      allowEmpty: true,
+      custom: (value) => {
+        const unknown = splitList(value).map(item => item.replace(/^-/, '')).find(name => !sortable[name]);
+        return unknown === undefined ? null : `Cannot sort by ${unknown}. Sortable fields: ${Object.keys(sortable).join(', ')}`;
+      }
+    }
+  };
+
+  if (searchFields.length > 0) {
+    schema.search = { type: 'string', allowEmpty: true };
+  }
+
+  for (const [name, filter] of Object.entries(filters)) {
+    const rule = FILTER_RULES[filter.type](filter);
+    if (filter.type === 'numberRange' || filter.type === 'dateRange') {
+      for (const param of rangeParams(name, filter.type)) schema[param] = rule;
+    } else {
+      schema[name] = rule;
+    }
+  }
+
+  return schema;
+};
+
+// _id breaks ties so pages stay stable
+const parseSort = (value, { sortable, defaultSort }) => {
+  const sort = {};
+
+  for (const item of splitList(value || defaultSort)) {
+    const descending = item.startsWith('-');
+    sort[sortable[descending ? item.slice(1) : item]] = descending ? -1 : 1;
+  }
+
+  if (!sort._id) sort._id = 1;
+  return sort;
+};
+
+const parseDate = (value, operator) => {
+  const date = new Date(value);
+  if (operator === '$lte' && DATE_ONLY_REGEX.test(value)) {
+    return new Date(date.getTime() + DAY_MS - 1);
+  }
+  return date;
+};
+
+const parseFilters = (query, { filters = {}, searchFields = [] }) => {
+  const filter = {};
+
+  for (const [name, { type, path = name }] of Object.entries(filters)) {
+    if (type === 'numberRange' || type === 'dateRange') {
+      const range = {};
+      const [minParam, maxParam] = rangeParams(name, type);
+      for (const [param, operator] of [[minParam, '$gte'], [maxParam, '$lte']]) {
+        if (!isSet(query[param])) continue;
+        range[operator] = type === 'numberRange' ? Number(query[param]) : parseDate(query[param], operator);
+      }
+      if (Object.keys(range).length > 0) filter[path] = range;
+      continue;
+    }
+
+    if (!isSet(query[name])) continue;
+    const raw = query[name];
+
+    if (type === 'boolean') {
+      filter[path] = raw === 'true' || raw === '1';
+    } else if (type === 'number') {
+      filter[path] = Number(raw);
+    } else {
+      const list = splitList(raw);
+      if (list.length > 0) filter[path] = matchAny(list);
+    }
+  }
+
+  if (query.search !== undefined && searchFields.length > 0) {
+    const pattern = { $regex: escapeRegex(String(query.search)), $options: 'i' };
+    filter.$or = searchFields.map(field => ({ [field]: pattern }));
+  }
+
+  return filter;
+};
+
+// Returns { filter, sort, page, limit, skip } for a query that passed listQuerySchema(spec)
+const parseListQuery = (query = {}, spec) => {
+  const page = isSet(query.page) ? Number(query.page) : 1;
+  const limit = isSet(query.limit) ? Number(query.limit) : DEFAULT_LIMIT;
+
+  return {
+    filter: parseFilters(query, spec),
+    sort: parseSort(query.sort, spec),
+    page,
+    limit,
+    skip: (page - 1) * limit
+  };
+};
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  escapeRegex,
+  listQuerySchema,
+  parseListQuery
+};
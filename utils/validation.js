@@ -0,0 +1,222 @@
+// utils/validation.js
+// Declarative request schemas. A schema maps each field to a rule:
+//   { type, required, nullable, values, min, max, minItems, maxItems, maxLength, pattern,
+//     allowEmpty, items, fields, custom, message }
+// Types: string, number, integer, boolean, date, objectId, time, array, object and any.
+// JSON bodies must send the right types; query and path parameters arrive as strings and are
+// read as the declared type before they are checked, so ?days=7 is a valid integer.
+// `message` replaces the default message for range, value and format problems. `custom`
+// gets the value once the type checks pass and returns an error message or null.
+const { validationFailed } = require('./errors');
+
+const OBJECT_ID_REGEX = /^[0-9a-f]{24}$/i;
+const TIME_REGEX = /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/;
+
+// Detail codes, stable for clients to match on
+const VALIDATION_CODES = {
+  REQUIRED: 'REQUIRED',
+  INVALID_TYPE: 'INVALID_TYPE',
+  INVALID_ID: 'INVALID_ID',
+  INVALID_FORMAT: 'INVALID_FORMAT',
+  INVALID_VALUE: 'INVALID_VALUE',
+  OUT_OF_RANGE: 'OUT_OF_RANGE',
+  UNKNOWN_FIELD: 'UNKNOWN_FIELD',
+  UNKNOWN_REFERENCE: 'UNKNOWN_REFERENCE' // names a record that doesn't exist; checked by the handlers
+};
+
+const TYPE_NAMES = {
+  string: 'a string',
+  number: 'a number',
+  integer: 'a whole number',
+  boolean: 'true or false',
+  date: 'a valid date',
+  objectId: 'a valid ID',
+  time: 'a time in HH:MM format',
+  array: 'a list',
+  object: 'an object'
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Query and path values as the declared type; anything that doesn't convert is left as is
+// and fails the type check
+const fromString = (value, type) => {
+  if (typeof value !== 'string') return value;
+
+  if ((type === 'number' || type === 'integer') && value.trim() !== '' && !isNaN(Number(value))) {
+    return Number(value);
+  }
+  if (type === 'boolean' && ['true', 'false', '1', '0'].includes(value)) {
+    return value === 'true' || value === '1';
+  }
+  if (type === 'array') {
+    return value.split(',').map(item => item.trim()).filter(Boolean);
+  }
+  return value;
+};
+
+const hasType = (value, type) => {
+  switch (type) {
+    case 'string':
+      return typeof value === 'string';
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    case 'integer':
+      return Number.isInteger(value);
+    case 'boolean':
+      return typeof value === 'boolean';
+    case 'date':
+      return (typeof value === 'string' || typeof value === 'number' || value instanceof Date) &&
+        !isNaN(new Date(value).getTime());
+    case 'objectId':
+      return typeof value === 'string' && OBJECT_ID_REGEX.test(value);
+    case 'time':
+      return typeof value === 'string' && TIME_REGEX.test(value);
+    case 'array':
+      return Array.isArray(value);
+    case 'object':
+      return isPlainObject(value);
+    default:
+      return true;
+  }
+};
+
+const typeErrorCode = (type) => {
+  if (type === 'objectId') return VALIDATION_CODES.INVALID_ID;
+  if (type === 'date' || type === 'time') return VALIDATION_CODES.INVALID_FORMAT;
+  return VALIDATION_CODES.INVALID_TYPE;
+};
+
+const rangeMessage = (field, min, max, unit = '') => {
+  if (min !== undefined && max !== undefined) return `${field} must be between ${min} and ${max}${unit}`;
+  if (min !== undefined) return `${field} must be at least ${min}${unit}`;
+  return `${field} must be at most ${max}${unit}`;
+};
+
+// Problems with one value, as [{ field, location, code, message }]
+const validateValue = (value, rule, field, options) => {
+  const { location, partial, fromQuery } = options;
+  const problem = (code, message) => [{ field, location, code, message }];
+  const ruleMessage = (message) => rule.message || message;
+
+  if (value === undefined || (value === '' && rule.type !== 'string' && fromQuery)) {
+    return rule.required && !partial ? problem(VALIDATION_CODES.REQUIRED, `${field} is required`) : [];
+  }
+
+  if (value === null) {
+    return rule.nullable ? [] : problem(VALIDATION_CODES.INVALID_TYPE, `${field} must not be null`);
+  }
+
+  if (fromQuery) value = fromString(value, rule.type);
+
+  if (!hasType(value, rule.type)) {
+    const message = `${field} must be ${TYPE_NAMES[rule.type]}`;
+    return problem(typeErrorCode(rule.type), rule.type === 'time' ? ruleMessage(message) : message);
+  }
+
+  if (rule.type === 'string') {
+    if (!rule.allowEmpty && !value.trim()) {
+      return rule.required && !partial
+        ? problem(VALIDATION_CODES.REQUIRED, `${field} is required`)
+        : problem(VALIDATION_CODES.INVALID_VALUE, `${field} must not be empty`);
+    }
+    if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+      return problem(VALIDATION_CODES.OUT_OF_RANGE, ruleMessage(`${field} must be at most ${rule.maxLength} characters`));
+    }
+    if (rule.pattern && !rule.pattern.test(value)) {
+      return problem(VALIDATION_CODES.INVALID_FORMAT, ruleMessage(`${field} has an invalid format`));
+    }
+  }
+
+  if (rule.values && !rule.values.includes(value)) {
+    return problem(VALIDATION_CODES.INVALID_VALUE, ruleMessage(`${field} must be one of: ${rule.values.join(', ')}`));
+  }
+
+  if ((rule.type === 'number' || rule.type === 'integer') &&
+      ((rule.min !== undefined && value < rule.min) || (rule.max !== undefined && value > rule.max))) {
+    return problem(VALIDATION_CODES.OUT_OF_RANGE, ruleMessage(rangeMessage(field, rule.min, rule.max)));
+  }
+
+  if (rule.type === 'array') {
+    if ((rule.minItems !== undefined && value.length < rule.minItems) ||
+        (rule.maxItems !== undefined && value.length > rule.maxItems)) {
+      return problem(VALIDATION_CODES.OUT_OF_RANGE, ruleMessage(rangeMessage(field, rule.minItems, rule.maxItems, ' items')));
+    }
+    if (rule.items) {
+      const itemOptions = { ...options, partial: false };
+      const problems = value.flatMap((item, index) => validateValue(item, rule.items, `${field}[${index}]`, itemOptions));
+      if (problems.length > 0) return problems;
+    }
+  }
+
+  if (rule.type === 'object' && rule.fields) {
+    // Nested objects are always checked whole, even in a partial update
+    const problems = validateFields(value, rule.fields, { ...options, partial: false }, `${field}.`);
+    if (problems.length > 0) return problems;
+  }
+
+  if (rule.custom) {
+    const message = rule.custom(value);
+    if (message) return problem(VALIDATION_CODES.INVALID_VALUE, message);
+  }
+
+  return [];
+};
+
+// Body objects may only set the fields their schema names; query and path parameters the
+// schema doesn't name are left for other middleware
+const validateFields = (values, schema, options, prefix = '') => [
+  ...(options.fromQuery ? [] : Object.keys(values)
+    .filter(name => !Object.prototype.hasOwnProperty.call(schema, name))
+    .map(name => ({
+      field: `${prefix}${name}`,
+      location: options.location,
+      code: VALIDATION_CODES.UNKNOWN_FIELD,
+      message: `${prefix}${name} is not a known field`
+    }))),
+  ...Object.entries(schema).flatMap(([name, rule]) => validateValue(values[name], rule, `${prefix}${name}`, options))
+];
+
+// Problems with `values` against `schema`. Options: location ('body', 'query' or 'params'),
+// partial (skip required checks, for PATCH). A body field the schema doesn't name is a problem.
+const validateSchema = (values, schema, { location = 'body', partial = false } = {}) => {
+  if (!isPlainObject(values)) {
+    return [{ field: '', location, code: VALIDATION_CODES.INVALID_TYPE, message: `Request ${location} must be an object` }];
+  }
+
+  return validateFields(values, schema, { location, partial, fromQuery: location !== 'body' });
+};
+
+// Middleware checking req.params, req.query and req.body against their schemas, passing a
+// VALIDATION_FAILED error on with every problem found. A partial body must set at least one
+// of its fields.
+const validateRequest = ({ params, query, body, partial = false }) => (req, res, next) => {
+  if (body && req.body === undefined) req.body = {};
+
+  const details = [
+    ...(params ? validateSchema(req.params, params, { location: 'params' }) : []),
+    ...(query ? validateSchema(req.query, query, { location: 'query' }) : []),
+    ...(body ? validateSchema(req.body, body, { location: 'body', partial }) : [])
+  ];
+
+  if (body && partial && details.length === 0 && !Object.keys(body).some(field => req.body[field] !== undefined)) {
+    details.push({
+      field: '',
+      location: 'body',
+      code: VALIDATION_CODES.REQUIRED,
+      message: `At least one of ${Object.keys(body).join(', ')} is required`
+    });
+  }
+
+  if (details.length > 0) {
+    return next(validationFailed(details));
+  }
+
+  next();
+};
+
+module.exports = {
+  VALIDATION_CODES,
+  validateSchema,
+  validateRequest
+};